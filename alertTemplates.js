@@ -0,0 +1,195 @@
+// Buy alerts are rendered from a per-chat template. Placeholders are {name}; a line
+// whose placeholders all come out empty is dropped, so optional fields (holders,
+// bonding progress, group...) can sit on their own line without leaving gaps.
+
+const FIELDS = {
+    token: 'Token symbol',
+    name: 'Full token name',
+    address: 'Token mint address',
+    program: '" (Token-2022)" for Token-2022 mints, otherwise empty',
+    flags: 'Risky Token-2022 extensions, comma separated',
+    group: 'Group whose rules triggered the alert',
+    buyers: 'One line per buyer: nickname, SOL spent, weight',
+    buyer_count: 'Number of buyers',
+    sol_total: 'Collective SOL spent',
+    usd_total: 'Collective spend in USD (≈$123.45), empty without a SOL price',
+    score: 'Confidence score',
+    score_threshold: 'Score needed for an alert',
+    price_usd: 'Price in USD',
+    price_sol: 'Price in SOL',
+    market_cap: 'Market cap in USD',
+    holders: 'Holder count',
+    bonding: 'Bonding curve progress',
+    socials: 'One line per social link',
+    twitter: 'Twitter link',
+    telegram: 'Telegram link',
+    website: 'Website link',
+    links: 'One line per trade link',
+    links_inline: 'Trade links on one line',
+    risk_score: 'On-chain risk score out of 100',
+    risk: 'One line per safety check (authorities, holders, LP, deployer)',
+    risk_findings: 'What raised the risk score, comma separated'
+};
+
+const RULE = '<b>━━━━━━━━━━━━━━━━━━━━━━━━━━━━</b>';
+
+const PRESETS = {
+    full: [
+        RULE,
+        '<b>🔥 HIGH-CONFIDENCE TOKEN ALERT 🔥</b>',
+        RULE,
+        '<b>Group:</b> {group}',
+        '',
+        '<b>Token:</b> <code>{token}</code>',
+        '<b>Name:</b> {name}',
+        '<b>Address:</b> <code>{address}</code>{program}',
+        '<b>⚠️ Token-2022:</b> {flags}',
+        '',
+        '<b>Buyers ({buyer_count}):</b>',
+        '{buyers}',
+        '',
+        '<b>Collective SOL Spent:</b> {sol_total} SOL {usd_total}',
+        '<b>Confidence Score:</b> {score} / {score_threshold}',
+        '',
+        '<b>Price:</b> ${price_usd} ({price_sol} SOL)',
+        '<b>Market Cap:</b> {market_cap}',
+        '<b>Holders:</b> {holders}',
+        '<b>Bonding Progress:</b> {bonding}',
+        '',
+        RULE,
+        '<b>🛡️ Risk Score:</b> {risk_score}',
+        '{risk}',
+        '',
+        RULE,
+        '<b>Social:</b>',
+        '{socials}',
+        '',
+        RULE,
+        '<b>Trade on:</b>',
+        '{links}',
+        RULE
+    ].join('\n'),
+
+    compact: [
+        '🔥 <b>{token}</b> · {buyer_count} buyers · {sol_total} SOL · score {score}/{score_threshold}',
+        '📂 {group}',
+        'MC {market_cap} · ${price_usd}',
+        '🛡️ Risk {risk_score}: {risk_findings}',
+        '⚠️ {flags}',
+        '<code>{address}</code>',
+        '{links_inline}'
+    ].join('\n'),
+
+    links: [
+        '🔥 <b>{token}</b> <code>{address}</code>',
+        '{links_inline}'
+    ].join('\n')
+};
+
+// {address} in a provider URL is replaced with the token mint
+const DEFAULT_TRADE_LINKS = [
+    { name: 'Pump.fun', url: 'https://pump.fun/token/{address}' },
+    { name: 'Photon', url: 'https://photon-sol.tinyastro.io/en/lp/{address}' },
+    { name: 'Jupiter', url: 'https://jup.ag/swap/SOL-{address}' },
+    { name: 'Raydium', url: 'https://raydium.io/swap/?inputCurrency=sol&outputCurrency={address}' }
+];
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// settings.alertTemplate is a preset name or the template text itself
+function resolveTemplate(alertTemplate) {
+    return PRESETS[alertTemplate] || alertTemplate || PRESETS.full;
+}
+
+// Placeholders in a template that aren't fields, so typos are caught when it is set
+function unknownPlaceholders(template) {
+    const unknown = new Set();
+    for (const [, name] of template.matchAll(PLACEHOLDER)) {
+        if (!(name in FIELDS)) unknown.add(name);
+    }
+    return [...unknown];
+}
+
+function isValidLinkUrl(url) {
+    return /^https?:\/\/\S+$/.test(url) && url.includes('{address}');
+}
+
+// Trade links as HTML anchors, {address} filled in with the token
+function renderLinks(tradeLinks, tokenAddress) {
+    return tradeLinks.map(link =>
+        `<a href="${escapeHtml(link.url.split('{address}').join(tokenAddress))}">${escapeHtml(link.name)}</a>`);
+}
+
+function render(template, fields) {
+    const lines = [];
+    for (const line of template.split('\n')) {
+        const names = [...line.matchAll(PLACEHOLDER)].map(match => match[1]).filter(name => name in FIELDS);
+        if (names.length > 0 && names.every(name => !fields[name])) continue;
+        lines.push(line.replace(PLACEHOLDER, (text, name) => (name in FIELDS ? fields[name] || '' : text)).trimEnd());
+    }
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// alert: everything sendAlert knows about the token and its buyers. Values are
+// already formatted; anything missing renders empty.
+function buildFields(alert, tradeLinks) {
+    const { metadata = {} } = alert;
+    const socials = [];
+    const twitter = metadata.twitter ? `<a href="https://twitter.com/${escapeHtml(metadata.twitter.replace('@', ''))}">Twitter</a>` : '';
+    const telegram = metadata.telegram ? `<a href="${escapeHtml(metadata.telegram)}">Telegram</a>` : '';
+    const website = metadata.website ? `<a href="${escapeHtml(metadata.website)}">Website</a>` : '';
+    for (const link of [twitter, telegram, website]) {
+        if (link) socials.push(`• ${link}`);
+    }
+    const links = renderLinks(tradeLinks, alert.tokenAddress);
+
+    return {
+        token: escapeHtml(alert.displayName),
+        name: alert.fullName !== alert.displayName ? escapeHtml(alert.fullName) : '',
+        address: alert.tokenAddress,
+        program: alert.isToken2022 ? ' (Token-2022)' : '',
+        flags: escapeHtml(alert.flags.join(', ')),
+        group: alert.group ? escapeHtml(alert.group) : '',
+        buyers: escapeHtml(alert.buyerLines.join('\n')),
+        buyer_count: String(alert.buyerLines.length),
+        sol_total: alert.solTotal.toFixed(4),
+        usd_total: alert.usdTotal || '',
+        score: alert.score.toFixed(2),
+        score_threshold: String(alert.scoreThreshold),
+        price_usd: alert.priceUsd,
+        price_sol: alert.priceSol,
+        market_cap: alert.marketCap,
+        holders: alert.holders || '',
+        bonding: alert.bondingProgress || '',
+        socials: socials.join('\n'),
+        twitter,
+        telegram,
+        website,
+        links: links.map(link => `• ${link}`).join('\n'),
+        links_inline: links.join(' | '),
+        risk_score: alert.safety ? `${alert.safety.score}/100` : '',
+        risk: alert.safety ? escapeHtml(alert.safetyLines.join('\n')) : '',
+        risk_findings: alert.safety ? escapeHtml(alert.safety.findings.join(', ') || 'nothing found') : ''
+    };
+}
+
+module.exports = {
+    FIELDS,
+    PRESETS,
+    DEFAULT_TRADE_LINKS,
+    escapeHtml,
+    resolveTemplate,
+    unknownPlaceholders,
+    isValidLinkUrl,
+    renderLinks,
+    buildFields,
+    render
+};
@@ -0,0 +1,162 @@
+const { PRIORITIES } = require('./scheduler');
+
+// Token data cache split into namespaces (metadata, market, ...), each with its own TTL
+// and entry limit. Entries are kept least recently used first, so the oldest is evicted
+// when a namespace is full. Namespaces marked persist are written to a JsonStore and
+// reloaded on start; their TTL still applies to what was saved.
+class TokenCache {
+    constructor({ namespaces, store = null }) {
+        this.store = store;
+        this.namespaces = new Map();
+        for (const [name, { ttlMs, maxEntries = 1000, persist = false }] of Object.entries(namespaces)) {
+            this.namespaces.set(name, {
+                ttlMs,
+                maxEntries,
+                persist,
+                entries: new Map(), // key -> { value, storedAt }, least recently used first
+                inFlight: new Map(), // key -> { promise, rank } of a running load
+                hits: 0,
+                misses: 0,
+                coalesced: 0,
+                evictions: 0
+            });
+        }
+    }
+
+    namespace(name) {
+        const namespace = this.namespaces.get(name);
+        if (!namespace) throw new Error(`Unknown cache namespace: ${name}`);
+        return namespace;
+    }
+
+    // Cached value, or undefined if missing or expired
+    get(name, key) {
+        const namespace = this.namespace(name);
+        const entry = namespace.entries.get(key);
+        if (!entry) return undefined;
+
+        if (Date.now() - entry.storedAt >= namespace.ttlMs) {
+            namespace.entries.delete(key);
+            return undefined;
+        }
+
+        // Re-insert to mark it most recently used
+        namespace.entries.delete(key);
+        namespace.entries.set(key, entry);
+        return entry.value;
+    }
+
+    set(name, key, value) {
+        const namespace = this.namespace(name);
+        namespace.entries.delete(key);
+        namespace.entries.set(key, { value, storedAt: Date.now() });
+
+        while (namespace.entries.size > namespace.maxEntries) {
+            namespace.entries.delete(namespace.entries.keys().next().value);
+            namespace.evictions++;
+        }
+
+        if (namespace.persist && this.store) {
+            this.store.scheduleSave(() => this.snapshot());
+        }
+    }
+
+    delete(name, key) {
+        this.namespace(name).entries.delete(key);
+    }
+
+    // Cached value, or the result of load(). Concurrent calls for the same key share one
+    // load, unless the caller is more urgent than the load's own priority (see scheduler.js):
+    // an alert shouldn't wait in the background queue behind a performance sample, so it
+    // starts its own load, which later callers then join. null and undefined results are
+    // returned but not cached, so a lookup that found nothing is tried again next time.
+    async getOrLoad(name, key, load, { priority = 'normal' } = {}) {
+        const namespace = this.namespace(name);
+        const cached = this.get(name, key);
+        if (cached !== undefined) {
+            namespace.hits++;
+            return cached;
+        }
+
+        const rank = PRIORITIES.includes(priority) ? PRIORITIES.indexOf(priority) : PRIORITIES.indexOf('normal');
+        const running = namespace.inFlight.get(key);
+        if (running && running.rank <= rank) {
+            namespace.coalesced++;
+            return running.promise;
+        }
+
+        namespace.misses++;
+        const entry = { rank };
+        entry.promise = (async () => {
+            try {
+                const value = await load();
+                if (value !== null && value !== undefined) {
+                    this.set(name, key, value);
+                }
+                return value;
+            } finally {
+                // A more urgent load may have taken over the key meanwhile
+                if (namespace.inFlight.get(key) === entry) namespace.inFlight.delete(key);
+            }
+        })();
+        namespace.inFlight.set(key, entry);
+        return entry.promise;
+    }
+
+    // Unexpired entries of persisted namespaces
+    snapshot() {
+        const now = Date.now();
+        const namespaces = {};
+        for (const [name, namespace] of this.namespaces) {
+            if (!namespace.persist) continue;
+            namespaces[name] = Array.from(namespace.entries)
+                .filter(([, entry]) => now - entry.storedAt < namespace.ttlMs);
+        }
+        return { namespaces };
+    }
+
+    load() {
+        if (!this.store) return;
+
+        const saved = this.store.load();
+        let loaded = 0;
+        for (const [name, entries] of Object.entries(saved?.namespaces || {})) {
+            const namespace = this.namespaces.get(name);
+            if (!namespace || !namespace.persist) continue;
+            for (const [key, entry] of entries) {
+                namespace.entries.set(key, entry);
+                loaded++;
+            }
+            // The limit may have been lowered since the save
+            while (namespace.entries.size > namespace.maxEntries) {
+                namespace.entries.delete(namespace.entries.keys().next().value);
+            }
+        }
+        if (loaded > 0) {
+            console.log(`INFO: Loaded ${loaded} cached token entries.`);
+        }
+    }
+
+    flushSync() {
+        if (this.store) {
+            this.store.flushSync(() => this.snapshot());
+        }
+    }
+
+    // Size and hit rate per namespace, for /providers
+    status() {
+        return Array.from(this.namespaces, ([name, namespace]) => ({
+            name,
+            size: namespace.entries.size,
+            maxEntries: namespace.maxEntries,
+            ttlMs: namespace.ttlMs,
+            hits: namespace.hits,
+            misses: namespace.misses,
+            coalesced: namespace.coalesced,
+            evictions: namespace.evictions,
+            inFlight: namespace.inFlight.size
+        }));
+    }
+}
+
+module.exports = { TokenCache };
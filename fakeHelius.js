@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const express = require('express');
+const bodyParser = require('body-parser');
+const axios = require('axios');
+
+// In-memory stand-in for the Helius webhook API, for local runs and tests.
+// Point HELIUS_API_BASE_URL at it and use deliver() to push enhanced transactions
+// to the bot's /webhook exactly the way Helius would.
+//
+//   const fake = createFakeHelius({ apiKey: 'test' });
+//   const { url } = await fake.start();
+//   ...
+//   await fake.deliver(webhookId, [enhancedTx]);
+//   await fake.stop();
+function createFakeHelius({ apiKey } = {}) {
+    const app = express();
+    const webhooks = new Map();
+    let server = null;
+
+    app.use(bodyParser.json({ limit: '5mb' }));
+
+    app.use((req, res, next) => {
+        if (apiKey && req.query['api-key'] !== apiKey) {
+            return res.status(401).json({ error: 'invalid api key' });
+        }
+        next();
+    });
+
+    app.get('/webhooks', (req, res) => {
+        res.json(Array.from(webhooks.values()));
+    });
+
+    app.get('/webhooks/:id', (req, res) => {
+        const webhook = webhooks.get(req.params.id);
+        if (!webhook) return res.status(404).json({ error: 'webhook not found' });
+        res.json(webhook);
+    });
+
+    app.post('/webhooks', (req, res) => {
+        const webhook = {
+            webhookID: crypto.randomUUID(),
+            wallet: 'fake-helius',
+            webhookURL: req.body.webhookURL,
+            transactionTypes: req.body.transactionTypes || ['ANY'],
+            accountAddresses: req.body.accountAddresses || [],
+            webhookType: req.body.webhookType || 'enhanced',
+            authHeader: req.body.authHeader
+        };
+        webhooks.set(webhook.webhookID, webhook);
+        res.json(webhook);
+    });
+
+    app.put('/webhooks/:id', (req, res) => {
+        if (!webhooks.has(req.params.id)) return res.status(404).json({ error: 'webhook not found' });
+        const webhook = { ...req.body, webhookID: req.params.id, wallet: 'fake-helius' };
+        webhooks.set(req.params.id, webhook);
+        res.json(webhook);
+    });
+
+    app.delete('/webhooks/:id', (req, res) => {
+        webhooks.delete(req.params.id);
+        res.status(200).send();
+    });
+
+    return {
+        app,
+        webhooks,
+
+        start(port = 0) {
+            return new Promise((resolve) => {
+                server = app.listen(port, () => {
+                    resolve({ url: `http://127.0.0.1:${server.address().port}` });
+                });
+            });
+        },
+
+        stop() {
+            return new Promise((resolve) => {
+                if (!server) return resolve();
+                server.close(() => resolve());
+                server = null;
+            });
+        },
+
+        // Sends transactions to the webhook's URL with its auth header, as Helius does
+        async deliver(webhookId, transactions) {
+            const webhook = webhooks.get(webhookId);
+            if (!webhook) throw new Error(`Unknown webhook ${webhookId}`);
+
+            return axios.post(webhook.webhookURL, transactions, {
+                headers: webhook.authHeader ? { Authorization: webhook.authHeader } : {},
+                validateStatus: () => true
+            });
+        }
+    };
+}
+
+module.exports = { createFakeHelius };
@@ -0,0 +1,191 @@
+// Per-chat token quality filters, checked after a buy signal meets its rules and
+// before the alert goes out. A filter whose data is missing for a token (no market
+// cap from the API, no deploy time...) is skipped rather than counted as a failure.
+
+const DEFAULT_FILTERS = {
+    minMarketCap: null, // USD
+    maxMarketCap: null,
+    minHolders: null,
+    minBondingProgress: null, // 0-1
+    maxBondingProgress: null,
+    excludeGraduated: false, // bonding curve complete (isComplete)
+    maxAgeMinutes: null, // since deployTime
+    minBuySellRatio: null, // 24h buy volume / sell volume
+    blockedMints: [],
+    blockedDeployers: []
+};
+
+// Shared by /filter: name -> setting keys and how its value is written
+const FILTER_NAMES = {
+    mincap: 'minMarketCap',
+    maxcap: 'maxMarketCap',
+    minholders: 'minHolders',
+    bonding: ['minBondingProgress', 'maxBondingProgress'],
+    graduated: 'excludeGraduated',
+    maxage: 'maxAgeMinutes',
+    ratio: 'minBuySellRatio'
+};
+
+function createFilters(saved = {}) {
+    return {
+        ...DEFAULT_FILTERS,
+        ...saved,
+        blockedMints: [...(saved.blockedMints || [])],
+        blockedDeployers: [...(saved.blockedDeployers || [])]
+    };
+}
+
+// "50k", "1.2m", "300" -> number
+function parseAmount(text) {
+    const match = String(text).trim().toLowerCase().match(/^(\d*\.?\d+)\s*(k|m)?$/);
+    if (!match) return null;
+    return parseFloat(match[1]) * ({ k: 1e3, m: 1e6 }[match[2]] || 1);
+}
+
+// "30", "30m", "6h", "2d" -> minutes
+function parseMinutes(text) {
+    const match = String(text).trim().toLowerCase().match(/^(\d+)\s*(m|h|d)?$/);
+    if (!match) return null;
+    return parseInt(match[1]) * ({ h: 60, d: 1440 }[match[2]] || 1);
+}
+
+// Applies "/filter <name> <value>" to filters. Returns an error message, or null on success.
+// "off" clears any filter.
+function applyFilterSetting(filters, name, value) {
+    const key = FILTER_NAMES[name];
+    if (!key) {
+        return `Unknown filter "${name}". Filters: ${Object.keys(FILTER_NAMES).join(', ')}`;
+    }
+
+    value = String(value).trim().toLowerCase();
+    if (value === 'off') {
+        for (const field of [].concat(key)) {
+            filters[field] = DEFAULT_FILTERS[field];
+        }
+        return null;
+    }
+
+    switch (name) {
+        case 'graduated':
+            if (value !== 'exclude' && value !== 'allow') return 'Use /filter graduated exclude|allow';
+            filters.excludeGraduated = value === 'exclude';
+            return null;
+        case 'bonding': {
+            const match = value.match(/^(\d*\.?\d+)\s*-\s*(\d*\.?\d+)$/);
+            const min = match && parseFloat(match[1]);
+            const max = match && parseFloat(match[2]);
+            if (!match || min > max || max > 100) return 'Use a percent range, e.g. /filter bonding 20-90';
+            filters.minBondingProgress = min / 100;
+            filters.maxBondingProgress = max / 100;
+            return null;
+        }
+        case 'maxage': {
+            const minutes = parseMinutes(value);
+            if (!minutes) return 'Use minutes, hours or days, e.g. /filter maxage 6h';
+            filters.maxAgeMinutes = minutes;
+            return null;
+        }
+        case 'ratio': {
+            const ratio = parseFloat(value);
+            if (!(ratio > 0)) return 'Use a positive number, e.g. /filter ratio 1.5';
+            filters.minBuySellRatio = ratio;
+            return null;
+        }
+        default: {
+            const amount = parseAmount(value);
+            if (amount === null) return `Use a number, e.g. /filter ${name} ${name === 'minholders' ? '100' : '50k'}`;
+            filters[key] = amount;
+            return null;
+        }
+    }
+}
+
+function formatUsd(value) {
+    if (value >= 1e6) return `$${(value / 1e6).toFixed(2)}M`;
+    if (value >= 1e3) return `$${(value / 1e3).toFixed(1)}K`;
+    return `$${value}`;
+}
+
+// One line per active filter, for /filters and /settings
+function describeFilters(filters) {
+    const lines = [];
+    if (filters.minMarketCap !== null) lines.push(`Market cap ≥ ${formatUsd(filters.minMarketCap)}`);
+    if (filters.maxMarketCap !== null) lines.push(`Market cap ≤ ${formatUsd(filters.maxMarketCap)}`);
+    if (filters.minHolders !== null) lines.push(`Holders ≥ ${filters.minHolders}`);
+    if (filters.minBondingProgress !== null) {
+        lines.push(`Bonding progress ${filters.minBondingProgress * 100}-${filters.maxBondingProgress * 100}%`);
+    }
+    if (filters.excludeGraduated) lines.push('Graduated tokens excluded');
+    if (filters.maxAgeMinutes !== null) lines.push(`Token age ≤ ${filters.maxAgeMinutes} min`);
+    if (filters.minBuySellRatio !== null) lines.push(`24h buy/sell ratio ≥ ${filters.minBuySellRatio}`);
+    if (filters.blockedMints.length) lines.push(`${filters.blockedMints.length} blocked mint(s)`);
+    if (filters.blockedDeployers.length) lines.push(`${filters.blockedDeployers.length} blocked deployer(s)`);
+    return lines;
+}
+
+// tokenInfo is the enriched swap (metadata, marketData, volumeData). Returns the
+// reason the token is filtered out, or null if it passes.
+function checkFilters(filters, tokenInfo, now = Date.now()) {
+    const metadata = tokenInfo.metadata || {};
+    const marketData = tokenInfo.marketData || {};
+    const volumeData = tokenInfo.volumeData || {};
+
+    if (filters.blockedMints.includes(tokenInfo.tokenAddress)) {
+        return 'Mint is blocked';
+    }
+    if (metadata.deployer && filters.blockedDeployers.includes(metadata.deployer)) {
+        return `Deployer ${metadata.deployer.slice(0, 8)}... is blocked`;
+    }
+
+    const marketCap = parseFloat(marketData.marketCap);
+    if (!isNaN(marketCap)) {
+        if (filters.minMarketCap !== null && marketCap < filters.minMarketCap) {
+            return `Market cap ${formatUsd(Math.round(marketCap))} below ${formatUsd(filters.minMarketCap)}`;
+        }
+        if (filters.maxMarketCap !== null && marketCap > filters.maxMarketCap) {
+            return `Market cap ${formatUsd(Math.round(marketCap))} above ${formatUsd(filters.maxMarketCap)}`;
+        }
+    }
+
+    if (filters.minHolders !== null && marketData.holders && marketData.holders < filters.minHolders) {
+        return `${marketData.holders} holders, below ${filters.minHolders}`;
+    }
+
+    const progress = parseFloat(marketData.bondingProgress);
+    if (filters.minBondingProgress !== null && !isNaN(progress) &&
+        (progress < filters.minBondingProgress || progress > filters.maxBondingProgress)) {
+        return `Bonding progress ${(progress * 100).toFixed(1)}% outside ` +
+            `${filters.minBondingProgress * 100}-${filters.maxBondingProgress * 100}%`;
+    }
+
+    if (filters.excludeGraduated && metadata.isComplete) {
+        return 'Token has graduated';
+    }
+
+    const deployedAt = Date.parse(metadata.deployTime);
+    if (filters.maxAgeMinutes !== null && !isNaN(deployedAt)) {
+        const ageMinutes = (now - deployedAt) / 60000;
+        if (ageMinutes > filters.maxAgeMinutes) {
+            return `Token is ${Math.round(ageMinutes)} min old, max ${filters.maxAgeMinutes}`;
+        }
+    }
+
+    // No 24h volume at all means the API had nothing, not a ratio of zero
+    if (filters.minBuySellRatio !== null && (volumeData.buyVolume24h || volumeData.sellVolume24h)) {
+        const ratio = parseFloat(volumeData.buySellRatio);
+        if (ratio < filters.minBuySellRatio) {
+            return `24h buy/sell ratio ${ratio} below ${filters.minBuySellRatio}`;
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    DEFAULT_FILTERS,
+    FILTER_NAMES,
+    createFilters,
+    applyFilterSetting,
+    describeFilters,
+    checkFilters
+};
@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Constant-time comparison of the Authorization header Helius sends with every delivery.
+// Without a configured secret nothing verifies.
+function verifyAuthHeader(received, expected) {
+    if (!expected) return false;
+    if (typeof received !== 'string') return false;
+
+    const a = Buffer.from(received, 'utf8');
+    const b = Buffer.from(expected, 'utf8');
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Express handler for the bot's /webhook endpoint. Checks the Authorization header,
+// acknowledges straight away (Helius retries deliveries that take too long) and then
+// hands the batch to onTransactions. Without a secret every request is refused: each
+// delivery costs an RPC fetch, so the endpoint can't be left open.
+function webhookHandler({ secret, onTransactions }) {
+    return (req, res) => {
+        if (!secret) {
+            return res.status(503).send('Webhook secret not configured');
+        }
+        if (!verifyAuthHeader(req.headers.authorization, secret)) {
+            console.warn('Rejected webhook request with invalid Authorization header');
+            return res.status(401).send('Unauthorized');
+        }
+
+        const transactions = Array.isArray(req.body) ? req.body : [req.body];
+        if (transactions.some(tx => !tx || typeof tx.signature !== 'string')) {
+            return res.status(400).send('Expected Helius enhanced transactions');
+        }
+
+        res.status(200).send('OK');
+
+        Promise.resolve()
+            .then(() => onTransactions(transactions))
+            .catch(error => console.error('Webhook processing error:', error));
+    };
+}
+
+// Every address that appears in an enhanced transaction: fee payer, accounts
+// with balance changes, and both sides of native and token transfers
+function involvedAddresses(tx) {
+    const addresses = new Set();
+    if (tx.feePayer) addresses.add(tx.feePayer);
+
+    for (const account of tx.accountData || []) {
+        if (account.account) addresses.add(account.account);
+        for (const change of account.tokenBalanceChanges || []) {
+            if (change.userAccount) addresses.add(change.userAccount);
+        }
+    }
+    for (const transfer of tx.nativeTransfers || []) {
+        if (transfer.fromUserAccount) addresses.add(transfer.fromUserAccount);
+        if (transfer.toUserAccount) addresses.add(transfer.toUserAccount);
+    }
+    for (const transfer of tx.tokenTransfers || []) {
+        if (transfer.fromUserAccount) addresses.add(transfer.fromUserAccount);
+        if (transfer.toUserAccount) addresses.add(transfer.toUserAccount);
+    }
+    return addresses;
+}
+
+// Keeps the Helius webhook's accountAddresses in step with the wallets we track.
+// Changes are batched so adding fifty wallets costs one GET and one PUT.
+class HeliusWebhookManager {
+    constructor({ apiKey, baseUrl, webhookId, webhookUrl, authHeader, debounceMs = 2000 }) {
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl;
+        this.webhookId = webhookId || null;
+        this.webhookUrl = webhookUrl || null;
+        this.authHeader = authHeader || null;
+        this.debounceMs = debounceMs;
+
+        this.pendingAdds = new Set();
+        this.pendingRemoves = new Set();
+        this.replaceWith = null;
+        this.syncTimer = null;
+        this.syncing = Promise.resolve();
+    }
+
+    async request(method, path, data) {
+        const response = await axios({
+            method,
+            url: `${this.baseUrl}${path}`,
+            params: { 'api-key': this.apiKey },
+            data,
+            headers: { 'Content-Type': 'application/json' }
+        });
+        return response.data;
+    }
+
+    // Uses HELIUS_WEBHOOK_ID if given, otherwise finds or creates a webhook for our URL
+    async resolveWebhook(initialAddresses = []) {
+        if (this.webhookId) {
+            return this.request('get', `/webhooks/${this.webhookId}`);
+        }
+        if (!this.webhookUrl) {
+            throw new Error('Neither a Helius webhook ID nor a webhook URL is configured');
+        }
+
+        const webhooks = await this.request('get', '/webhooks');
+        const existing = (webhooks || []).find(w => w.webhookURL === this.webhookUrl);
+        if (existing) {
+            this.webhookId = existing.webhookID;
+            return existing;
+        }
+
+        const created = await this.request('post', '/webhooks', {
+            webhookURL: this.webhookUrl,
+            transactionTypes: ['ANY'],
+            accountAddresses: initialAddresses,
+            webhookType: 'enhanced',
+            ...(this.authHeader ? { authHeader: this.authHeader } : {})
+        });
+        this.webhookId = created.webhookID;
+        console.log(`INFO: Created Helius webhook ${this.webhookId} for ${this.webhookUrl}`);
+        return created;
+    }
+
+    addAddresses(addresses) {
+        for (const address of addresses) {
+            this.pendingRemoves.delete(address);
+            this.pendingAdds.add(address);
+        }
+        this.scheduleSync();
+    }
+
+    removeAddresses(addresses) {
+        for (const address of addresses) {
+            this.pendingAdds.delete(address);
+            this.pendingRemoves.add(address);
+        }
+        this.scheduleSync();
+    }
+
+    // Replace the whole list, e.g. on startup from saved state
+    setAddresses(addresses) {
+        this.replaceWith = new Set(addresses);
+        this.pendingAdds.clear();
+        this.pendingRemoves.clear();
+        this.scheduleSync();
+    }
+
+    scheduleSync(delayMs = this.debounceMs) {
+        if (this.syncTimer) return;
+        this.syncTimer = setTimeout(() => {
+            this.syncTimer = null;
+            this.syncing = this.syncing
+                .then(() => this.sync())
+                .catch(error => {
+                    console.error('Helius webhook sync error:', error.message);
+                    this.scheduleSync(30000);
+                });
+        }, delayMs);
+    }
+
+    hasPendingChanges() {
+        return Boolean(this.replaceWith) || this.pendingAdds.size > 0 || this.pendingRemoves.size > 0;
+    }
+
+    async sync() {
+        if (!this.hasPendingChanges()) return;
+
+        const adds = Array.from(this.pendingAdds);
+        const removes = new Set(this.pendingRemoves);
+        const replaceWith = this.replaceWith;
+        this.pendingAdds.clear();
+        this.pendingRemoves.clear();
+        this.replaceWith = null;
+
+        try {
+            const webhook = await this.resolveWebhook(replaceWith ? Array.from(replaceWith) : adds);
+            const addresses = replaceWith
+                ? new Set(replaceWith)
+                : new Set(webhook.accountAddresses || []);
+            for (const address of adds) addresses.add(address);
+            for (const address of removes) addresses.delete(address);
+
+            await this.request('put', `/webhooks/${this.webhookId}`, {
+                webhookURL: webhook.webhookURL || this.webhookUrl,
+                transactionTypes: webhook.transactionTypes || ['ANY'],
+                accountAddresses: Array.from(addresses),
+                webhookType: webhook.webhookType || 'enhanced',
+                ...(this.authHeader ? { authHeader: this.authHeader } : {})
+            });
+
+            console.log(`INFO: Helius webhook ${this.webhookId} now watches ${addresses.size} address(es)`);
+        } catch (error) {
+            // Put the changes back so the next sync retries them
+            if (replaceWith && !this.replaceWith) this.replaceWith = replaceWith;
+            for (const address of adds) {
+                if (!this.pendingRemoves.has(address)) this.pendingAdds.add(address);
+            }
+            for (const address of removes) {
+                if (!this.pendingAdds.has(address)) this.pendingRemoves.add(address);
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = {
+    HeliusWebhookManager,
+    verifyAuthHeader,
+    webhookHandler,
+    involvedAddresses
+};
@@ -1,12 +1,52 @@
 require('dotenv').config(); // Load variables from .env file
 const TelegramBot = require('node-telegram-bot-api');
-const { Connection, PublicKey, Keypair } = require('@solana/web3.js');
+const {
+    PublicKey,
+    Keypair,
+    SystemProgram,
+    TransactionMessage,
+    VersionedTransaction,
+    LAMPORTS_PER_SOL
+} = require('@solana/web3.js');
 const express = require('express');
 const bodyParser = require('body-parser');
-const fetch = require('node-fetch'); // Add at top
-const axios = require('axios');
 const bs58 = require('bs58');
-const WebSocket = require('ws');
+const { LogsSubscriptionManager, toWebSocketUrl } = require('./subscriptions');
+const path = require('path');
+const { JsonStore } = require('./store');
+const { Keystore } = require('./keystore');
+const { decodeSwap, SOL_MINT, QUOTE_MINTS } = require('./swapDecoder');
+const { PerformanceTracker } = require('./performance');
+const { WalletProfiler } = require('./profiler');
+const { SafetyChecker } = require('./safety');
+const { SolPriceFeed } = require('./solPrice');
+const { RpcPool } = require('./rpcPool');
+const { RequestScheduler } = require('./scheduler');
+const { TokenCache } = require('./cache');
+const { MetricsRegistry } = require('./metrics');
+const {
+    TokenDataChain,
+    CallStaticProvider,
+    HeliusDasProvider,
+    SolscanProvider,
+    OnChainProvider
+} = require('./tokenData');
+const { TOKEN_PROGRAM_IDS, TOKEN_2022_PROGRAM_ID, parseMint, riskyExtensions } = require('./token2022');
+const alertTemplates = require('./alertTemplates');
+const { createFilters, applyFilterSetting, describeFilters, checkFilters, FILTER_NAMES } = require('./filters');
+// Buttons anyone in a group may press; everything else needs a chat or bot admin
+const CALLBACKS_READ_ONLY = new Set(['command_show', 'command_settings', 'command_status', 'command_groups']);
+// Buttons that touch personal wallets (keys, balances, transfers)
+const CALLBACKS_PRIVATE_ONLY = new Set([
+    'command_create_wallet', 'command_my_wallets', 'check_balance', 'deposit', 'send_sol',
+    'send_confirm', 'send_cancel', 'reveal_key', 'reveal_confirm', 'reveal_cancel', 'delete_user_wallet'
+]);
+
+const {
+    HeliusWebhookManager,
+    webhookHandler,
+    involvedAddresses
+} = require('./helius');
 
 class WalletTracker {
   constructor() { // <-- No arguments needed here now!
@@ -22,13 +62,31 @@ class WalletTracker {
       // API Keys (check if they exist, warn or throw error if critical ones are missing)
       this.heliusConfig = {
           apiKey: process.env.HELIUS_API_KEY,
-          baseUrl: 'https://api.helius.xyz/v0',
-          rpcUrl: process.env.HELIUS_RPC_URL // Ensure HELIUS_RPC_URL is in your .env
+          baseUrl: process.env.HELIUS_API_BASE_URL || 'https://api.helius.xyz/v0',
+          rpcUrl: process.env.HELIUS_RPC_URL, // Ensure HELIUS_RPC_URL is in your .env
+          webhookId: process.env.HELIUS_WEBHOOK_ID,       // Existing webhook to manage, or...
+          webhookUrl: process.env.HELIUS_WEBHOOK_URL,     // ...public URL of our /webhook to create one for
+          webhookSecret: process.env.HELIUS_WEBHOOK_SECRET // Sent by Helius as the Authorization header
       };
       if (!this.heliusConfig.apiKey || !this.heliusConfig.rpcUrl) {
            console.warn("WARN: Helius API Key or RPC URL missing in environment variables. Some features might be limited.");
       }
 
+      // Helius webhook address list is managed automatically when a webhook is configured
+      this.heliusWebhooks = null;
+      if (this.heliusConfig.apiKey && (this.heliusConfig.webhookId || this.heliusConfig.webhookUrl)) {
+          this.heliusWebhooks = new HeliusWebhookManager({
+              apiKey: this.heliusConfig.apiKey,
+              baseUrl: this.heliusConfig.baseUrl,
+              webhookId: this.heliusConfig.webhookId,
+              webhookUrl: this.heliusConfig.webhookUrl,
+              authHeader: this.heliusConfig.webhookSecret
+          });
+          if (!this.heliusConfig.webhookSecret) {
+              console.warn("WARN: HELIUS_WEBHOOK_SECRET missing. /webhook will refuse all deliveries until it is set.");
+          }
+      }
+
       this.callStaticConfig = {
           apiKey: process.env.CALLSTATIC_API_KEY,
           baseUrl: 'https://api.callstaticrpc.com/pumpfun/v1'
@@ -40,17 +98,19 @@ class WalletTracker {
       this.solscanConfig = {
            apiKey: process.env.SOLSCAN_API_KEY, // Add checks if Solscan is used
            baseUrl: 'https://api.solscan.io',
-           // Ensure headers/rateLimit objects are fully defined if needed, e.g.:
+           // Ensure the headers object is fully defined if needed, e.g.:
            headers: {
                'Accept': 'application/json',
                'User-Agent': 'WalletTracker/1.0'
                // Add other headers if necessary
-           },
-           rateLimit: {
-               lastCall: 0,
-               minInterval: 100 // 100ms between calls
            }
       };
+      // Personal wallet secret keys are encrypted with this passphrase before they are stored
+      this.keystore = new Keystore(process.env.KEYSTORE_PASSPHRASE);
+      if (!this.keystore.isConfigured) {
+          console.warn("WARN: KEYSTORE_PASSPHRASE missing. Personal wallet creation and signing are disabled.");
+      }
+
       // Optional: Check if SOLSCAN_API_KEY is present if you rely on Solscan
       // if (!this.solscanConfig.apiKey) {
       //    console.warn("WARN: Solscan API Key missing. Solscan features might be limited.");
@@ -70,19 +130,76 @@ class WalletTracker {
            // Throw the error *only if* the list is actually empty
            throw new Error("FATAL: No valid RPC endpoint URLs found in environment variables (Check ALCHEMY_RPC_URL, HELIUS_RPC_URL, ANKR_RPC_URL, PUBLIC_RPC_URL in .env).");
       }
-      // If the check passes (list is not empty), proceed:
-      this.currentRpcIndex = 0; // Use the unified index name
       console.log(`INFO: Configured ${this.rpcEndpoints.length} RPC endpoints.`);
+
+      // --- Request Budgets ---
+      // One token bucket per provider, shared by every poller and feature, so adding wallets
+      // queues requests instead of tripping rate limits. <NAME>_REQUESTS_PER_SECOND sets
+      // a budget; the RPC one covers all endpoints in the pool together.
+      const budget = (name, ratePerSecond) => ({
+          ratePerSecond: parseFloat(process.env[`${name}_REQUESTS_PER_SECOND`]) || ratePerSecond
+      });
+      this.scheduler = new RequestScheduler({
+          budgets: {
+              rpc: budget('RPC', 10),
+              callstatic: budget('CALLSTATIC', 5),
+              helius: budget('HELIUS', 10),
+              solscan: budget('SOLSCAN', 10)
+          }
+      });
+
+      // Every RPC call goes through the pool: each request is sent to the healthiest
+      // endpoint (getSlot latency, slot lag, error rate) and retried on another one on
+      // 429/5xx. An endpoint failing RPC_FAILURE_THRESHOLD times in a row is skipped for
+      // RPC_COOLDOWN_SECONDS, then gets a single trial request before it's used again.
+      this.rpcStats = {}; // pool-wide counters, filled in by the pool
+      this.rpcPool = new RpcPool(this.rpcEndpoints, {
+          commitment: 'confirmed',
+          healthCheckMs: (parseInt(process.env.RPC_HEALTH_CHECK_SECONDS) || 30) * 1000,
+          failureThreshold: parseInt(process.env.RPC_FAILURE_THRESHOLD) || 3,
+          cooldownMs: (parseInt(process.env.RPC_COOLDOWN_SECONDS) || 30) * 1000,
+          scheduler: this.scheduler,
+          stats: this.rpcStats
+      });
       // --- End Unified RPC Configuration ---
 
 
       // --- Initialize Bot and Connection ---
       this.bot = new TelegramBot(botToken, { polling: true });
-      // Initialize connection using the unified list and index
-      this.connection = new Connection(this.rpcEndpoints[this.currentRpcIndex], {
-           commitment: 'confirmed',
-      });
-      console.log(`INFO: Initialized Solana connection with: ${this.rpcEndpoints[this.currentRpcIndex].split('?')[0]}`);
+      // Looks like a Connection; every method call is routed through the pool
+      this.connection = this.rpcPool.connection;
+
+      // --- Metrics ---
+      // Served in Prometheus format on /metrics, next to /healthz (see setupWebhook)
+      this.metrics = this.createMetrics();
+      this.telegramHealth = { ok: null, checkedAt: 0 }; // last getMe probe, see checkReadiness
+      // Failed Telegram calls are counted; callers still get the error
+      for (const method of ['sendMessage', 'editMessageText', 'answerCallbackQuery']) {
+          const call = this.bot[method].bind(this.bot);
+          this.bot[method] = (...args) => call(...args).catch(error => {
+              this.metrics.telegramErrors.inc({ method });
+              throw error;
+          });
+      }
+
+      // --- Log Subscriptions ---
+      // New transactions are detected with logsSubscribe over a websocket. Pollers only run
+      // on a notification, as a slow safety net, or every 30s while the socket is down.
+      this.safetyPollIntervalMs = (parseInt(process.env.SAFETY_POLL_SECONDS) || 300) * 1000;
+
+      // --- Signature Catch-up ---
+      // On restart or /resume, replay up to this many minutes of history (0 = start fresh on /resume)
+      this.backfillLookbackSeconds = (parseInt(process.env.BACKFILL_LOOKBACK_MINUTES) || 0) * 60;
+      this.signaturePageSize = 100;
+      this.maxSignaturePages = parseInt(process.env.MAX_SIGNATURE_PAGES) || 20;
+      this.maxTransactionRetries = parseInt(process.env.MAX_TRANSACTION_RETRIES) || 5;
+      this.logsSubscriptions = new LogsSubscriptionManager(
+          process.env.SOLANA_WS_URL || toWebSocketUrl(this.rpcEndpoints[0]),
+          {
+              onLogs: (address, signature, err) => this.handleLogsNotification(address, signature, err),
+              onStatusChange: (connected) => this.handleSubscriptionStatus(connected)
+          }
+      );
 
 
       // --- Webhook/Express Setup (Decide if needed) ---
@@ -97,53 +214,482 @@ class WalletTracker {
       // --- State Variables ---
       this.userSettings = new Map();
       this.recentTransactions = new Map();
+      this.recentSells = new Map();    // `${chatId}:${mint}` -> window entry (see createWindowEntry), mirrors recentTransactions
+      this.positions = new Map();      // `${chatId}:${mint}` -> Map(wallet -> { bought, sold, updatedAt }) in tokens
+      this.alertedTokens = new Map();  // `${chatId}:${mint}` -> buyers of the last buy alert, to spot them dumping
       this.awaitingWallets = new Set();
       this.awaitingWalletCount = new Set();
       this.awaitingThreshold = new Set();
-      this.monitoringIntervals = new Map();
-      this.tokenCache = new Map();
-      // Initialize rpcStats properly
-      this.rpcStats = {
-           lastRotation: Date.now(),
-           rateLimitCount: 0,
-           totalRequests: 0,
-           totalRotations: 0 // Initialize totalRotations
-       };
+      this.awaitingExitCount = new Set();
+      this.awaitingWindow = new Set();
+      this.awaitingScore = new Set();
+      this.awaitingRealert = new Map(); // chatId -> 'cooldown' | 'growth', waiting for its value
+      this.awaitingSendAmount = new Map(); // chatId -> in-progress Send SOL flow
+      this.watchers = new Map(); // address -> shared watcher, see attachWatcher
+      this.signatureCheckpoints = new Map(); // address -> last processed signature
+      this.chatAdminCache = new Map(); // `${chatId}:${userId}` -> { isAdmin, timestamp }
+      this.botUser = null; // from getMe, to recognise /command@ThisBot in groups
+      this.filteredAlerts = new Map(); // chatId -> alerts suppressed by filters, newest first (see recordFiltered)
+      this.processedSignatures = new Map(); // `${chatId}:${wallet}:${signature}` -> time, so webhook and poller never double count
 
 
       // --- Default Settings ---
       this.defaultSettings = {
           solThreshold: 0.5,
-          requiredWallets: 3,
+          thresholdUsd: null, // when set, solThreshold follows this many USD at the current SOL price
+          requiredWallets: 1, // Minimum distinct buyers; the weighted score decides the rest
+          scoreThreshold: 3, // Sum of buyer weights needed for an alert (weight 1 each by default)
+          scoreSolScaling: false, // Scale each buyer's weight by how much SOL they spent
+          walletWeights: new Map(), // address -> weight, missing means 1
+          groups: new Map(), // name -> { solThreshold, thresholdUsd, requiredWallets, scoreThreshold, confluenceWindowMinutes }
+          walletGroups: new Map(), // address -> [group names]; ungrouped wallets use the chat's own rules
+          admins: [], // Telegram user ids allowed to change settings besides the chat's own admins
+          alertDestinations: [], // { id, title, username } of groups/channels that also receive this chat's alerts
+          requiredExitWallets: 3, // Tracked wallets selling the same token before an exit alert
+          confluenceWindowMinutes: 60, // Sliding window buys (and sells) are counted over
+          realertMode: 'cooldown', // 'cooldown' or 'growth'
+          realertCooldownMinutes: 60, // cooldown: minutes before the same token may alert again
+          realertGrowth: 2, // growth: new wallets needed since the last alert
+          alertTemplate: 'full', // preset name (see alertTemplates.PRESETS) or custom template text
+          tradeLinks: alertTemplates.DEFAULT_TRADE_LINKS, // { name, url } with {address} in the url
+          filters: createFilters(), // token quality filters checked before alerting, see filters.js
+          maxRiskScore: null, // alerts for tokens with a higher safety risk score are suppressed; null is off
           wallets: new Map(),
           isPaused: false,
-          lastProcessedSignatures: new Map(),
           userWallets: [], // Initialize personal wallets array here
           monitoringStartTimes: {} // Initialize monitoring start times
       };
 
 
+      // --- Alert Performance ---
+      // Every buy alert is re-sampled at these horizons (PERFORMANCE_HORIZONS, e.g. "5m,1h,6h,24h")
+      this.performance = new PerformanceTracker({
+          getMarketData: (tokenAddress) => this.getTokenMarketData(tokenAddress, 'background'),
+          onChange: () => this.persistState(),
+          horizonsMinutes: PerformanceTracker.parseHorizons(process.env.PERFORMANCE_HORIZONS || '5m,1h,6h,24h')
+              || [5, 60, 360, 1440],
+          sampleIntervalMs: (parseInt(process.env.PERFORMANCE_SAMPLE_MINUTES) || 15) * 60000
+      });
+
+
+      // --- Wallet Profiles ---
+      // Trade history stats per wallet, rebuilt when older than PROFILE_TTL_HOURS
+      this.walletProfiles = new Map(); // address -> profile, see WalletProfiler.computeStats
+      this.profileTtlMs = (parseInt(process.env.PROFILE_TTL_HOURS) || 6) * 3600 * 1000;
+      this.profiler = new WalletProfiler({
+          getConnection: () => this.rpcPool.withPriority('background'),
+          getPriceSol: async (mint) => parseFloat((await this.getTokenMarketData(mint, 'background')).priceSol) || null,
+          maxTransactions: parseInt(process.env.PROFILE_MAX_TRANSACTIONS) || 200
+      });
+
+
+      // --- Safety Checks ---
+      // On-chain rug checks for alerted tokens; the deployer lookup uses DAS on the Helius RPC
+      this.safety = new SafetyChecker({
+          getConnection: () => this.rpcPool.withPriority('alert'),
+          dasUrl: this.heliusConfig.rpcUrl,
+          scheduler: this.scheduler
+      });
+
+
+      // --- SOL/USD Price ---
+      // Pyth price account read directly; USD thresholds and USD amounts in messages use it
+      this.solPrice = new SolPriceFeed({
+          getConnection: () => this.connection,
+          priceAccount: process.env.PYTH_SOL_USD_ACCOUNT || undefined,
+          maxStalenessSeconds: parseInt(process.env.PYTH_MAX_STALENESS_SECONDS) || 120
+      });
+
+
+      // --- Token Data Providers ---
+      // Metadata, market, volume and holder data, asked from each provider in turn
+      this.tokenData = this.createTokenDataChain();
+
+      // Lookups are cached per kind, and concurrent lookups of one mint share a request.
+      // TOKEN_CACHE_<KIND>_TTL_SECONDS and TOKEN_CACHE_MAX_ENTRIES override the defaults.
+      // Metadata is saved to TOKEN_CACHE_FILE so it survives restarts (TOKEN_CACHE_FILE=off disables).
+      const cacheFile = process.env.TOKEN_CACHE_FILE || path.join(__dirname, 'data', 'token-cache.json');
+      const maxEntries = parseInt(process.env.TOKEN_CACHE_MAX_ENTRIES) || 2000;
+      const cacheNamespace = (kind, ttlSeconds, persist = false) => ({
+          ttlMs: (parseInt(process.env[`TOKEN_CACHE_${kind.toUpperCase()}_TTL_SECONDS`]) || ttlSeconds) * 1000,
+          maxEntries,
+          persist
+      });
+      this.tokenCache = new TokenCache({
+          namespaces: {
+              metadata: cacheNamespace('metadata', 600, true),
+              market: cacheNamespace('market', 30),
+              volume: cacheNamespace('volume', 60),
+              holders: cacheNamespace('holders', 300),
+              mint: cacheNamespace('mint', 600)
+          },
+          store: cacheFile === 'off' ? null : new JsonStore(cacheFile)
+      });
+      this.tokenCache.load();
+
+
+      // --- Persistent State ---
+      // Everything per-chat is written to a JSON file so deploys don't wipe tracked wallets.
+      this.store = new JsonStore(process.env.STATE_FILE || path.join(__dirname, 'data', 'state.json'));
+      this.loadState();
+
+
       // --- Initialize Bot Logic ---
       console.log("INFO: Initializing bot commands and handlers...");
       this.initialize(); // Call setup methods (which includes setupWebhook if needed)
   }
     initialize() {
+        this.bot.getMe()
+            .then(me => { this.botUser = me; })
+            .catch(error => console.error('Error fetching bot info:', error.message));
+
         this.setupCommands();
         this.setupMessageHandler();
         this.setupWebhook();
         this.setupErrorHandling();
+        this.setupShutdownHandling();
+        this.logsSubscriptions.start();
+        this.performance.start();
+        this.solPrice.start();
+        this.rpcPool.start();
         console.log('Bot initialized successfully!');
+
+        this.migratePlaintextKeys()
+            .catch(error => console.error('Error encrypting stored wallet keys:', error));
+
+        this.resumeAllMonitoring().catch(error => {
+            console.error('Error resuming monitoring on startup:', error);
+        });
+
+        if (this.heliusWebhooks) {
+            this.heliusWebhooks.setAddresses(this.getAllTrackedAddresses());
+        }
+    }
+
+    // Providers in TOKEN_DATA_PROVIDERS order (default callstatic,helius,solscan,onchain), skipping
+    // any without credentials. <NAME>_TIMEOUT_MS overrides TOKEN_DATA_TIMEOUT_MS for one provider.
+    // Each uses the scheduler budget of the same name; onchain has none since its reads go
+    // through the RPC pool, which has its own.
+    createTokenDataChain() {
+        const factories = {
+            callstatic: () => this.callStaticConfig.apiKey && new CallStaticProvider(this.callStaticConfig),
+            helius: () => this.heliusConfig.rpcUrl && new HeliusDasProvider({ rpcUrl: this.heliusConfig.rpcUrl }),
+            solscan: () => this.solscanConfig.apiKey && new SolscanProvider({
+                apiKey: this.solscanConfig.apiKey,
+                baseUrl: this.solscanConfig.baseUrl,
+                headers: this.solscanConfig.headers
+            }),
+            onchain: () => new OnChainProvider({
+                getConnection: () => this.connection,
+                getMintInfo: (tokenAddress) => this.getMintInfo(tokenAddress)
+            })
+        };
+
+        const providers = [];
+        for (const name of (process.env.TOKEN_DATA_PROVIDERS || 'callstatic,helius,solscan,onchain').split(',')) {
+            const key = name.trim().toLowerCase();
+            if (!factories[key]) {
+                console.warn(`WARN: Unknown token data provider "${name}" in TOKEN_DATA_PROVIDERS.`);
+                continue;
+            }
+            const provider = factories[key]();
+            if (provider) {
+                providers.push({
+                    provider,
+                    budget: key,
+                    timeoutMs: parseInt(process.env[`${key.toUpperCase()}_TIMEOUT_MS`]) || null
+                });
+            }
+        }
+        console.log(`INFO: Token data providers: ${providers.map(({ provider }) => provider.name).join(' → ') || 'none'}`);
+
+        return new TokenDataChain({
+            providers,
+            scheduler: this.scheduler,
+            onRequest: ({ provider, kind, latencyMs, error }) => {
+                this.metrics.providerLatency.observe({ provider, kind }, latencyMs / 1000);
+                if (error) this.metrics.providerErrors.inc({ provider, kind });
+            },
+            timeoutMs: parseInt(process.env.TOKEN_DATA_TIMEOUT_MS) || 5000
+        });
+    }
+
+    // Counters the code updates as it goes, and gauges read from existing state at scrape time
+    createMetrics() {
+        const registry = new MetricsRegistry({ prefix: 'wallet_tracker_' });
+        const perEndpoint = (field, scale = 1) => () => this.rpcPool.status()
+            .filter(endpoint => endpoint[field] !== null)
+            .map(endpoint => ({ labels: { endpoint: endpoint.label }, value: endpoint[field] * scale }));
+
+        registry.gauge('watchers', 'Wallets being watched', () => [{ labels: {}, value: this.watchers.size }]);
+        registry.gauge('chats', 'Chats tracking at least one wallet and not paused', () => [{
+            labels: {},
+            value: Array.from(this.userSettings.values()).filter(settings => !settings.isPaused && settings.wallets.size > 0).length
+        }]);
+        registry.gauge('confluence_candidates', 'Tokens with buys inside an open confluence window', () => [{
+            labels: {},
+            value: Array.from(this.recentTransactions.values()).filter(entry => this.isWindowOpen(entry)).length
+        }]);
+
+        registry.counter('rpc_requests_total', 'RPC requests per endpoint', perEndpoint('requests'));
+        registry.counter('rpc_errors_total', 'RPC requests that failed with an endpoint error (429, 5xx, network)', perEndpoint('errors'));
+        registry.counter('rpc_rate_limited_total', 'RPC requests answered with 429', perEndpoint('rateLimits'));
+        registry.counter('rpc_rotations_total', 'Failed RPC requests retried on another endpoint', perEndpoint('rotations'));
+        registry.counter('rpc_circuit_opened_total', 'Times an endpoint was taken out of rotation', perEndpoint('opened'));
+        registry.gauge('rpc_endpoint_up', '1 while the endpoint is in rotation', () => this.rpcPool.status()
+            .map(endpoint => ({ labels: { endpoint: endpoint.label }, value: endpoint.state === 'closed' ? 1 : 0 })));
+        registry.gauge('rpc_latency_seconds', 'Moving average RPC latency', perEndpoint('latencyMs', 0.001));
+        registry.gauge('rpc_slot_lag', 'Slots behind the most advanced endpoint', perEndpoint('slotLag'));
+
+        registry.gauge('scheduler_queued_requests', 'Requests waiting for a provider budget', () =>
+            this.scheduler.status().flatMap(budget => budget.priorities.map(priority => ({
+                labels: { budget: budget.name, priority: priority.priority },
+                value: priority.queued
+            }))));
+
+        return {
+            registry,
+            pollDuration: registry.histogram('poll_duration_seconds', 'Time to poll one wallet for new signatures and process them'),
+            transactionsFetched: registry.counter('transactions_fetched_total', 'Transactions fetched by the poller or received by webhook'),
+            transactionsParsed: registry.counter('transactions_parsed_total', 'Fetched transactions parsed, by whether they were a token swap'),
+            buysDetected: registry.counter('buys_detected_total', 'Token buys by tracked wallets, per chat'),
+            alertsSent: registry.counter('alerts_sent_total', 'Alerts delivered'),
+            alertsFailed: registry.counter('alerts_failed_total', 'Alerts that could not be built or delivered'),
+            providerLatency: registry.histogram('provider_request_duration_seconds', 'Token data provider call latency'),
+            providerErrors: registry.counter('provider_errors_total', 'Token data provider calls that failed or timed out'),
+            telegramErrors: registry.counter('telegram_errors_total', 'Failed Telegram API calls')
+        };
+    }
+
+    // Ready when at least one RPC endpoint passed a recent health check and Telegram
+    // answers getMe. The getMe result is reused for 30s so probes don't hammer the API.
+    async checkReadiness() {
+        const now = Date.now();
+        const rpcEndpoints = this.rpcPool.status().filter(endpoint => endpoint.state === 'closed' &&
+            endpoint.lastCheckAt && now - endpoint.lastCheckAt < this.rpcPool.healthCheckMs * 3);
+
+        if (now - this.telegramHealth.checkedAt > 30000) {
+            let timer;
+            try {
+                await Promise.race([
+                    this.bot.getMe(),
+                    new Promise((resolve, reject) => {
+                        timer = setTimeout(() => reject(new Error('getMe timed out')), 5000);
+                    })
+                ]).finally(() => clearTimeout(timer));
+                this.telegramHealth = { ok: true, checkedAt: now };
+            } catch (error) {
+                console.error('Telegram health check failed:', error.message);
+                this.telegramHealth = { ok: false, checkedAt: now };
+            }
+        }
+
+        return {
+            ready: rpcEndpoints.length > 0 && this.telegramHealth.ok,
+            rpc: { ok: rpcEndpoints.length > 0, healthyEndpoints: rpcEndpoints.map(endpoint => endpoint.label) },
+            telegram: { ok: this.telegramHealth.ok, checkedAt: new Date(this.telegramHealth.checkedAt).toISOString() }
+        };
+    }
+
+    // A tracked wallet showed up in a transaction's logs: poll it right away
+    handleLogsNotification(address, signature, err) {
+        if (err) return; // failed transactions can't be buys
+
+        const watcher = this.watchers.get(address);
+        if (!watcher) return;
+
+        console.log(`Logs notification for ${address.slice(0, 8)}...: ${signature.slice(0, 8)}...`);
+        watcher.trigger();
+    }
+
+    handleSubscriptionStatus(connected) {
+        console.log(`INFO: Logs subscriptions ${connected ? 'connected' : 'down, falling back to polling'}`);
+
+        // Catch up on anything that happened while the socket was reconnecting
+        if (connected) {
+            for (const watcher of this.watchers.values()) {
+                watcher.trigger();
+            }
+        }
+    }
+
+    // Every wallet address tracked by at least one chat
+    getAllTrackedAddresses() {
+        const addresses = new Set();
+        for (const settings of this.userSettings.values()) {
+            for (const address of settings.wallets.keys()) {
+                addresses.add(address);
+            }
+        }
+        return addresses;
+    }
+
+    // Wallets created before the keystore existed have a plain hex privateKey field.
+    // Encrypt those in place and drop the plaintext.
+    async migratePlaintextKeys() {
+        let migrated = 0;
+        let skipped = 0;
+
+        for (const settings of this.userSettings.values()) {
+            for (const wallet of settings.userWallets || []) {
+                if (!wallet.privateKey) continue;
+
+                if (!this.keystore.isConfigured) {
+                    skipped++;
+                    continue;
+                }
+
+                wallet.encryptedKey = await this.keystore.encryptSecretKey(
+                    wallet.address, Buffer.from(wallet.privateKey, 'hex'));
+                delete wallet.privateKey;
+                migrated++;
+            }
+        }
+
+        if (migrated > 0) {
+            this.persistState();
+            console.log(`INFO: Encrypted ${migrated} stored wallet key(s).`);
+        }
+        if (skipped > 0) {
+            console.warn(`WARN: ${skipped} wallet key(s) are stored unencrypted. Set KEYSTORE_PASSPHRASE to encrypt them.`);
+        }
+    }
+
+    loadState() {
+        const state = this.store.load();
+        if (!state) {
+            console.log('INFO: No saved state found, starting fresh.');
+            return;
+        }
+
+        for (const [chatId, saved] of state.userSettings || []) {
+            // Merge over fresh defaults so settings added after the file was written get a value
+            const settings = this.createDefaultSettings();
+            Object.assign(settings, saved);
+            settings.filters = createFilters(saved.filters);
+
+            // Before weights, requiredWallets alone was the alert condition; with every weight
+            // at 1 a score threshold of the same number behaves identically
+            if (saved.scoreThreshold === undefined) {
+                settings.scoreThreshold = saved.requiredWallets || this.defaultSettings.scoreThreshold;
+                settings.requiredWallets = 1;
+            }
+
+            // Checkpoints used to be kept per chat; they now live with the shared watcher
+            if (settings.lastProcessedSignatures) {
+                for (const [address, signature] of settings.lastProcessedSignatures) {
+                    if (!this.signatureCheckpoints.has(address)) {
+                        this.signatureCheckpoints.set(address, signature);
+                    }
+                }
+                delete settings.lastProcessedSignatures;
+            }
+
+            this.userSettings.set(chatId, settings);
+        }
+
+        for (const [address, signature] of state.signatureCheckpoints || []) {
+            this.signatureCheckpoints.set(address, signature);
+        }
+
+        for (const [key, data] of state.recentTransactions || []) {
+            this.recentTransactions.set(key, this.migrateWindowEntry(key, data, 'buyers'));
+        }
+        for (const [key, data] of state.recentSells || []) {
+            this.recentSells.set(key, this.migrateWindowEntry(key, data, 'sellers'));
+        }
+        for (const [key, wallets] of state.positions || []) {
+            this.positions.set(key, wallets);
+        }
+        for (const [key, data] of state.alertedTokens || []) {
+            this.alertedTokens.set(key, data);
+        }
+        this.performance.load(state.alertPerformance);
+        for (const [address, profile] of state.walletProfiles || []) {
+            this.walletProfiles.set(address, profile);
+        }
+        for (const [chatId, entries] of state.filteredAlerts || []) {
+            this.filteredAlerts.set(chatId, entries);
+        }
+
+        console.log(`INFO: Loaded saved state for ${this.userSettings.size} chat(s).`);
+    }
+
+    // Older state files stored one running total per wallet instead of individual events
+    migrateWindowEntry(key, data, totalsField) {
+        if (data.events) {
+            data.groupAlerts = data.groupAlerts || {};
+            return data;
+        }
+
+        const chatId = Number(key.slice(0, key.lastIndexOf(':')));
+        const entry = {
+            chatId,
+            events: [],
+            timestamp: data.timestamp,
+            firstSeen: data.firstSeen,
+            lastAlert: null,
+            groupAlerts: {}
+        };
+        for (const [wallet, solAmount] of data[totalsField] || []) {
+            entry.events.push({ wallet, solAmount, timestamp: data.timestamp });
+        }
+        return entry;
+    }
+
+    snapshotState() {
+        return {
+            version: 1,
+            savedAt: Date.now(),
+            userSettings: this.userSettings,
+            recentTransactions: this.recentTransactions,
+            recentSells: this.recentSells,
+            positions: this.positions,
+            alertedTokens: this.alertedTokens,
+            signatureCheckpoints: this.signatureCheckpoints,
+            alertPerformance: this.performance.records,
+            walletProfiles: this.walletProfiles,
+            filteredAlerts: this.filteredAlerts
+        };
+    }
+
+    // Call after any change to userSettings or recentTransactions
+    persistState() {
+        this.store.scheduleSave(() => this.snapshotState());
+    }
+
+    setupShutdownHandling() {
+        const shutdown = (signal) => {
+            console.log(`INFO: Received ${signal}, saving state...`);
+            try {
+                this.store.flushSync(() => this.snapshotState());
+                this.tokenCache.flushSync();
+            } catch (error) {
+                console.error('ERROR: Failed to save state on shutdown:', error);
+            }
+            process.exit(0);
+        };
+
+        process.once('SIGINT', () => shutdown('SIGINT'));
+        process.once('SIGTERM', () => shutdown('SIGTERM'));
     }
 
-    rotateRpcProvider() {
-        // Make sure to close any pending connections
-        this.currentProviderIndex = (this.currentProviderIndex + 1) % this.rpcProviders.length;
-        const newEndpoint = this.rpcProviders[this.currentProviderIndex];
-        console.log(`Rotating to RPC provider #${this.currentProviderIndex}: ${newEndpoint.split('?')[0]}`);
+    // Re-create pollers for every stored wallet of every non-paused chat
+    async resumeAllMonitoring() {
+        let resumed = 0;
+
+        for (const [chatId, settings] of this.userSettings) {
+            if (settings.isPaused) continue;
+
+            for (const [address] of settings.wallets) {
+                await this.startMonitoringWallet(address, chatId, { resume: true, silent: true });
+                resumed++;
+            }
+        }
 
-        // Create a new connection with the new endpoint
-        this.connection = new Connection(newEndpoint);
-        return this.connection;
+        if (resumed > 0) {
+            console.log(`INFO: Resumed monitoring for ${resumed} wallet(s) from saved state.`);
+        }
     }
 
     setupErrorHandling() {
@@ -161,55 +707,364 @@ class WalletTracker {
     }
 
     setupCommands() {
+        // In groups commands arrive as /add@ThisBot; this runs before the onText matchers
+        this.bot.on('message', (msg) => this.normalizeCommand(msg));
+
         // Basic commands with improved regex patterns
         this.bot.onText(/^\/start$/, (msg) => this.handleStart(msg));
-        this.bot.onText(/^\/add$/, (msg) => this.handleAddWallets(msg));
-        this.bot.onText(/^\/delete$/, (msg) => this.handleDeleteWallets(msg));
+        this.bot.onText(/^\/add$/, this.adminOnly((msg) => this.handleAddWallets(msg)));
+        this.bot.onText(/^\/delete$/, this.adminOnly((msg) => this.handleDeleteWallets(msg)));
         this.bot.onText(/^\/show$/, (msg) => this.showWallets(msg));
         this.bot.onText(/^\/status$/, (msg) => this.checkWalletStatus(msg));
         this.bot.onText(/^\/menu$/, (msg) => this.showMenu(msg));
-        this.bot.onText(/^\/createwallet$/, (msg) => this.handleCreateWallet(msg));
-        this.bot.onText(/^\/balance$/, (msg) => this.handleCheckBalance(msg));
-        this.bot.onText(/^\/mywallets$/, (msg) => this.showUserWallets(msg));
-        this.bot.onText(/^\/deposit$/, (msg) => this.handleDeposit(msg));
+
+        // Personal wallets hold keys, so they only work in a private chat with the bot
+        this.bot.onText(/^\/createwallet$/, this.privateOnly((msg) => this.handleCreateWallet(msg)));
+        this.bot.onText(/^\/balance$/, this.privateOnly((msg) => this.handleCheckBalance(msg)));
+        this.bot.onText(/^\/mywallets$/, this.privateOnly((msg) => this.showUserWallets(msg)));
+        this.bot.onText(/^\/deposit$/, this.privateOnly((msg) => this.handleDeposit(msg)));
+
+        // Bot admins and alert destinations
+        this.bot.onText(/^\/admins$/, (msg) => this.showAdmins(msg));
+        this.bot.onText(/^\/admin\s+(add|remove)(?:\s+(\d+))?$/, (msg, match) => {
+            this.updateAdmins(msg, match[1], match[2]);
+        });
+        this.bot.onText(/^\/links$/, (msg) => this.showDestinations(msg));
+        this.bot.onText(/^\/link\s+(\S+)$/, this.adminOnly((msg, match) => this.linkDestination(msg, match[1])));
+        this.bot.onText(/^\/unlink\s+(\S+)$/, this.adminOnly((msg, match) => this.unlinkDestination(msg, match[1])));
 
         // Settings commands with comprehensive handling
-        this.bot.onText(/^\/threshold$/, (msg) => {
+        this.bot.onText(/^\/threshold$/, this.adminOnly((msg) => {
             this.awaitingThreshold.add(msg.chat.id);
-            this.bot.sendMessage(msg.chat.id, "Please provide a value in SOL (e.g., 1.5)");
-        });
+            this.bot.sendMessage(msg.chat.id, "Please provide a value in SOL (e.g., 1.5) or USD (e.g., $250)");
+        }));
 
-        this.bot.onText(/^\/threshold\s+(\d*\.?\d+)$/, (msg, match) => {
+        this.bot.onText(/^\/threshold\s+(.+)$/, this.adminOnly((msg, match) => {
             this.setThreshold(msg, match[1]);
-        });
+        }));
 
-        this.bot.onText(/^\/walletcount$/, (msg) => {
+        this.bot.onText(/^\/walletcount$/, this.adminOnly((msg) => {
             this.awaitingWalletCount.add(msg.chat.id);
             this.bot.sendMessage(msg.chat.id, "Please provide a number (e.g., 3)");
-        });
+        }));
 
-        this.bot.onText(/^\/walletcount\s+(\d+)$/, (msg, match) => {
+        this.bot.onText(/^\/walletcount\s+(\d+)$/, this.adminOnly((msg, match) => {
             this.setWalletCount(msg, match[1]);
-        });
+        }));
+
+        this.bot.onText(/^\/exitcount$/, this.adminOnly((msg) => {
+            this.awaitingExitCount.add(msg.chat.id);
+            this.bot.sendMessage(msg.chat.id, "How many tracked wallets must sell a token before an exit alert? (e.g., 2)");
+        }));
+
+        this.bot.onText(/^\/exitcount\s+(\d+)$/, this.adminOnly((msg, match) => {
+            this.setExitWalletCount(msg, match[1]);
+        }));
+
+        this.bot.onText(/^\/score$/, this.adminOnly((msg) => {
+            this.awaitingScore.add(msg.chat.id);
+            this.bot.sendMessage(msg.chat.id, "Please provide the score needed for an alert (e.g., 3)");
+        }));
+
+        this.bot.onText(/^\/score\s+(\d*\.?\d+)$/, this.adminOnly((msg, match) => {
+            this.setScoreThreshold(msg, match[1]);
+        }));
+
+        this.bot.onText(/^\/scaling\s+(on|off)$/, this.adminOnly((msg, match) => {
+            this.setScoreSolScaling(msg, match[1] === 'on');
+        }));
+
+        this.bot.onText(/^\/weight$/, (msg) => this.showWalletWeights(msg));
+
+        this.bot.onText(/^\/weight\s+(.+)\s+(\d*\.?\d+)$/, this.adminOnly((msg, match) => {
+            this.setWalletWeight(msg, match[1].trim(), match[2]);
+        }));
+
+        this.bot.onText(/^\/group$/, (msg) => this.showGroups(msg));
+
+        this.bot.onText(/^\/group\s+(.+)$/, this.adminOnly((msg, match) => {
+            this.handleGroupCommand(msg, match[1]);
+        }));
+
+        this.bot.onText(/^\/window$/, this.adminOnly((msg) => {
+            this.awaitingWindow.add(msg.chat.id);
+            this.bot.sendMessage(msg.chat.id, "Please provide the confluence window in minutes (e.g., 30) or hours (e.g., 4h)");
+        }));
+
+        this.bot.onText(/^\/window\s+(\S+)$/, this.adminOnly((msg, match) => {
+            this.setConfluenceWindow(msg, match[1]);
+        }));
+
+        this.bot.onText(/^\/realert$/, this.adminOnly((msg) => this.showRealertOptions(msg.chat.id)));
+
+        this.bot.onText(/^\/realert\s+(cooldown|growth)\s+(\d+)$/, this.adminOnly((msg, match) => {
+            this.setRealertPolicy(msg, match[1], match[2]);
+        }));
 
         this.bot.onText(/^\/settings$/, (msg) => this.showSettings(msg));
 
+        this.bot.onText(/^\/stats(?:\s+(\S+))?$/, (msg, match) => this.showStats(msg, match[1]));
+
+        this.bot.onText(/^\/template$/, (msg) => this.showAlertTemplate(msg));
+        // /template compact, or /template custom followed by the template text (may span lines)
+        this.bot.onText(/^\/template\s+(\w+)\s*([\s\S]*)$/, this.adminOnly((msg, match) => {
+            this.setAlertTemplate(msg, match[1].toLowerCase(), match[2]);
+        }));
+        this.bot.onText(/^\/preview$/, (msg) => this.previewAlert(msg));
+        this.bot.onText(/^\/tradelinks$/, (msg) => this.showTradeLinks(msg));
+        this.bot.onText(/^\/tradelink\s+(.+)$/, this.adminOnly((msg, match) => {
+            this.handleTradeLinkCommand(msg, match[1].trim().split(/\s+/));
+        }));
+
+        this.bot.onText(/^\/filters$/, (msg) => this.showFilters(msg));
+        this.bot.onText(/^\/filter\s+(\w+)\s+(.+)$/, this.adminOnly((msg, match) => {
+            this.setFilter(msg, match[1].toLowerCase(), match[2]);
+        }));
+        this.bot.onText(/^\/block\s+(mint|deployer)\s+(\S+)$/, this.adminOnly((msg, match) => {
+            this.blockAddress(msg, match[1], match[2]);
+        }));
+        this.bot.onText(/^\/unblock\s+(\S+)$/, this.adminOnly((msg, match) => this.unblockAddress(msg, match[1])));
+        this.bot.onText(/^\/filtered$/, (msg) => this.showFilteredAlerts(msg));
+        this.bot.onText(/^\/maxrisk$/, (msg) => {
+            const { maxRiskScore } = this.getUserSettings(msg.chat.id);
+            this.bot.sendMessage(msg.chat.id,
+                `🛡️ Max risk score: ${maxRiskScore === null ? 'off' : maxRiskScore}\n\n` +
+                "Alerts for tokens scoring higher are suppressed (see /filtered). Use /maxrisk <0-100> or /maxrisk off.");
+        });
+        this.bot.onText(/^\/maxrisk\s+(\d+|off)$/, this.adminOnly((msg, match) => this.setMaxRiskScore(msg, match[1])));
+
+        this.bot.onText(/^\/providers$/, (msg) => this.showProviderStatus(msg));
+        this.bot.onText(/^\/rpcstatus$/, this.adminOnly((msg) => this.showRpcStatus(msg)));
+        this.bot.onText(/^\/queues$/, this.adminOnly((msg) => this.showQueueStatus(msg)));
+
+        // Profiling can queue hundreds of RPC fetches, so only chat admins may run it
+        this.bot.onText(/^\/profile\s+(.+)$/, this.adminOnly((msg, match) => this.showProfile(msg, match[1].trim())));
+        this.bot.onText(/^\/leaderboard$/, this.adminOnly((msg) => this.showLeaderboard(msg)));
+
         // Monitoring controls with confirmation
-        this.bot.onText(/^\/pause$/, async (msg) => {
+        this.bot.onText(/^\/pause$/, this.adminOnly(async (msg) => {
             await this.pauseMonitoring(msg);
-        });
+        }));
 
-        this.bot.onText(/^\/resume$/, async (msg) => {
+        this.bot.onText(/^\/resume$/, this.adminOnly(async (msg) => {
             await this.resumeMonitoring(msg);
-        });
+        }));
+    }
+
+    // --- Chat permissions ---
+
+    // Strips this bot's @username from a command so the onText patterns match in groups.
+    // Commands addressed to other bots keep their suffix and match nothing.
+    normalizeCommand(msg) {
+        const match = msg.text && msg.text.match(/^(\/\w+)@(\w+)/);
+        if (!match) return;
+        if (this.botUser && match[2].toLowerCase() !== this.botUser.username.toLowerCase()) return;
+        msg.text = match[1] + msg.text.slice(match[0].length);
+    }
+
+    isAwaitingInput(chatId) {
+        return this.awaitingWallets.has(chatId) || this.awaitingWalletCount.has(chatId) ||
+            this.awaitingThreshold.has(chatId) || this.awaitingExitCount.has(chatId) ||
+            this.awaitingWindow.has(chatId) || this.awaitingScore.has(chatId) ||
+            this.awaitingRealert.has(chatId) || this.awaitingSendAmount.has(chatId);
+    }
+
+    // Creator or administrator of the Telegram chat, cached for five minutes
+    async isTelegramAdmin(chatId, userId) {
+        const cacheKey = `${chatId}:${userId}`;
+        const cached = this.chatAdminCache.get(cacheKey);
+        if (cached && Date.now() - cached.timestamp < 5 * 60 * 1000) {
+            return cached.isAdmin;
+        }
+
+        let isAdmin = false;
+        try {
+            const member = await this.bot.getChatMember(chatId, userId);
+            isAdmin = member.status === 'creator' || member.status === 'administrator';
+        } catch (error) {
+            console.error(`Error checking admin status in ${chatId}:`, error.message);
+        }
+        this.chatAdminCache.set(cacheKey, { isAdmin, timestamp: Date.now() });
+        return isAdmin;
+    }
+
+    // Private chats belong to their user. In groups: the chat's admins (including anonymous
+    // admins posting as the group) and the bot admins listed with /admin add.
+    async isAuthorized(chat, user, senderChat = null) {
+        if (chat.type === 'private') return true;
+        if (senderChat && senderChat.id === chat.id) return true;
+        if (!user) return false;
+
+        const settings = this.getUserSettings(chat.id);
+        if (settings.admins.includes(user.id)) return true;
+        return this.isTelegramAdmin(chat.id, user.id);
+    }
+
+    adminOnly(handler) {
+        return async (msg, match) => {
+            if (await this.isAuthorized(msg.chat, msg.from, msg.sender_chat)) {
+                return handler(msg, match);
+            }
+            await this.bot.sendMessage(msg.chat.id, "❌ Only chat admins can change the tracker in this chat.");
+        };
+    }
+
+    privateOnly(handler) {
+        return async (msg, match) => {
+            if (msg.chat.type === 'private') {
+                return handler(msg, match);
+            }
+            await this.bot.sendMessage(msg.chat.id, "❌ Personal wallets only work in a private chat with the bot.");
+        };
+    }
+
+    async showAdmins(msg) {
+        const settings = this.getUserSettings(msg.chat.id);
+        let message = "👮 Bot admins for this chat:\n\n";
+        message += settings.admins.length
+            ? settings.admins.map(id => `• ${id}`).join('\n')
+            : "None besides the chat's own admins.";
+        message += `\n\nChat admins can add one with /admin add <user id>, or by replying to their message with /admin add.`;
+        await this.bot.sendMessage(msg.chat.id, message);
+    }
+
+    // Only the chat's own admins manage the bot admin list, so bot admins can't add each other
+    async updateAdmins(msg, action, userIdText) {
+        try {
+            if (msg.chat.type === 'private') {
+                await this.bot.sendMessage(msg.chat.id, "ℹ️ Bot admins are for group chats; you already control this chat.");
+                return;
+            }
+            const isChatAdmin = (msg.sender_chat && msg.sender_chat.id === msg.chat.id) ||
+                (msg.from && await this.isTelegramAdmin(msg.chat.id, msg.from.id));
+            if (!isChatAdmin) {
+                await this.bot.sendMessage(msg.chat.id, "❌ Only chat admins can manage bot admins.");
+                return;
+            }
+
+            const userId = userIdText ? Number(userIdText) : msg.reply_to_message?.from?.id;
+            if (!userId) {
+                await this.bot.sendMessage(msg.chat.id, "❌ Give a user id, or reply to the user's message.");
+                return;
+            }
+
+            const settings = this.getUserSettings(msg.chat.id);
+            if (action === 'add') {
+                if (!settings.admins.includes(userId)) settings.admins.push(userId);
+            } else {
+                settings.admins = settings.admins.filter(id => id !== userId);
+            }
+            this.persistState();
+            await this.bot.sendMessage(msg.chat.id, action === 'add'
+                ? `✅ ${userId} can now change the tracker in this chat`
+                : `✅ ${userId} is no longer a bot admin`);
+        } catch (error) {
+            console.error('Error updating admins:', error);
+            await this.bot.sendMessage(msg.chat.id, "❌ Error updating admins. Please try again.");
+        }
+    }
+
+    async showDestinations(msg) {
+        const settings = this.getUserSettings(msg.chat.id);
+        let message = "📣 Alert destinations:\n\n";
+        message += settings.alertDestinations.length
+            ? settings.alertDestinations.map(dest => `• ${dest.title} (${dest.id})`).join('\n')
+            : "None. Alerts are only posted here.";
+        message += `\n\nLink a group or channel with /link <chat id or @channel>. ` +
+            `The bot must be able to post there and you must be one of its admins.`;
+        await this.bot.sendMessage(msg.chat.id, message);
+    }
+
+    // target is a numeric chat id or a public @username
+    async linkDestination(msg, target) {
+        try {
+            const chat = await this.bot.getChat(/^-?\d+$/.test(target) ? Number(target) : target);
+            if (chat.id === msg.chat.id) {
+                await this.bot.sendMessage(msg.chat.id, "❌ Alerts are already posted in this chat.");
+                return;
+            }
+
+            // The bot has to be able to post there
+            const me = this.botUser || await this.bot.getMe();
+            const botMember = await this.bot.getChatMember(chat.id, me.id);
+            const canPost = chat.type === 'channel'
+                ? botMember.status === 'administrator' && botMember.can_post_messages !== false
+                : ['administrator', 'member'].includes(botMember.status) ||
+                  (botMember.status === 'restricted' && botMember.can_send_messages);
+            if (!canPost) {
+                await this.bot.sendMessage(msg.chat.id,
+                    `❌ I can't post in ${chat.title || target}. Add me there${chat.type === 'channel' ? ' as an admin' : ''} first.`);
+                return;
+            }
+
+            // ...and whoever links it has to run it, so nobody can point alerts at someone else's chat
+            if (!msg.from || !(await this.isTelegramAdmin(chat.id, msg.from.id))) {
+                await this.bot.sendMessage(msg.chat.id, `❌ You must be an admin of ${chat.title || target} to link it.`);
+                return;
+            }
+
+            const settings = this.getUserSettings(msg.chat.id);
+            if (!settings.alertDestinations.some(dest => dest.id === chat.id)) {
+                settings.alertDestinations.push({
+                    id: chat.id,
+                    title: chat.title || chat.username || String(chat.id),
+                    username: chat.username || null
+                });
+                this.persistState();
+            }
+            await this.bot.sendMessage(msg.chat.id, `✅ Alerts from this chat will also be posted to ${chat.title || target}`);
+        } catch (error) {
+            console.error('Error linking destination:', error);
+            await this.bot.sendMessage(msg.chat.id,
+                "❌ Couldn't find that chat. Use its numeric id or @username, and make sure I'm a member.");
+        }
+    }
+
+    async unlinkDestination(msg, target) {
+        const settings = this.getUserSettings(msg.chat.id);
+        const before = settings.alertDestinations.length;
+        settings.alertDestinations = settings.alertDestinations.filter(dest =>
+            String(dest.id) !== target && (!dest.username || dest.username !== target.replace(/^@/, '')));
+
+        if (settings.alertDestinations.length === before) {
+            await this.bot.sendMessage(msg.chat.id, `❌ ${target} is not linked. See /links.`);
+            return;
+        }
+        this.persistState();
+        await this.bot.sendMessage(msg.chat.id, `✅ Unlinked ${target}`);
+    }
+
+    // Posts an alert in the chat that owns the settings and in every linked destination
+    async deliverAlert(chatId, text, options) {
+        await this.bot.sendMessage(chatId, text, options);
+
+        const settings = this.getUserSettings(chatId);
+        for (const dest of settings.alertDestinations) {
+            try {
+                await this.bot.sendMessage(dest.id, text, options);
+            } catch (error) {
+                console.error(`Error posting alert to ${dest.title} (${dest.id}):`, error.message);
+            }
+        }
     }
 
     setupMessageHandler() {
         // Handle regular text messages
         this.bot.on('message', async (msg) => {
             try {
+                // In groups, replies to a pending prompt only count from someone allowed to change settings
+                if (msg.chat.type !== 'private' && msg.text && !msg.text.startsWith('/') &&
+                    this.isAwaitingInput(msg.chat.id) &&
+                    !(await this.isAuthorized(msg.chat, msg.from, msg.sender_chat))) {
+                    return;
+                }
+
+                // Handle the Send SOL flow (destination, then amount)
+                if (this.awaitingSendAmount.has(msg.chat.id) && msg.text && !msg.text.startsWith('/')) {
+                    await this.handleSendInput(msg);
+                }
                 // Handle wallet additions
-                if (this.awaitingWallets.has(msg.chat.id) && !msg.text.startsWith('/')) {
+                else if (this.awaitingWallets.has(msg.chat.id) && !msg.text.startsWith('/')) {
                     await this.processWalletAddition(msg);
                 }
                 // Handle walletcount response
@@ -224,30 +1079,76 @@ class WalletTracker {
                             "❌ Please provide a valid number greater than 0");
                     }
                 }
-                // Handle threshold response
-                else if (this.awaitingThreshold.has(msg.chat.id) && !msg.text.startsWith('/')) {
-                    const threshold = parseFloat(msg.text);
-                    if (!isNaN(threshold) && threshold > 0) {
-                        await this.setThreshold(msg, threshold);
-                        this.awaitingThreshold.delete(msg.chat.id);
+                // Handle exit wallet count response
+                else if (this.awaitingExitCount.has(msg.chat.id) && !msg.text.startsWith('/')) {
+                    const count = parseInt(msg.text);
+                    if (!isNaN(count) && count > 0) {
+                        await this.setExitWalletCount(msg, count);
+                        this.awaitingExitCount.delete(msg.chat.id);
                         await this.showSettings(msg); // Show updated settings after change
                     } else {
                         await this.bot.sendMessage(msg.chat.id,
                             "❌ Please provide a valid number greater than 0");
                     }
                 }
-            } catch (error) {
-                console.error('Error in message handler:', error);
-                await this.bot.sendMessage(msg.chat.id,
-                    "❌ An error occurred. Please try again.");
-            }
-        });
-
-        // Handle callback queries from button clicks
-        this.bot.on('callback_query', async (query) => {
-            try {
+                // Handle score threshold response
+                else if (this.awaitingScore.has(msg.chat.id) && !msg.text.startsWith('/')) {
+                    if (await this.setScoreThreshold(msg, msg.text.trim())) {
+                        this.awaitingScore.delete(msg.chat.id);
+                        await this.showSettings(msg); // Show updated settings after change
+                    }
+                }
+                // Handle confluence window response
+                else if (this.awaitingWindow.has(msg.chat.id) && !msg.text.startsWith('/')) {
+                    if (await this.setConfluenceWindow(msg, msg.text.trim())) {
+                        this.awaitingWindow.delete(msg.chat.id);
+                        await this.showSettings(msg); // Show updated settings after change
+                    }
+                }
+                // Handle re-alert cooldown / growth response
+                else if (this.awaitingRealert.has(msg.chat.id) && !msg.text.startsWith('/')) {
+                    const mode = this.awaitingRealert.get(msg.chat.id);
+                    if (await this.setRealertPolicy(msg, mode, msg.text.trim())) {
+                        this.awaitingRealert.delete(msg.chat.id);
+                        await this.showSettings(msg); // Show updated settings after change
+                    }
+                }
+                // Handle threshold response
+                else if (this.awaitingThreshold.has(msg.chat.id) && !msg.text.startsWith('/')) {
+                    if (await this.setThreshold(msg, msg.text)) {
+                        this.awaitingThreshold.delete(msg.chat.id);
+                        await this.showSettings(msg); // Show updated settings after change
+                    }
+                }
+            } catch (error) {
+                console.error('Error in message handler:', error);
+                await this.bot.sendMessage(msg.chat.id,
+                    "❌ An error occurred. Please try again.");
+            }
+        });
+
+        // Handle callback queries from button clicks
+        this.bot.on('callback_query', async (query) => {
+            try {
                 const [action, data] = query.data.split(':');
 
+                // In groups the button can be pressed by anyone, so check who pressed it
+                const chat = query.message.chat;
+                if (CALLBACKS_PRIVATE_ONLY.has(action) && chat.type !== 'private') {
+                    await this.bot.answerCallbackQuery(query.id, {
+                        text: "Personal wallets only work in a private chat with the bot.",
+                        show_alert: true
+                    });
+                    return;
+                }
+                if (!CALLBACKS_READ_ONLY.has(action) && !(await this.isAuthorized(chat, query.from))) {
+                    await this.bot.answerCallbackQuery(query.id, {
+                        text: "Only chat admins can do that.",
+                        show_alert: true
+                    });
+                    return;
+                }
+
                 if (action.startsWith('command_')) {
                     const command = action.replace('command_', '');
                     switch (command) {
@@ -278,13 +1179,40 @@ class WalletTracker {
                         case 'threshold':
                             this.awaitingThreshold.add(query.message.chat.id);
                             await this.bot.sendMessage(query.message.chat.id,
-                                "Please provide a value in SOL (e.g., 1.5)");
+                                "Please provide a value in SOL (e.g., 1.5) or USD (e.g., $250)");
                             break;
                         case 'walletcount':
                             this.awaitingWalletCount.add(query.message.chat.id);
                             await this.bot.sendMessage(query.message.chat.id,
                                 "Please provide a number (e.g., 3)");
                             break;
+                        case 'exitcount':
+                            this.awaitingExitCount.add(query.message.chat.id);
+                            await this.bot.sendMessage(query.message.chat.id,
+                                "How many tracked wallets must sell a token before an exit alert? (e.g., 2)");
+                            break;
+                        case 'groups':
+                            await this.showGroups(query.message);
+                            break;
+                        case 'score':
+                            this.awaitingScore.add(query.message.chat.id);
+                            await this.bot.sendMessage(query.message.chat.id,
+                                "Please provide the score needed for an alert (e.g., 3)");
+                            break;
+                        case 'scaling': {
+                            const settings = this.getUserSettings(query.message.chat.id);
+                            await this.setScoreSolScaling(query.message, !settings.scoreSolScaling);
+                            await this.showSettings(query.message);
+                            break;
+                        }
+                        case 'window':
+                            this.awaitingWindow.add(query.message.chat.id);
+                            await this.bot.sendMessage(query.message.chat.id,
+                                "Please provide the confluence window in minutes (e.g., 30) or hours (e.g., 4h)");
+                            break;
+                        case 'realert':
+                            await this.showRealertOptions(query.message.chat.id);
+                            break;
 
                         // New wallet commands
                         case 'create_wallet':
@@ -302,21 +1230,49 @@ class WalletTracker {
                             // Show updated wallet list after deletion
                             await this.showWallets(query.message);
                             break;
+                        case 'delete_group':
+                            await this.handleGroupCommand(query.message, `delete ${data}`);
+                            break;
                         case 'check_balance':
                             await this.checkWalletBalance(query.message.chat.id, data);
                             break;
+                        case 'realert_mode':
+                            this.awaitingRealert.set(query.message.chat.id, data);
+                            await this.bot.sendMessage(query.message.chat.id, data === 'growth'
+                                ? "How many new wallets must join before the same token alerts again? (e.g., 2)"
+                                : "How many minutes before the same token may alert again? (e.g., 60)");
+                            break;
                         case 'deposit':
                             await this.showDepositInfo(query.message.chat.id, data);
                             break;
                         case 'send_sol':
                             // Start the sending SOL flow
-                            this.awaitingSendAmount = this.awaitingSendAmount || new Map();
+                            if (!this.findUserWallet(query.message.chat.id, data)) {
+                                await this.bot.sendMessage(query.message.chat.id, "❌ Wallet not found.");
+                                break;
+                            }
                             this.awaitingSendAmount.set(query.message.chat.id, {
                                 fromWallet: data,
                                 step: 'enter_destination'
                             });
                             await this.bot.sendMessage(query.message.chat.id,
-                                "Please enter the destination wallet address:");
+                                "Please enter the destination wallet address (or \"cancel\"):");
+                            break;
+                        case 'send_confirm':
+                            await this.executeSend(query.message.chat.id);
+                            break;
+                        case 'send_cancel':
+                            this.awaitingSendAmount.delete(query.message.chat.id);
+                            await this.bot.sendMessage(query.message.chat.id, "✖️ Transfer cancelled.");
+                            break;
+                        case 'reveal_key':
+                            await this.confirmRevealKey(query.message.chat.id, data);
+                            break;
+                        case 'reveal_confirm':
+                            await this.revealKey(query.message.chat.id, data);
+                            break;
+                        case 'reveal_cancel':
+                            await this.bot.sendMessage(query.message.chat.id, "👍 Private key was not revealed.");
                             break;
                         case 'delete_user_wallet':
                             // Delete user's personal wallet (different from tracked wallets)
@@ -338,16 +1294,31 @@ class WalletTracker {
     }
 
     setupWebhook() {
-        this.app.use(bodyParser.json());
+        // Helius batches can be large
+        this.app.use(bodyParser.json({ limit: '5mb' }));
+
+        // Receives Helius enhanced-transaction webhooks (an array of parsed transactions)
+        this.app.post('/webhook', webhookHandler({
+            secret: this.heliusConfig.webhookSecret,
+            onTransactions: async (transactions) => {
+                for (const tx of transactions) {
+                    await this.handleEnhancedTransaction(tx);
+                }
+            }
+        }));
+
+        this.app.get('/metrics', (req, res) => {
+            res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+            res.send(this.metrics.registry.render());
+        });
 
-        this.app.post('/webhook', async (req, res) => {
+        this.app.get('/healthz', async (req, res) => {
             try {
-                const { signature, accountKeys } = req.body;
-                await this.handleTransaction(signature, accountKeys);
-                res.status(200).send('OK');
+                const health = await this.checkReadiness();
+                res.status(health.ready ? 200 : 503).json(health);
             } catch (error) {
-                console.error('Webhook error:', error);
-                res.status(500).send('Error processing webhook');
+                console.error('Error checking readiness:', error);
+                res.status(503).json({ ready: false, error: error.message });
             }
         });
 
@@ -356,176 +1327,140 @@ class WalletTracker {
         });
     }
 
-    async handleStart(msg) {
-        const welcome = `Welcome to the Solana Wallet Tracker! 🚀
-
-    Use /menu to access all available commands and features.
-
-    Quick Commands:
-    /add - Add wallets to track
-    /show - Show tracked wallets
-    /settings - View current settings
-    /menu - Show all options`;
-
-        await this.bot.sendMessage(msg.chat.id, welcome);
-    }
+    // Feeds one Helius enhanced transaction to every chat tracking an involved address. The
+    // payload only says which wallets to look at: the transaction itself is fetched and
+    // decoded like the poller does, so both paths report the same side and amounts.
+    async handleEnhancedTransaction(tx) {
+        if (tx.transactionError) return; // failed transactions can't be buys
 
-    async callCallStaticAPI(endpoint, params = {}) {
-    try {
-        const url = new URL(`${this.callStaticConfig.baseUrl}${endpoint}`);
+        // Only addresses with an active watcher have chats listening
+        const watchers = Array.from(involvedAddresses(tx))
+            .map(address => this.watchers.get(address))
+            .filter(Boolean);
+        if (watchers.length === 0) return;
 
-        // Add query parameters
-        Object.keys(params).forEach(key => {
-            url.searchParams.append(key, params[key]);
-        });
+        const priority = watchers.some(watcher => this.watcherPriority(watcher) === 'alert') ? 'alert' : 'normal';
+        let fetched = null;
+        try {
+            fetched = await this.rpcPool.withPriority(priority).getTransaction(tx.signature, {
+                maxSupportedTransactionVersion: 0
+            });
+        } catch (error) {
+            console.error(`Error fetching webhook transaction ${tx.signature}:`, error.message);
+        }
 
-        const response = await fetch(url, {
-            headers: {
-                'Authorization': `Bearer ${this.callStaticConfig.apiKey}`,
-                'Content-Type': 'application/json'
+        // Not queryable yet (or the fetch failed): leave it to the pollers, which retry
+        if (!fetched) {
+            console.log(`Webhook transaction ${tx.signature.slice(0, 8)}... not found, polling its wallets instead`);
+            for (const watcher of watchers) {
+                watcher.trigger();
             }
-        });
-
-        if (!response.ok) {
-            throw new Error(`CallStatic API error: ${response.status}`);
+            return;
         }
+        this.metrics.transactionsFetched.inc({ source: 'webhook' });
 
-        return await response.json();
-    } catch (error) {
-        console.error('CallStatic API error:', error);
-        throw error;
-    }
-}
+        for (const watcher of watchers) {
+            const tokenInfo = await this.extractTokenInfoFromTx(fetched, watcher.address);
+            const isSwap = Boolean(tokenInfo && tokenInfo.tokenAddress !== 'unknown' && tokenInfo.tokenAmount > 0);
+            this.metrics.transactionsParsed.inc({ result: isSwap ? 'swap' : 'other' });
+            if (!isSwap) continue;
 
-// Method to get token metadata from CallStatic
-async getTokenMetadata(tokenAddress) {
-    // Check cache first
-    if (this.tokenCache.has(tokenAddress)) {
-        const cachedData = this.tokenCache.get(tokenAddress);
-        // Only use cache if it's less than 10 minutes old
-        if (Date.now() - cachedData.timestamp < 10 * 60 * 1000) {
-            return cachedData.data;
+            console.log(`Webhook: processing swap ${tx.signature.slice(0, 8)}... for ${watcher.address.slice(0, 8)}...`);
+            await this.dispatchToChats(watcher.address, tx.signature, fetched, tokenInfo, fetched.blockTime || tx.timestamp);
         }
     }
 
-    try {
-        const response = await this.callCallStaticAPI('/token/metadata', { token: tokenAddress });
-
-        if (response && response.success && response.data) {
-            // Extract relevant data
-            const tokenData = {
-                symbol: response.data.symbol || 'Unknown',
-                name: response.data.name || 'Unknown',
-                deployer: response.data.deployer,
-                deployTime: new Date(response.data.deploy_timestamp).toISOString(),
-                isComplete: response.data.is_complete,
-                twitter: response.data.twitter,
-                telegram: response.data.telegram,
-                website: response.data.website
-            };
+    async handleStart(msg) {
+        const welcome = `Welcome to the Solana Wallet Tracker! 🚀
 
-            // Cache the result
-            this.tokenCache.set(tokenAddress, {
-                data: tokenData,
-                timestamp: Date.now()
-            });
+    Use /menu to access all available commands and features.
 
-            return tokenData;
-        }
-    } catch (error) {
-        console.log(`Error fetching token metadata: ${error.message}`);
+    Quick Commands:
+    /add - Add wallets to track
+    /show - Show tracked wallets
+    /settings - View current settings
+    /link - Also post alerts to a group or channel
+    /menu - Show all options
+
+    In groups, only chat admins (and bot admins, see /admins) can change the tracker.`;
+
+        await this.bot.sendMessage(msg.chat.id, welcome);
     }
 
+// Metadata from the first provider in the chain that knows the token. priority is the
+// scheduler priority its requests wait at (see scheduler.js).
+async getTokenMetadata(tokenAddress, priority = 'normal') {
+    const metadata = await this.tokenCache.getOrLoad('metadata', tokenAddress, async () => {
+        const result = await this.tokenData.get('metadata', tokenAddress, { priority });
+        return result && {
+            ...result.data,
+            symbol: result.data.symbol || 'Unknown',
+            name: result.data.name || 'Unknown',
+            source: result.source
+        };
+    }, { priority });
+
     // Return basic info if we couldn't get metadata
-    return {
+    return metadata ? { ...metadata } : {
         symbol: 'Unknown',
         name: 'Unknown'
     };
 }
 
-
-async getTokenMarketData(tokenAddress) {
+// Reads and parses the mint account (either token program), including Token-2022 extensions
+async getMintInfo(tokenAddress, priority = 'normal') {
     try {
-        const response = await this.callCallStaticAPI('/token/marketData', { token: tokenAddress });
-
-        if (response && response.success && response.data) {
-            // Try to get holders count from additional endpoint
-            let holdersCount = null;
-            try {
-                const holdersResponse = await this.callCallStaticAPI('/token/holders', { token: tokenAddress });
-                if (holdersResponse?.success && holdersResponse?.data) {
-                    holdersCount = holdersResponse.data.total_holders || null;
-                }
-            } catch (error) {
-                console.log(`Error fetching holders data: ${error.message}`);
-            }
-
-            return {
-                priceUsd: response.data.price_usd,
-                priceSol: response.data.price_sol,
-                marketCap: response.data.current_market_cap,
-                bondingProgress: response.data.bonding_progress,
-                holders: holdersCount
-            };
-        }
+        return await this.tokenCache.getOrLoad('mint', tokenAddress, async () => {
+            const accountInfo = await this.rpcPool.withPriority(priority).getAccountInfo(new PublicKey(tokenAddress));
+            return parseMint(accountInfo);
+        }, { priority });
     } catch (error) {
-        console.log(`Error fetching market data: ${error.message}`);
+        console.log(`Error fetching mint account for ${tokenAddress}: ${error.message}`);
+        return null;
     }
+}
 
-    return {
+
+async getTokenMarketData(tokenAddress, priority = 'normal') {
+    const cached = await this.tokenCache.getOrLoad('market', tokenAddress, async () => {
+        const result = await this.tokenData.get('market', tokenAddress, { priority });
+        return result && { ...result.data, source: result.source };
+    }, { priority });
+    const marketData = cached ? { ...cached } : {
         priceUsd: null,
         priceSol: null,
         marketCap: null,
         bondingProgress: null,
         holders: null
     };
-}
-
-// Method to get token volume data
-async getTokenVolumeData(tokenAddress) {
-    try {
-        const response = await this.callCallStaticAPI('/token/volume', { token: tokenAddress });
-
-        if (response && response.success && response.data) {
-            // Calculate buy/sell ratio
-            const buy24h = parseInt(response.data.buy_volume_24h || 0) / 1e9; // Convert lamports to SOL
-            const sell24h = parseInt(response.data.sell_volume_24h || 0) / 1e9;
-            const ratio = sell24h > 0 ? buy24h / sell24h : buy24h > 0 ? buy24h : 0;
 
-            // Handle potentially invalid timestamps
-            let lastBuyTime = "Unknown";
-            let lastSellTime = "Unknown";
+    // Providers that only know the USD price get a SOL price from Pyth
+    const solUsd = this.solPrice.current();
+    if (!marketData.priceSol && marketData.priceUsd && solUsd !== null) {
+        marketData.priceSol = parseFloat(marketData.priceUsd) / solUsd;
+    }
 
-            try {
-                if (response.data.last_buy_timestamp) {
-                    lastBuyTime = new Date(response.data.last_buy_timestamp).toISOString();
-                }
-            } catch (e) {
-                console.log("Invalid buy timestamp");
-            }
+    // Holder counts often come from a separate endpoint, or a different provider
+    if (!marketData.holders) {
+        marketData.holders = await this.tokenCache.getOrLoad('holders', tokenAddress, async () => {
+            const holders = await this.tokenData.get('holders', tokenAddress, { priority });
+            return holders && holders.data;
+        }, { priority });
+    }
 
-            try {
-                if (response.data.last_sell_timestamp) {
-                    lastSellTime = new Date(response.data.last_sell_timestamp).toISOString();
-                }
-            } catch (e) {
-                console.log("Invalid sell timestamp");
-            }
+    return marketData;
+}
 
-            return {
-                buyVolume1h: parseInt(response.data.buy_volume_1h || 0) / 1e9,
-                buyVolume24h: buy24h,
-                sellVolume24h: sell24h,
-                buySellRatio: ratio.toFixed(2),
-                lastBuyTime: lastBuyTime,
-                lastSellTime: lastSellTime
-            };
-        }
-    } catch (error) {
-        console.log(`Error fetching volume data: ${error.message}`);
+async getTokenVolumeData(tokenAddress, priority = 'normal') {
+    const volume = await this.tokenCache.getOrLoad('volume', tokenAddress, async () => {
+        const result = await this.tokenData.get('volume', tokenAddress, { priority });
+        return result && result.data;
+    }, { priority });
+    if (volume) {
+        return { ...volume };
     }
 
-    // Return default values on error
+    // Return default values when no provider has volume for the token
     return {
         buyVolume1h: 0,
         buyVolume24h: 0,
@@ -539,10 +1474,10 @@ async getTokenVolumeData(tokenAddress) {
     async handleAddWallets(msg) {
             const instructions = `Great! Send me the wallet addresses to track.
 
-    Format: One address per line with optional nickname
+    Format: One address per line with optional nickname, weight (w=, default 1) and groups (g=)
     Example:
-    wallet1 MyMainWallet
-    wallet2 Trading
+    wallet1 MyMainWallet w=3 g=KOLs
+    wallet2 Trading g=insiders,smart
     wallet3
 
     Tip: It might take up to 2 min to start receiving notifications!`;
@@ -557,19 +1492,60 @@ async getTokenVolumeData(tokenAddress) {
                 const lines = msg.text.split('\n');
 
                 for (const line of lines) {
-                    const [address, ...nicknameParts] = line.trim().split(' ');
+                    const [address, ...rest] = line.trim().split(/\s+/);
+                    const weightToken = rest.find(part => /^w=/i.test(part));
+                    const groupToken = rest.find(part => /^g=/i.test(part));
+                    const nicknameParts = rest.filter(part => part !== weightToken && part !== groupToken);
                     const nickname = nicknameParts.join(' ') || `Wallet ${settings.wallets.size + 1}`;
 
+                    const weight = weightToken ? this.parseWeight(weightToken.slice(2)) : 1;
+                    if (weight === null) {
+                        await this.bot.sendMessage(msg.chat.id,
+                            `❌ Invalid weight for ${address}: use w= with a number above 0 and up to 100`);
+                        continue;
+                    }
+
                     try {
                         // Validate Solana address
                         const pubkey = new PublicKey(address);
                         settings.wallets.set(address, nickname);
+                        if (weight !== 1) {
+                            settings.walletWeights.set(address, weight);
+                        } else {
+                            settings.walletWeights.delete(address);
+                        }
+
+                        // Unknown groups are created from the chat's current rules
+                        const groups = [];
+                        for (const name of groupToken ? groupToken.slice(2).split(',').filter(Boolean) : []) {
+                            if (!this.findGroup(settings, name)) {
+                                if (!this.isValidGroupName(name)) {
+                                    await this.bot.sendMessage(msg.chat.id,
+                                        `❌ Skipping group "${name}": names are 1-20 letters, digits, - or _`);
+                                    continue;
+                                }
+                                this.createGroup(settings, name);
+                                await this.bot.sendMessage(msg.chat.id,
+                                    `📂 Created group ${name} with the chat's current settings. Adjust it with /group set.`);
+                            }
+                            const group = this.findGroup(settings, name);
+                            this.addWalletToGroup(settings, address, group);
+                            groups.push(group);
+                        }
+                        this.persistState();
+                        if (this.heliusWebhooks) {
+                            this.heliusWebhooks.addAddresses([address]);
+                        }
 
                         // Start monitoring this wallet
                         await this.startMonitoringWallet(address, msg.chat.id);
 
+                        // Profile its history in the background for /leaderboard and /show
+                        this.profileWallet(address)
+                            .catch(error => console.error(`Error profiling ${address}:`, error.message));
+
                         await this.bot.sendMessage(msg.chat.id,
-                            `✅ Added wallet: ${nickname}\nAddress: ${address.slice(0, 8)}...${address.slice(-8)}`);
+                            `✅ Added wallet: ${nickname}\nAddress: ${address.slice(0, 8)}...${address.slice(-8)}\nWeight: ${weight}${groups.length ? `\nGroups: ${groups.join(', ')}` : ''}`);
                     } catch (error) {
                         await this.bot.sendMessage(msg.chat.id,
                             `❌ Invalid wallet address: ${address}`);
@@ -584,37 +1560,6 @@ async getTokenVolumeData(tokenAddress) {
             }
         }
 
-        async callSolscanAPI(endpoint) {
-        // Rate limiting
-        const now = Date.now();
-        const timeToWait = Math.max(0, this.solscanConfig.rateLimit.minInterval -
-            (now - this.solscanConfig.rateLimit.lastCall));
-
-        if (timeToWait > 0) {
-            await new Promise(resolve => setTimeout(resolve, timeToWait));
-        }
-
-        try {
-            const response = await fetch(`${this.solscanConfig.baseUrl}${endpoint}`, {
-                headers: {
-                    ...this.solscanConfig.headers,
-                    'token': this.solscanConfig.apiKey
-                }
-            });
-
-            this.solscanConfig.rateLimit.lastCall = Date.now();
-
-            if (!response.ok) {
-                throw new Error(`Solscan API error: ${response.status}`);
-            }
-
-            return await response.json();
-        } catch (error) {
-            console.error('Solscan API error:', error);
-            throw error;
-        }
-    }
-
         async checkWalletStatus(msg) {
     try {
         const settings = this.getUserSettings(msg.chat.id);
@@ -626,14 +1571,18 @@ async getTokenVolumeData(tokenAddress) {
 
         let message = "📊 Monitoring Status:\n\n";
         for (const [address, nickname] of settings.wallets) {
-            const isMonitoring = this.monitoringIntervals.has(`${msg.chat.id}:${address}`);
+            const isMonitoring = Boolean(this.watchers.get(address)?.chats.has(msg.chat.id));
             const status = isMonitoring ? "✅ Active" : "❌ Inactive";
             message += `${nickname}\n${address.slice(0, 8)}...${address.slice(-8)}\n${status}\n\n`;
         }
 
         message += `\nSettings:\n`;
-        message += `Minimum SOL: ${settings.solThreshold} SOL\n`;
-        message += `Required Wallets: ${settings.requiredWallets}\n`;
+        message += `Minimum Buy: ${this.formatThresholdDetail(settings)}\n`;
+        message += `Minimum Wallets: ${settings.requiredWallets}\n`;
+        message += `Score Threshold: ${settings.scoreThreshold}${settings.scoreSolScaling ? ' (SOL-scaled)' : ''}\n`;
+        message += `Exit Alert Wallets: ${settings.requiredExitWallets}\n`;
+        message += `Confluence Window: ${this.formatWindow(settings.confluenceWindowMinutes)}\n`;
+        message += `Re-alert: ${this.formatRealertPolicy(settings)}\n`;
         message += `Monitoring Status: ${settings.isPaused ? '⏸️ Paused' : '▶️ Active'}`;
 
         await this.bot.sendMessage(msg.chat.id, message);
@@ -647,8 +1596,12 @@ async pauseMonitoring(msg) {
     try {
         const settings = this.getUserSettings(msg.chat.id);
         settings.isPaused = true;
+        this.persistState();
 
-        // No need to close WebSockets since we're not using them anymore
+        // Release this chat's hold on its watchers; a watcher stops once no chat needs it
+        for (const [address] of settings.wallets) {
+            this.stopMonitoringWallet(address, msg.chat.id);
+        }
 
         await this.bot.sendMessage(msg.chat.id, "⏸️ Monitoring paused");
     } catch (error) {
@@ -684,66 +1637,6 @@ async showMenu(msg) {
     });
 }
 
-// REPLACE your existing rotateRpcEndpoint method with this one:
-rotateRpcEndpoint() {
-    // Increment index and wrap around using modulo
-    // NOTE: We assume the constructor will be updated to use this.rpcEndpoints and this.currentRpcIndex
-    this.currentRpcIndex = (this.currentRpcIndex + 1) % this.rpcEndpoints.length;
-    const newEndpoint = this.rpcEndpoints[this.currentRpcIndex]; // Get the NEW endpoint URL
-
-    console.log(`INFO: Rotating RPC endpoint to #${this.currentRpcIndex}: ${newEndpoint.split('?')[0]}`);
-
-    try {
-        // Create a new connection object with the new endpoint
-        this.connection = new Connection(newEndpoint, {
-            commitment: 'confirmed', // Maintain consistency
-        });
-
-        // Reset rate limit count tracking *after* successful rotation and connection creation
-        this.rpcStats.rateLimitCount = 0;
-        this.rpcStats.lastRotation = Date.now();
-        this.rpcStats.totalRotations = (this.rpcStats.totalRotations || 0) + 1;
-
-        console.log(`INFO: Successfully rotated connection to ${newEndpoint.split('?')[0]}`);
-        return this.connection;
-
-    } catch (error) {
-        console.error(`ERROR: Failed to create new connection during RPC rotation to ${newEndpoint}:`, error);
-        // Return old connection for now as a fallback
-        return this.connection;
-    }
-}
-
-async callWithBackoff(apiFunction, maxRetries = 3) {
-    let retries = 0;
-
-    while (retries <= maxRetries) {
-        try {
-            this.rpcStats.totalRequests++;
-            return await apiFunction();
-        } catch (error) {
-            const isRateLimit = error.toString().includes('429') ||
-                               error.toString().includes('rate limit') ||
-                               error.message?.includes('429');
-
-            if (isRateLimit && retries < maxRetries) {
-                this.rpcStats.rateLimitCount++;
-                const delay = Math.min(1000 * Math.pow(2, retries), 10000); // Max 10 seconds
-                console.log(`Rate limited. Retrying in ${delay}ms (attempt ${retries + 1}/${maxRetries})`);
-                await new Promise(resolve => setTimeout(resolve, delay));
-                retries++;
-
-                // Rotate endpoint if we keep getting rate limited
-                if (this.rpcStats.rateLimitCount >= 3) {
-                    this.rotateRpcEndpoint();
-                }
-            } else {
-                throw error; // Rethrow if not rate limit or max retries exceeded
-            }
-        }
-    }
-}
-
 async resumeMonitoring(msg) {
     try {
         const settings = this.getUserSettings(msg.chat.id);
@@ -754,10 +1647,12 @@ async resumeMonitoring(msg) {
         }
 
         settings.isPaused = false;
+        this.persistState();
 
-        // Restart monitoring for all wallets
+        // Restart monitoring for all wallets, backfilling the pause if a lookback is configured
+        const backfill = this.backfillLookbackSeconds > 0;
         for (const [address] of settings.wallets) {
-            await this.startMonitoringWallet(address, msg.chat.id);
+            await this.startMonitoringWallet(address, msg.chat.id, { resume: backfill });
         }
 
         await this.bot.sendMessage(msg.chat.id, "▶️ Monitoring resumed");
@@ -776,13 +1671,23 @@ async resumeMonitoring(msg) {
             }
 
             const keyboard = {
-                inline_keyboard: Array.from(settings.wallets.entries()).map(([address, nickname]) => [{
-                    text: `${nickname} (${address.slice(0, 8)}...)`,
-                    callback_data: `delete_wallet:${address}`
-                }])
+                inline_keyboard: [
+                    ...Array.from(settings.wallets.entries()).map(([address, nickname]) => {
+                        const groups = this.getWalletGroups(settings, address);
+                        return [{
+                            text: `${nickname} (${address.slice(0, 8)}...)${groups.length ? ` [${groups.join(', ')}]` : ''}`,
+                            callback_data: `delete_wallet:${address}`
+                        }];
+                    }),
+                    // Deleting a group keeps its wallets; they fall back to the chat's settings
+                    ...Array.from(settings.groups.keys()).map(group => [{
+                        text: `📂 Delete group ${group}`,
+                        callback_data: `delete_group:${group}`
+                    }])
+                ]
             };
 
-            await this.bot.sendMessage(msg.chat.id, "Select wallet to delete:", {
+            await this.bot.sendMessage(msg.chat.id, "Select wallet or group to delete:", {
                 reply_markup: keyboard
             });
         }
@@ -793,13 +1698,21 @@ async resumeMonitoring(msg) {
                 const nickname = settings.wallets.get(address);
 
                 // Stop monitoring this wallet
-                if (this.monitoringIntervals.has(`${chatId}:${address}`)) {
-                    clearInterval(this.monitoringIntervals.get(`${chatId}:${address}`));
-                    this.monitoringIntervals.delete(`${chatId}:${address}`);
-                }
+                this.stopMonitoringWallet(address, chatId);
 
                 settings.wallets.delete(address);
-                settings.lastProcessedSignatures.delete(address);
+                settings.walletWeights.delete(address);
+                settings.walletGroups.delete(address);
+                delete settings.monitoringStartTimes[address];
+
+                // Drop the checkpoint and webhook entry once no chat tracks it any more
+                if (!this.getAllTrackedAddresses().has(address)) {
+                    this.signatureCheckpoints.delete(address);
+                    if (this.heliusWebhooks) {
+                        this.heliusWebhooks.removeAddresses([address]);
+                    }
+                }
+                this.persistState();
 
                 await this.bot.sendMessage(chatId,
                     `✅ Deleted wallet: ${nickname}\nAddress: ${address.slice(0, 8)}...${address.slice(-8)}`);
@@ -818,9 +1731,25 @@ async resumeMonitoring(msg) {
             return;
         }
 
+        const formatWallet = (address) =>
+            `${settings.wallets.get(address)} (weight ${this.getWalletWeight(settings, address)})\n` +
+            `${address.slice(0, 8)}...${address.slice(-8)}\n` +
+            `${WalletProfiler.summarize(this.walletProfiles.get(address))}\n\n`;
+        const addresses = Array.from(settings.wallets.keys());
+
         let message = "📝 Tracked Wallets:\n\n";
-        for (const [address, nickname] of settings.wallets) {
-            message += `${nickname}\n${address.slice(0, 8)}...${address.slice(-8)}\n\n`;
+        if (settings.groups.size === 0) {
+            message += addresses.map(formatWallet).join('');
+        } else {
+            // A wallet in several groups is listed under each
+            for (const group of settings.groups.keys()) {
+                const members = addresses.filter(address => this.getWalletGroups(settings, address).includes(group));
+                message += `📂 ${group}\n${members.length ? members.map(formatWallet).join('') : '(empty)\n\n'}`;
+            }
+            const ungrouped = addresses.filter(address => this.getWalletGroups(settings, address).length === 0);
+            if (ungrouped.length) {
+                message += `📂 Ungrouped\n${ungrouped.map(formatWallet).join('')}`;
+            }
         }
 
         await this.bot.sendMessage(msg.chat.id, message);
@@ -836,9 +1765,21 @@ async showSettings(msg) {
 
         const message = `⚙️ Current Settings:
 
-🎯 Minimum SOL: ${settings.solThreshold} SOL
-👥 Required Wallets: ${settings.requiredWallets}
+🎯 Minimum Buy: ${this.formatThresholdDetail(settings)}
+💵 SOL/USD: ${this.solPrice.current() === null ? 'unavailable' : `$${this.solPrice.current().toFixed(2)} (Pyth)`}
+👥 Minimum Wallets: ${settings.requiredWallets}
+🏅 Score Threshold: ${settings.scoreThreshold}
+⚖️ SOL Scaling: ${settings.scoreSolScaling ? 'On' : 'Off'}
+🚪 Exit Alert Wallets: ${settings.requiredExitWallets}
+⏱️ Confluence Window: ${this.formatWindow(settings.confluenceWindowMinutes)}
+🔁 Re-alert: ${this.formatRealertPolicy(settings)}
 📊 Tracked Wallets: ${settings.wallets.size}
+📂 Groups: ${settings.groups.size === 0 ? 'none' : ''}${Array.from(settings.groups.entries()).map(([group, rules]) =>
+    `\n  • ${group}: ${this.formatGroupRules(rules)}`).join('')}
+🧹 Filters: ${describeFilters(settings.filters).join(', ') || 'none'}
+🛡️ Max Risk Score: ${settings.maxRiskScore === null ? 'off' : settings.maxRiskScore}
+🧩 Alert Template: ${alertTemplates.PRESETS[settings.alertTemplate] ? settings.alertTemplate : 'custom'} (${settings.tradeLinks.length} trade links)
+📣 Alert Destinations: ${settings.alertDestinations.length ? settings.alertDestinations.map(dest => dest.title).join(', ') : 'this chat only'}
 📡 Status: ${settings.isPaused ? '⏸️ Paused' : '▶️ Active'}`;
 
         const keyboard = {
@@ -847,6 +1788,20 @@ async showSettings(msg) {
                     { text: '💰 Set Threshold', callback_data: 'command_threshold', width: '50%' },
                     { text: '👥 Set Wallets', callback_data: 'command_walletcount', width: '50%' }
                 ],
+                [
+                    { text: '🏅 Set Score', callback_data: 'command_score', width: '50%' },
+                    { text: `⚖️ SOL Scaling: ${settings.scoreSolScaling ? 'On' : 'Off'}`, callback_data: 'command_scaling', width: '50%' }
+                ],
+                [
+                    { text: '🚪 Set Exit Wallets', callback_data: 'command_exitcount', width: '100%' }
+                ],
+                [
+                    { text: '⏱️ Set Window', callback_data: 'command_window', width: '50%' },
+                    { text: '🔁 Re-alert Policy', callback_data: 'command_realert', width: '50%' }
+                ],
+                [
+                    { text: '📂 Groups', callback_data: 'command_groups', width: '100%' }
+                ],
                 [
                     { text: settings.isPaused ? '▶️ Resume Monitoring' : '⏸️ Pause Monitoring',
                       callback_data: settings.isPaused ? 'command_resume' : 'command_pause',
@@ -865,24 +1820,25 @@ async showSettings(msg) {
 }
 
 
+        // Returns whether the threshold was set, so the awaiting-input flow knows to stop asking
         async setThreshold(msg, threshold) {
             try {
                 const settings = this.getUserSettings(msg.chat.id);
-                const newThreshold = parseFloat(threshold);
-
-                if (isNaN(newThreshold) || newThreshold <= 0) {
-                    await this.bot.sendMessage(msg.chat.id,
-                        "❌ Please provide a valid threshold greater than 0");
-                    return;
+                const error = await this.applyThreshold(settings, threshold);
+                if (error) {
+                    await this.bot.sendMessage(msg.chat.id, `❌ ${error}`);
+                    return false;
                 }
 
-                settings.solThreshold = newThreshold;
+                this.persistState();
                 await this.bot.sendMessage(msg.chat.id,
-                    `✅ Threshold updated to ${newThreshold} SOL`);
+                    `✅ Threshold updated to ${this.formatThresholdDetail(settings)}`);
+                return true;
             } catch (error) {
                 console.error('Error setting threshold:', error);
                 await this.bot.sendMessage(msg.chat.id,
                     "❌ Error updating threshold. Please try again.");
+                return false;
             }
         }
 
@@ -898,8 +1854,9 @@ async showSettings(msg) {
                 }
 
                 settings.requiredWallets = newCount;
+                this.persistState();
                 await this.bot.sendMessage(msg.chat.id,
-                    `✅ Required wallets updated to ${newCount}`);
+                    `✅ Minimum wallets updated to ${newCount}`);
             } catch (error) {
                 console.error('Error setting wallet count:', error);
                 await this.bot.sendMessage(msg.chat.id,
@@ -907,512 +1864,1774 @@ async showSettings(msg) {
             }
         }
 
-        async startMonitoringWallet(address, chatId) {
+        async setExitWalletCount(msg, count) {
             try {
-                // Clear any existing monitoring
-                if (this.monitoringIntervals.has(`${chatId}:${address}`)) {
-                    clearInterval(this.monitoringIntervals.get(`${chatId}:${address}`));
-                    this.monitoringIntervals.delete(`${chatId}:${address}`);
-                }
-
-                const settings = this.getUserSettings(chatId);
-                const nickname = settings.wallets.get(address);
-
-                // Send initial confirmation
-                await this.bot.sendMessage(chatId,
-                    `🔄 Starting monitoring for ${nickname} (${address.slice(0, 8)}...)`);
+                const settings = this.getUserSettings(msg.chat.id);
+                const newCount = parseInt(count);
 
-                // Record monitoring start time
-                const monitoringStartTime = Math.floor(Date.now() / 1000);
-                console.log(`Started monitoring ${nickname} at ${new Date(monitoringStartTime * 1000).toISOString()}`);
+                if (isNaN(newCount) || newCount <= 0) {
+                    await this.bot.sendMessage(msg.chat.id,
+                        "❌ Please provide a valid number greater than 0");
+                    return;
+                }
 
-                // Store monitoring state
-                settings.monitoringStartTimes = settings.monitoringStartTimes || {};
-                settings.monitoringStartTimes[address] = monitoringStartTime;
+                settings.requiredExitWallets = newCount;
+                this.persistState();
+                await this.bot.sendMessage(msg.chat.id,
+                    `✅ Exit alert wallets updated to ${newCount}`);
+            } catch (error) {
+                console.error('Error setting exit wallet count:', error);
+                await this.bot.sendMessage(msg.chat.id,
+                    "❌ Error updating exit wallet count. Please try again.");
+            }
+        }
 
-                // Get the first signature to start monitoring from
-                const pubkey = new PublicKey(address);
-                try {
-                    const initialSigs = await this.connection.getSignaturesForAddress(pubkey, { limit: 1 });
-                    if (initialSigs.length > 0) {
-                        settings.lastProcessedSignatures = settings.lastProcessedSignatures || new Map();
-                        settings.lastProcessedSignatures.set(address, initialSigs[0].signature);
-                        console.log(`Set initial signature for ${nickname}: ${initialSigs[0].signature.slice(0, 8)}...`);
-                    }
-                } catch (error) {
-                    console.error(`Error getting initial signatures for ${address}:`, error);
+        // Returns true when the setting was applied
+        async setScoreThreshold(msg, value) {
+            try {
+                const threshold = parseFloat(value);
+                if (isNaN(threshold) || threshold <= 0) {
+                    await this.bot.sendMessage(msg.chat.id,
+                        "❌ Please provide a valid score greater than 0");
+                    return false;
                 }
 
-                // Use a simple polling approach
-                const interval = setInterval(async () => {
-                    if (settings.isPaused) return;
+                const settings = this.getUserSettings(msg.chat.id);
+                settings.scoreThreshold = threshold;
+                this.persistState();
+                await this.bot.sendMessage(msg.chat.id,
+                    `✅ Score threshold updated to ${threshold}`);
+                return true;
+            } catch (error) {
+                console.error('Error setting score threshold:', error);
+                await this.bot.sendMessage(msg.chat.id,
+                    "❌ Error updating score threshold. Please try again.");
+                return false;
+            }
+        }
 
-                    try {
-                        // Only check for new transactions using a small limit
-                        const newSigs = await this.connection.getSignaturesForAddress(pubkey, {
-                            limit: 2, // Check the 2 most recent
-                        });
-                        if (newSigs.length === 0) return;
-
-                        const lastProcessedSig = settings.lastProcessedSignatures.get(address);
-
-                        // Find signatures we haven't processed yet
-                        const newSignatures = [];
-                        for (const sig of newSigs) {
-                            if (sig.signature === lastProcessedSig) break;
-                            newSignatures.push(sig);
-                        }
-                        if (newSignatures.length === 0) return;
+        async setScoreSolScaling(msg, enabled) {
+            try {
+                const settings = this.getUserSettings(msg.chat.id);
+                settings.scoreSolScaling = enabled;
+                this.persistState();
+                await this.bot.sendMessage(msg.chat.id, enabled
+                    ? "✅ SOL scaling on: bigger buys count for more of the score"
+                    : "✅ SOL scaling off: each buyer counts for their weight");
+            } catch (error) {
+                console.error('Error setting SOL scaling:', error);
+                await this.bot.sendMessage(msg.chat.id,
+                    "❌ Error updating SOL scaling. Please try again.");
+            }
+        }
 
-                        console.log(`Found ${newSignatures.length} new transaction(s) for ${nickname}`);
+        // Returns the weight as a number, or null if it's out of range
+        parseWeight(value) {
+            const weight = parseFloat(value);
+            if (isNaN(weight) || weight <= 0 || weight > 100) return null;
+            return weight;
+        }
 
-                        // Update the last processed signature
-                        settings.lastProcessedSignatures.set(address, newSignatures[0].signature);
+        getWalletWeight(settings, address) {
+            return settings.walletWeights.get(address) ?? 1;
+        }
 
-                        // Process transactions (newest -> oldest) with a small delay
-                        for (let i = newSignatures.length - 1; i >= 0; i--) {
-                            const sig = newSignatures[i];
+        // Each buyer adds its weight. With SOL scaling, the weight is multiplied by the square
+        // root of how many times the SOL threshold it spent (capped at 3x), so size counts
+        // without one whale outweighing everybody else.
+        // rules is the chat's settings or a group's rules; weights and scaling are per chat.
+        scoreBuyers(settings, buyers, rules = settings) {
+            const contributions = new Map();
+            let score = 0;
+            for (const [address, solSpent] of buyers) {
+                let points = this.getWalletWeight(settings, address);
+                if (settings.scoreSolScaling && rules.solThreshold > 0) {
+                    points *= Math.min(Math.sqrt(solSpent / rules.solThreshold), 3);
+                }
+                contributions.set(address, points);
+                score += points;
+            }
+            return { score, contributions };
+        }
 
-                            // Skip if transaction is too old
-                            if (sig.blockTime && sig.blockTime < monitoringStartTime) {
-                                console.log(`Skipping old transaction from ${new Date(sig.blockTime * 1000).toISOString()}`);
-                                continue;
-                            }
+        // target is an address or a nickname
+        async setWalletWeight(msg, target, value) {
+            try {
+                const settings = this.getUserSettings(msg.chat.id);
+                const address = this.resolveTrackedWallet(settings, target);
 
-                            // Get transaction details
-                            try {
-                                const tx = await this.connection.getTransaction(sig.signature, {
-                                    maxSupportedTransactionVersion: 0
-                                });
+                if (!address) {
+                    await this.bot.sendMessage(msg.chat.id, `❌ No tracked wallet matches "${target}"`);
+                    return;
+                }
 
-                                if (!tx) {
-                                    console.log(`Transaction ${sig.signature.slice(0, 8)}... not found`);
-                                    continue;
-                                }
+                const weight = this.parseWeight(value);
+                if (weight === null) {
+                    await this.bot.sendMessage(msg.chat.id,
+                        "❌ Please provide a weight above 0 and up to 100");
+                    return;
+                }
 
-                                // Always try extracting token info
-                                const tokenInfo = await this.extractTokenInfoFromTx(tx, chatId, address);
-
-                                // If we found a valid token that the user gained, treat it as a buy/swap
-                                if (
-                                    tokenInfo &&
-                                    tokenInfo.tokenAddress !== 'unknown' &&
-                                    tokenInfo.tokenAmount > 0
-                                ) {
-                                    console.log(`Processing swap transaction: ${sig.signature.slice(0, 8)}...`);
-                                    await this.processTransaction(sig.signature, chatId, address, tx, tokenInfo);
-                                } else {
-                                    console.log(`Skipping non-token transaction: ${sig.signature.slice(0, 8)}...`);
-                                }
-                            } catch (txError) {
-                                console.error(`Error processing transaction ${sig.signature}:`, txError);
-                            }
+                if (weight === 1) {
+                    settings.walletWeights.delete(address);
+                } else {
+                    settings.walletWeights.set(address, weight);
+                }
+                this.persistState();
+                await this.bot.sendMessage(msg.chat.id,
+                    `✅ Weight for ${settings.wallets.get(address)} updated to ${weight}`);
+            } catch (error) {
+                console.error('Error setting wallet weight:', error);
+                await this.bot.sendMessage(msg.chat.id,
+                    "❌ Error updating wallet weight. Please try again.");
+            }
+        }
 
-                            // Delay to avoid rate limits
-                            await new Promise(r => setTimeout(r, 500));
-                        }
-                    } catch (error) {
-                        console.error(`Error monitoring wallet ${address}:`, error);
+        async showAlertTemplate(msg) {
+            const settings = this.getUserSettings(msg.chat.id);
+            const preset = alertTemplates.PRESETS[settings.alertTemplate] ? settings.alertTemplate : null;
+
+            let message = `🧩 Alert template: ${preset || 'custom'}\n\n`;
+            if (!preset) {
+                message += `${settings.alertTemplate}\n\n`;
+            }
+            message += `Presets: ${Object.keys(alertTemplates.PRESETS).join(', ')}\n\n` +
+                "Placeholders:\n" +
+                Object.entries(alertTemplates.FIELDS).map(([name, description]) => `{${name}} - ${description}`).join('\n') +
+                "\n\nLines whose placeholders are all empty are left out. Templates are Telegram HTML." +
+                "\n\nUse /template <preset>, or /template custom followed by the template on the next lines. " +
+                "/preview shows the result.";
+
+            await this.bot.sendMessage(msg.chat.id, message);
+        }
+
+        async setAlertTemplate(msg, name, text) {
+            try {
+                const settings = this.getUserSettings(msg.chat.id);
+
+                if (alertTemplates.PRESETS[name]) {
+                    settings.alertTemplate = name;
+                } else if (name === 'custom') {
+                    const template = text.trim();
+                    if (!template) {
+                        await this.bot.sendMessage(msg.chat.id, "❌ Put the template after /template custom, e.g.\n/template custom\n🔥 {token} bought by {buyer_count}\n{links_inline}");
+                        return;
+                    }
+                    const unknown = alertTemplates.unknownPlaceholders(template);
+                    if (unknown.length) {
+                        await this.bot.sendMessage(msg.chat.id, `❌ Unknown placeholder(s): ${unknown.map(field => `{${field}}`).join(', ')}. See /template for the list.`);
+                        return;
                     }
-                }, 30000); // Poll every 30 seconds
+                    settings.alertTemplate = template;
+                } else {
+                    await this.bot.sendMessage(msg.chat.id, `❌ Unknown preset "${name}". Presets: ${Object.keys(alertTemplates.PRESETS).join(', ')}, or custom.`);
+                    return;
+                }
 
-                this.monitoringIntervals.set(`${chatId}:${address}`, interval);
+                this.persistState();
+                await this.bot.sendMessage(msg.chat.id, `✅ Alert template set to ${alertTemplates.PRESETS[name] ? name : 'custom'}. Use /preview to see it.`);
+            } catch (error) {
+                console.error('Error setting alert template:', error);
+                await this.bot.sendMessage(msg.chat.id, "❌ Error setting alert template. Please try again.");
+            }
+        }
 
-                // Confirm monitoring is active
-                await this.bot.sendMessage(chatId,
-                    `✅ Now monitoring ${nickname} (${address.slice(0, 8)}...) for new token transactions`);
+        // Renders the chat's template with sample data, to this chat only
+        async previewAlert(msg) {
+            try {
+                const settings = this.getUserSettings(msg.chat.id);
+                const sampleWallets = Array.from(settings.wallets.values()).slice(0, 3);
+                while (sampleWallets.length < 3) {
+                    sampleWallets.push(`Wallet ${sampleWallets.length + 1}`);
+                }
+
+                const text = this.renderAlert(settings, {
+                    tokenAddress: 'So11111111111111111111111111111111111111112',
+                    displayName: 'SAMPLE',
+                    fullName: 'Sample Token',
+                    metadata: { twitter: '@sample', website: 'https://example.com' },
+                    marketData: { priceUsd: 0.00004213, priceSol: 0.00000028, marketCap: 42130, holders: 318, bondingProgress: 0.64 },
+                    mintInfo: null,
+                    safety: {
+                        score: 30,
+                        findings: ['Top 10 holders own 34.2%', 'Only 0.0% of LP burned'],
+                        mintAuthority: null,
+                        freezeAuthority: null,
+                        top10Share: 0.342,
+                        pool: { lpBurned: 0 },
+                        deployer: null
+                    },
+                    group: settings.groups.size ? settings.groups.keys().next().value : null,
+                    buyerLines: sampleWallets.map((nickname, index) => `${nickname} (${(1.5 - index * 0.4).toFixed(4)} SOL, w1)`),
+                    solTotal: 3.3,
+                    usdTotal: this.solPrice.formatUsd(3.3),
+                    score: 3,
+                    scoreThreshold: settings.scoreThreshold
+                });
+
+                await this.bot.sendMessage(msg.chat.id, `👀 Preview (sample data):\n\n${text}`, {
+                    parse_mode: 'HTML',
+                    disable_web_page_preview: true
+                });
             } catch (error) {
-                console.error('Error starting wallet monitoring:', error);
-                await this.bot.sendMessage(chatId,
-                    `❌ Error starting monitoring for ${address.slice(0, 8)}...`);
+                console.error('Error previewing alert:', error);
+                await this.bot.sendMessage(msg.chat.id, "❌ Could not render the template. Telegram rejected it, check that HTML tags are closed.");
             }
         }
 
+        async showTradeLinks(msg) {
+            const settings = this.getUserSettings(msg.chat.id);
+            let message = "🔗 Trade Links:\n\n";
+            message += settings.tradeLinks.length
+                ? settings.tradeLinks.map(link => `• ${link.name}: ${link.url}`).join('\n')
+                : 'none';
+            message += "\n\n/tradelink add <name> <url> - url must contain {address}" +
+                "\n/tradelink remove <name>\n/tradelink reset";
+            await this.bot.sendMessage(msg.chat.id, message, { disable_web_page_preview: true });
+        }
 
-        async processTransaction(signature, chatId, walletAddress, tx, tokenInfo = null) {
+        // /tradelink add <name> <url> | remove <name> | reset
+        async handleTradeLinkCommand(msg, args) {
             try {
-                console.log(`Processing transaction: ${signature.slice(0, 8)}... for wallet ${walletAddress.slice(0, 8)}...`);
+                const settings = this.getUserSettings(msg.chat.id);
+                const [action, ...rest] = args;
 
-                // If tokenInfo wasn't passed in, try to extract it from the transaction
-                if (!tokenInfo) {
-                    tokenInfo = await this.extractTokenInfoFromTx(tx, chatId, walletAddress);
-                    if (!tokenInfo) {
-                        console.log(`No token purchase detected in transaction ${signature.slice(0, 8)}...`);
+                if (action === 'add' && rest.length >= 2) {
+                    const url = rest.pop();
+                    const name = rest.join(' ');
+                    if (!alertTemplates.isValidLinkUrl(url)) {
+                        await this.bot.sendMessage(msg.chat.id, "❌ The URL must start with http(s):// and contain {address} where the token mint goes.");
+                        return;
+                    }
+                    const existing = settings.tradeLinks.find(link => link.name.toLowerCase() === name.toLowerCase());
+                    if (existing) {
+                        existing.url = url;
+                    } else {
+                        settings.tradeLinks.push({ name, url });
+                    }
+                } else if (action === 'remove' && rest.length >= 1) {
+                    const name = rest.join(' ').toLowerCase();
+                    const before = settings.tradeLinks.length;
+                    settings.tradeLinks = settings.tradeLinks.filter(link => link.name.toLowerCase() !== name);
+                    if (settings.tradeLinks.length === before) {
+                        await this.bot.sendMessage(msg.chat.id, `❌ No trade link named "${rest.join(' ')}".`);
                         return;
                     }
+                } else if (action === 'reset') {
+                    settings.tradeLinks = alertTemplates.DEFAULT_TRADE_LINKS.map(link => ({ ...link }));
+                } else {
+                    await this.bot.sendMessage(msg.chat.id, "Usage: /tradelink add <name> <url> | remove <name> | reset");
+                    return;
                 }
 
-                const { tokenAddress, tokenName, solAmount, tokenAmount } = tokenInfo;
-                console.log(
-                    `Detected token purchase: ${tokenName} (${tokenAddress.slice(0, 8)}...) ` +
-                    `for ${solAmount.toFixed(4)} SOL (${tokenAmount} tokens)`
-                );
+                this.persistState();
+                await this.showTradeLinks(msg);
+            } catch (error) {
+                console.error('Error updating trade links:', error);
+                await this.bot.sendMessage(msg.chat.id, "❌ Error updating trade links. Please try again.");
+            }
+        }
 
-                const settings = this.getUserSettings(chatId);
+        async showFilters(msg) {
+            const settings = this.getUserSettings(msg.chat.id);
+            const lines = describeFilters(settings.filters);
 
-                // Build a key for recent transactions
-                const key = `${chatId}:${tokenAddress}`;
-                if (!this.recentTransactions.has(key)) {
-                    this.recentTransactions.set(key, {
-                        buyers: new Map(),
-                        timestamp: Date.now(),
-                        firstSeen: Date.now()
-                    });
-                    console.log(`First detection of token ${tokenName} (${tokenAddress.slice(0, 8)}...)`);
+            let message = "🧹 Token Filters:\n\n";
+            message += lines.length ? lines.map(line => `• ${line}`).join('\n') : 'none';
+            if (settings.filters.blockedMints.length) {
+                message += `\n\nBlocked mints:\n${settings.filters.blockedMints.join('\n')}`;
+            }
+            if (settings.filters.blockedDeployers.length) {
+                message += `\n\nBlocked deployers:\n${settings.filters.blockedDeployers.join('\n')}`;
+            }
+            message += `\n\n/filter <${Object.keys(FILTER_NAMES).join('|')}> <value|off>` +
+                "\ne.g. /filter mincap 20k, /filter bonding 10-90, /filter maxage 6h, /filter graduated exclude" +
+                "\n/block mint|deployer <address>, /unblock <address>" +
+                "\n/filtered shows what was suppressed";
+
+            await this.bot.sendMessage(msg.chat.id, message);
+        }
+
+        async setFilter(msg, name, value) {
+            try {
+                const settings = this.getUserSettings(msg.chat.id);
+                const error = applyFilterSetting(settings.filters, name, value);
+                if (error) {
+                    await this.bot.sendMessage(msg.chat.id, `❌ ${error}`);
+                    return;
                 }
 
-                const txData = this.recentTransactions.get(key);
+                this.persistState();
+                await this.showFilters(msg);
+            } catch (error) {
+                console.error('Error setting filter:', error);
+                await this.bot.sendMessage(msg.chat.id, "❌ Error setting filter. Please try again.");
+            }
+        }
 
-                // Update buyer's SOL spent on this token
-                const previousAmount = txData.buyers.get(walletAddress) || 0;
-                txData.buyers.set(walletAddress, previousAmount + solAmount);
+        async blockAddress(msg, kind, address) {
+            try {
+                new PublicKey(address);
+            } catch (error) {
+                await this.bot.sendMessage(msg.chat.id, `❌ Invalid address: ${address}`);
+                return;
+            }
 
-                console.log(
-                    `Wallet ${walletAddress.slice(0, 8)}... total spent on ${tokenName}: ` +
-                    `${(previousAmount + solAmount).toFixed(4)} SOL`
-                );
+            const settings = this.getUserSettings(msg.chat.id);
+            const list = kind === 'mint' ? settings.filters.blockedMints : settings.filters.blockedDeployers;
+            if (!list.includes(address)) {
+                list.push(address);
+                this.persistState();
+            }
+            await this.bot.sendMessage(msg.chat.id, `✅ Blocked ${kind} ${address}`);
+        }
 
-                // Calculate total SOL spent
-                const totalSolSpentOnToken = Array.from(txData.buyers.values()).reduce((sum, amount) => sum + amount, 0);
+        async unblockAddress(msg, address) {
+            const { filters } = this.getUserSettings(msg.chat.id);
+            const before = filters.blockedMints.length + filters.blockedDeployers.length;
+            filters.blockedMints = filters.blockedMints.filter(item => item !== address);
+            filters.blockedDeployers = filters.blockedDeployers.filter(item => item !== address);
 
-                // Log tracking status
-                console.log(
-                    `Token ${tokenName} tracking status:\n` +
-                    `- Unique wallets: ${txData.buyers.size}/${settings.requiredWallets}\n` +
-                    `- Total SOL spent: ${totalSolSpentOnToken.toFixed(4)}/${settings.solThreshold} SOL\n` +
-                    `- Time tracking: ${Math.floor((Date.now() - txData.firstSeen) / 1000)} seconds`
-                );
+            if (filters.blockedMints.length + filters.blockedDeployers.length === before) {
+                await this.bot.sendMessage(msg.chat.id, `❌ ${address} is not blocked.`);
+                return;
+            }
+            this.persistState();
+            await this.bot.sendMessage(msg.chat.id, `✅ Unblocked ${address}`);
+        }
 
-                // Check alert conditions
-                if (
-                    txData.buyers.size >= settings.requiredWallets &&
-                    totalSolSpentOnToken >= settings.solThreshold
-                ) {
-                    console.log(`🚨 Alert threshold reached for ${tokenName}!`);
-                    // Send the alert
-                    await this.sendAlert(
-    chatId,
-    tokenAddress,
-    tokenName,
-    txData.buyers,          // Pass the entire Map
-    totalSolSpentOnToken
-);
-                    // Remove tracking once alert is sent
-                    this.recentTransactions.delete(key);
-                    console.log(`Removed ${tokenName} from tracking after alert sent`);
+        async setMaxRiskScore(msg, value) {
+            const settings = this.getUserSettings(msg.chat.id);
+            if (value !== 'off' && parseInt(value) > 100) {
+                await this.bot.sendMessage(msg.chat.id, "❌ Risk scores go from 0 to 100.");
+                return;
+            }
+
+            settings.maxRiskScore = value === 'off' ? null : parseInt(value);
+            this.persistState();
+            await this.bot.sendMessage(msg.chat.id, settings.maxRiskScore === null
+                ? "✅ Risk score limit turned off."
+                : `✅ Alerts with a risk score above ${settings.maxRiskScore} will be suppressed.`);
+        }
+
+        async showFilteredAlerts(msg) {
+            const entries = this.filteredAlerts.get(msg.chat.id) || [];
+            if (entries.length === 0) {
+                await this.bot.sendMessage(msg.chat.id, "No alerts have been filtered.");
+                return;
+            }
+
+            let message = "🧹 Recently Filtered Alerts:\n\n";
+            for (const entry of entries.slice(0, 20)) {
+                const minutesAgo = Math.round((Date.now() - entry.at) / 60000);
+                message += `${entry.tokenName} (${entry.tokenAddress.slice(0, 8)}...)` +
+                    `${entry.group ? ` [${entry.group}]` : ''}\n` +
+                    `${entry.reason}\n` +
+                    `${minutesAgo} min ago${entry.count > 1 ? `, filtered ${entry.count}x` : ''}\n\n`;
+            }
+            await this.bot.sendMessage(msg.chat.id, message);
+        }
+
+        async showProviderStatus(msg) {
+            const providers = this.tokenData.status();
+            if (providers.length === 0) {
+                await this.bot.sendMessage(msg.chat.id, "No token data providers are configured.");
+                return;
+            }
+
+            let message = "🔌 Token Data Providers (in fallback order):\n\n";
+            providers.forEach((provider, index) => {
+                message += `${index + 1}. ${provider.available ? '🟢' : '🔴'} ${provider.name} (${provider.kinds.join(', ')})\n` +
+                    `   ${provider.successes} ok · ${provider.misses} empty · ${provider.failures} failed` +
+                    `${provider.lastLatencyMs !== null ? ` · last ${provider.lastLatencyMs}ms` : ''}\n`;
+                if (!provider.available) {
+                    message += `   Skipped for ${Math.ceil((provider.skipUntil - Date.now()) / 1000)}s after repeated failures\n`;
+                }
+                if (provider.lastError) {
+                    message += `   Last error: ${provider.lastError}\n`;
                 }
+            });
 
-                // Cleanup old entries (e.g., older than 1 hour)
-                const now = Date.now();
-                for (const [existingKey, data] of this.recentTransactions.entries()) {
-                    if (now - data.timestamp > 3600000) { // 1 hour
-                        console.log(
-                            `Removing expired tracking for token ` +
-                            `${existingKey.split(':')[1].slice(0, 8)}...`
-                        );
-                        this.recentTransactions.delete(existingKey);
+            message += "\n🗄️ Cache:\n";
+            for (const namespace of this.tokenCache.status()) {
+                const lookups = namespace.hits + namespace.misses + namespace.coalesced;
+                const hitRate = lookups ? ((namespace.hits + namespace.coalesced) / lookups * 100).toFixed(0) : '0';
+                message += `${namespace.name}: ${namespace.size}/${namespace.maxEntries} entries · ` +
+                    `${hitRate}% hits (${namespace.coalesced} coalesced) · TTL ${namespace.ttlMs / 1000}s\n`;
+            }
+
+            await this.bot.sendMessage(msg.chat.id, message);
+        }
+
+        // Endpoint URLs carry API keys, so only hosts are shown
+        async showRpcStatus(msg) {
+            const stats = this.rpcStats;
+            const ago = (time) => `${Math.round((Date.now() - time) / 1000)}s ago`;
+            const states = { closed: '🟢', 'half-open': '🟡', open: '🔴' };
+
+            let message = "📡 RPC Endpoints (best first):\n\n";
+            this.rpcPool.status().forEach((endpoint, index) => {
+                const errorRate = endpoint.requests ? (endpoint.errors / endpoint.requests * 100).toFixed(1) : '0.0';
+                message += `${index + 1}. ${states[endpoint.state]} ${endpoint.label} (${endpoint.state})\n` +
+                    `   ${endpoint.latencyMs !== null ? `${endpoint.latencyMs}ms` : 'latency unknown'}` +
+                    ` · ${endpoint.slotLag !== null ? `${endpoint.slotLag} slots behind` : 'slot unknown'}` +
+                    `${endpoint.lastCheckAt ? ` · checked ${ago(endpoint.lastCheckAt)}` : ''}\n` +
+                    `   ${endpoint.requests} requests · ${endpoint.errors} errors (${errorRate}%) · ${endpoint.rateLimits} rate limited\n`;
+                if (endpoint.reopensIn !== null) {
+                    message += `   Out of rotation, retried in ${Math.ceil(endpoint.reopensIn / 1000)}s\n`;
+                }
+                if (endpoint.lastError) {
+                    message += `   Last error: ${endpoint.lastError}\n`;
+                }
+            });
+
+            message += `\nTotal: ${stats.totalRequests} requests · ${stats.totalErrors} errors · ` +
+                `${stats.rateLimitCount} rate limited · ${stats.totalRotations} retried elsewhere` +
+                `${stats.lastRotation ? ` (last ${ago(stats.lastRotation)})` : ''}`;
+
+            await this.bot.sendMessage(msg.chat.id, message);
+        }
+
+        // Request budgets: what is waiting at each priority, and how long requests have waited
+        async showQueueStatus(msg) {
+            let message = "🚦 Request Queues:\n";
+            for (const budget of this.scheduler.status()) {
+                const queued = budget.priorities.reduce((sum, priority) => sum + priority.queued, 0);
+                message += `\n${budget.name}: ${budget.ratePerSecond}/s · ${queued} queued · ${budget.tokens} tokens free\n`;
+                for (const priority of budget.priorities) {
+                    if (priority.granted === 0 && priority.queued === 0) continue;
+                    message += `   ${priority.priority}: ${priority.queued} queued` +
+                        `${priority.queued > 0 ? ` (oldest ${priority.oldestWaitMs}ms)` : ''}` +
+                        ` · ${priority.granted} sent · wait avg ${priority.averageWaitMs}ms, max ${priority.maxWaitMs}ms\n`;
+                }
+            }
+
+            await this.bot.sendMessage(msg.chat.id, message);
+        }
+
+        // Cached profile if fresh enough, otherwise queues a rebuild
+        async profileWallet(address, { force = false } = {}) {
+            const cached = this.walletProfiles.get(address);
+            if (!force && cached && Date.now() - cached.computedAt < this.profileTtlMs) {
+                return cached;
+            }
+
+            const profile = await this.profiler.profile(address);
+            this.walletProfiles.set(address, profile);
+            this.persistState();
+            return profile;
+        }
+
+        // target is an address, or the nickname of a tracked wallet
+        async showProfile(msg, target) {
+            try {
+                const settings = this.getUserSettings(msg.chat.id);
+                const address = this.resolveTrackedWallet(settings, target) || target;
+                try {
+                    new PublicKey(address);
+                } catch (error) {
+                    await this.bot.sendMessage(msg.chat.id, `❌ Invalid wallet address: ${target}`);
+                    return;
+                }
+
+                const cached = this.walletProfiles.get(address);
+                if (!cached || Date.now() - cached.computedAt >= this.profileTtlMs) {
+                    await this.bot.sendMessage(msg.chat.id,
+                        `⏳ Profiling ${address.slice(0, 8)}... from its last ${this.profiler.maxTransactions} transactions. This can take a few minutes.`);
+                }
+                const profile = await this.profileWallet(address);
+
+                const nickname = settings.wallets.get(address);
+                const pnl = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(3)} SOL`;
+                const message = `👤 Wallet Profile${nickname ? `: ${nickname}` : ''}\n` +
+                    `${address}\n\n` +
+                    `Realized PnL: ${pnl(profile.realizedSol)}\n` +
+                    `Unrealized PnL: ${pnl(profile.unrealizedSol)} (${profile.openPositions} open)\n` +
+                    `Win rate: ${profile.winRate === null ? 'n/a' : `${(profile.winRate * 100).toFixed(0)}%`} ` +
+                    `of ${profile.closedPositions} closed position(s)\n` +
+                    `Avg hold: ${WalletProfiler.formatHold(profile.avgHoldSeconds)}\n` +
+                    `Typical buy: ${profile.medianBuySol === null ? 'n/a' : `${profile.medianBuySol.toFixed(3)} SOL`}\n\n` +
+                    `${profile.trades} swaps in ${profile.transactionsScanned} transactions` +
+                    `${profile.uncostedTrades ? `, ${profile.uncostedTrades} not costed (non-SOL or bought earlier)` : ''}\n` +
+                    `Updated ${new Date(profile.computedAt).toISOString()}`;
+
+                await this.bot.sendMessage(msg.chat.id, message);
+            } catch (error) {
+                console.error('Error profiling wallet:', error);
+                await this.bot.sendMessage(msg.chat.id, "❌ Error profiling wallet. Please try again.");
+            }
+        }
+
+        // Ranks the chat's tracked wallets by total PnL from their cached profiles.
+        // Missing or stale profiles are queued and show up on the next call.
+        async showLeaderboard(msg) {
+            try {
+                const settings = this.getUserSettings(msg.chat.id);
+                if (settings.wallets.size === 0) {
+                    await this.bot.sendMessage(msg.chat.id, "No wallets being tracked. Use /add to add wallets.");
+                    return;
+                }
+
+                const ranked = [];
+                let queued = 0;
+                for (const address of settings.wallets.keys()) {
+                    const profile = this.walletProfiles.get(address);
+                    if (!profile || Date.now() - profile.computedAt >= this.profileTtlMs) {
+                        queued++;
+                        this.profileWallet(address)
+                            .catch(error => console.error(`Error profiling ${address}:`, error.message));
                     }
+                    if (profile) ranked.push({ address, profile });
+                }
+
+                ranked.sort((a, b) =>
+                    (b.profile.realizedSol + b.profile.unrealizedSol) - (a.profile.realizedSol + a.profile.unrealizedSol));
+
+                let message = "🏆 Tracked Wallet Leaderboard\n\n";
+                ranked.forEach(({ address, profile }, index) => {
+                    message += `${index + 1}. ${settings.wallets.get(address)}\n${WalletProfiler.summarize(profile)}\n\n`;
+                });
+                if (ranked.length === 0) {
+                    message += "No profiles yet.\n";
+                }
+                if (queued > 0) {
+                    message += `\n⏳ ${queued} wallet(s) being (re)profiled; check back in a few minutes.`;
                 }
 
+                await this.bot.sendMessage(msg.chat.id, message);
             } catch (error) {
-                console.error(`Error processing transaction ${signature.slice(0, 8)}...`, error);
+                console.error('Error showing leaderboard:', error);
+                await this.bot.sendMessage(msg.chat.id, "❌ Error building leaderboard. Please try again.");
             }
         }
 
+        // /stats [horizon]: how alerts in this chat did, overall, per group and per configuration
+        async showStats(msg, horizonText) {
+            try {
+                const horizons = this.performance.horizonsMinutes;
+                const horizon = horizonText
+                    ? (PerformanceTracker.parseHorizons(horizonText) || [])[0]
+                    : horizons.find(minutes => minutes >= 60) || horizons[horizons.length - 1];
+
+                if (!horizons.includes(horizon)) {
+                    await this.bot.sendMessage(msg.chat.id,
+                        `❌ Horizon must be one of: ${horizons.map(PerformanceTracker.formatHorizon).join(', ')}`);
+                    return;
+                }
+
+                const records = this.performance.recordsForChat(msg.chat.id);
+                const label = PerformanceTracker.formatHorizon(horizon);
+                const pct = (value) => `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}%`;
+                const line = (summary) =>
+                    `${summary.count} call${summary.count === 1 ? '' : 's'} · hit ${(summary.hitRate * 100).toFixed(0)}% · ` +
+                    `median ${pct(summary.medianReturn)}`;
+
+                const overall = this.performance.summarize(records, horizon);
+                if (!overall) {
+                    const pending = records.filter(record => !record.horizons[horizon]).length;
+                    await this.bot.sendMessage(msg.chat.id,
+                        `📈 No alerts have reached the ${label} mark yet` +
+                        (pending ? ` (${pending} being tracked).` : '.'));
+                    return;
+                }
+
+                let message = `📈 Alert performance ${label} after the alert\n\n`;
+                message += `Overall: ${line(overall)}\n`;
+                message += `Avg max gain ${pct(overall.avgMaxGain)} · avg drawdown ${pct(overall.avgDrawdown)}\n`;
+                message += `Best: ${overall.best.tokenName} ${pct(overall.best.horizons[horizon].return)}\n`;
+                message += `Worst: ${overall.worst.tokenName} ${pct(overall.worst.horizons[horizon].return)}\n`;
+
+                // Breakdowns by group and by the rules in force when the alert fired
+                const breakdown = (title, keyOf) => {
+                    const buckets = new Map();
+                    for (const record of records) {
+                        const key = keyOf(record);
+                        if (!buckets.has(key)) buckets.set(key, []);
+                        buckets.get(key).push(record);
+                    }
+                    let text = '';
+                    for (const [key, bucket] of buckets) {
+                        const summary = this.performance.summarize(bucket, horizon);
+                        if (summary) text += `• ${key}: ${line(summary)}\n`;
+                    }
+                    return text ? `\n${title}:\n${text}` : '';
+                };
+                message += breakdown('By group', record => record.group || 'Chat rules');
+                message += breakdown('By settings', record => this.formatGroupRules(record.config));
+
+                message += `\nOther horizons: ${horizons.filter(m => m !== horizon).map(PerformanceTracker.formatHorizon).join(', ')} (/stats <horizon>)`;
+                await this.bot.sendMessage(msg.chat.id, message);
+            } catch (error) {
+                console.error('Error showing stats:', error);
+                await this.bot.sendMessage(msg.chat.id, "❌ Error building stats. Please try again.");
+            }
+        }
+
+        async showWalletWeights(msg) {
+            const settings = this.getUserSettings(msg.chat.id);
+            if (settings.wallets.size === 0) {
+                await this.bot.sendMessage(msg.chat.id, "No wallets being tracked. Use /add to add wallets.");
+                return;
+            }
+
+            let message = "⚖️ Wallet Weights:\n\n";
+            for (const [address, nickname] of settings.wallets) {
+                message += `${nickname}: ${this.getWalletWeight(settings, address)}\n`;
+            }
+            message += `\nScore threshold: ${settings.scoreThreshold}\n`;
+            message += `Change one with /weight <address or nickname> <weight>`;
+            await this.bot.sendMessage(msg.chat.id, message);
+        }
+
+        // Address or nickname of a tracked wallet -> address
+        resolveTrackedWallet(settings, target) {
+            if (settings.wallets.has(target)) return target;
+            return Array.from(settings.wallets.keys()).find(addr => settings.wallets.get(addr) === target);
+        }
+
+        // --- Wallet groups ---
+
+        // Case-insensitive lookup that returns the group's name as created
+        findGroup(settings, name) {
+            const wanted = String(name).toLowerCase();
+            return Array.from(settings.groups.keys()).find(group => group.toLowerCase() === wanted) || null;
+        }
+
+        getWalletGroups(settings, address) {
+            return settings.walletGroups.get(address) || [];
+        }
+
+        // The rule sets a wallet's buys are evaluated under: one per group it belongs to,
+        // or the chat's own rules when it isn't in any group
+        alertScopesFor(settings, address) {
+            const groups = this.getWalletGroups(settings, address).filter(group => settings.groups.has(group));
+            if (groups.length === 0) {
+                return [{
+                    group: null,
+                    rules: this.effectiveRules(settings),
+                    includes: wallet => this.getWalletGroups(settings, wallet).length === 0
+                }];
+            }
+            return groups.map(group => ({
+                group,
+                rules: this.effectiveRules(settings.groups.get(group)),
+                includes: wallet => this.getWalletGroups(settings, wallet).includes(group)
+            }));
+        }
+
+        // With a USD threshold the SOL threshold follows the Pyth price. Without a fresh price
+        // the SOL amount worked out when the threshold was set is used.
+        effectiveRules(rules) {
+            const price = this.solPrice.current();
+            if (!rules.thresholdUsd || price === null) return rules;
+            return { ...rules, solThreshold: rules.thresholdUsd / price };
+        }
+
+        // "0.5", "0.5 sol", "$50", "50 usd" -> { amount, usd }
+        parseThreshold(text) {
+            const match = String(text).trim().toLowerCase().match(/^(\$)?\s*(\d*\.?\d+)\s*(\$|usd|sol)?$/);
+            if (!match) return null;
+            const amount = parseFloat(match[2]);
+            if (!(amount > 0) || (match[1] && match[3] === 'sol')) return null;
+            return { amount, usd: Boolean(match[1]) || match[3] === '$' || match[3] === 'usd' };
+        }
+
+        // Sets rules' threshold (chat or group) from user input. Returns an error message or null.
+        async applyThreshold(rules, text) {
+            const threshold = this.parseThreshold(text);
+            if (!threshold) {
+                return "Please provide a valid threshold greater than 0, in SOL (1.5) or USD ($250)";
+            }
+
+            if (!threshold.usd) {
+                rules.solThreshold = threshold.amount;
+                rules.thresholdUsd = null;
+                return null;
+            }
+
+            const price = await this.solPrice.getPrice();
+            if (price === null) {
+                return "No fresh SOL/USD price from Pyth right now, so a USD threshold can't be set. Try again shortly or use SOL.";
+            }
+            rules.thresholdUsd = threshold.amount;
+            rules.solThreshold = Number((threshold.amount / price).toFixed(4));
+            return null;
+        }
+
+        // Stable label (used to group /stats by settings); formatThresholdDetail adds the SOL equivalent
+        formatThreshold(rules) {
+            return rules.thresholdUsd ? `$${rules.thresholdUsd}` : `${rules.solThreshold} SOL`;
+        }
+
+        formatThresholdDetail(rules) {
+            if (!rules.thresholdUsd) {
+                const usd = this.solPrice.formatUsd(rules.solThreshold);
+                return `${rules.solThreshold} SOL${usd ? ` (${usd})` : ''}`;
+            }
+            return `$${rules.thresholdUsd} (≈${this.effectiveRules(rules).solThreshold.toFixed(3)} SOL)`;
+        }
+
+        maxWindowMinutes(settings) {
+            return Math.max(
+                settings.confluenceWindowMinutes,
+                ...Array.from(settings.groups.values()).map(rules => rules.confluenceWindowMinutes)
+            );
+        }
+
+        // New groups start from the chat's current rules
+        createGroup(settings, name) {
+            settings.groups.set(name, {
+                solThreshold: settings.solThreshold,
+                thresholdUsd: settings.thresholdUsd,
+                requiredWallets: settings.requiredWallets,
+                scoreThreshold: settings.scoreThreshold,
+                confluenceWindowMinutes: settings.confluenceWindowMinutes
+            });
+        }
+
+        isValidGroupName(name) {
+            return /^[A-Za-z0-9_-]{1,20}$/.test(name);
+        }
+
+        addWalletToGroup(settings, address, group) {
+            const groups = this.getWalletGroups(settings, address);
+            if (!groups.includes(group)) {
+                settings.walletGroups.set(address, [...groups, group]);
+            }
+        }
+
+        removeWalletFromGroup(settings, address, group) {
+            const groups = this.getWalletGroups(settings, address).filter(name => name !== group);
+            if (groups.length > 0) {
+                settings.walletGroups.set(address, groups);
+            } else {
+                settings.walletGroups.delete(address);
+            }
+        }
+
+        deleteGroup(settings, group) {
+            settings.groups.delete(group);
+            for (const address of Array.from(settings.walletGroups.keys())) {
+                this.removeWalletFromGroup(settings, address, group);
+            }
+        }
+
+        formatGroupRules(rules) {
+            return `min ${this.formatThreshold(rules)}, ${rules.requiredWallets}+ wallets, ` +
+                `score ${rules.scoreThreshold}, ${this.formatWindow(rules.confluenceWindowMinutes)} window`;
+        }
 
-        // Update extractTokenInfoFromTx to use our new methods
-        async extractTokenInfoFromTx(tx, chatId, walletAddress) {
+        async showGroups(msg) {
+            const settings = this.getUserSettings(msg.chat.id);
+
+            let message = "📂 Wallet Groups:\n\n";
+            if (settings.groups.size === 0) {
+                message += "No groups yet. All wallets use the chat's settings.\n";
+            }
+            for (const [group, rules] of settings.groups) {
+                const members = Array.from(settings.wallets.keys())
+                    .filter(address => this.getWalletGroups(settings, address).includes(group));
+                message += `${group} (${members.length} wallet${members.length === 1 ? '' : 's'})\n${this.formatGroupRules(rules)}\n\n`;
+            }
+
+            message += `\nUngrouped wallets use the chat's settings.\n\n` +
+                `/group create <name>\n` +
+                `/group delete <name>\n` +
+                `/group add <name> <address or nickname>\n` +
+                `/group remove <name> <address or nickname>\n` +
+                `/group set <name> threshold|wallets|score|window <value>\n` +
+                `Or add wallets straight into groups with g=name1,name2 in /add`;
+
+            await this.bot.sendMessage(msg.chat.id, message);
+        }
+
+        async handleGroupCommand(msg, args) {
             try {
-                if (!tx || !tx.meta) {
-                    return null;
+                const settings = this.getUserSettings(msg.chat.id);
+                const [action, name, ...rest] = (args || '').trim().split(/\s+/).filter(Boolean);
+
+                if (!action) {
+                    await this.showGroups(msg);
+                    return;
+                }
+
+                const group = name ? this.findGroup(settings, name) : null;
+                if (action !== 'create' && !group) {
+                    await this.bot.sendMessage(msg.chat.id, name
+                        ? `❌ No group named "${name}". Use /group to list groups.`
+                        : "❌ Please name the group, e.g. /group create KOLs");
+                    return;
+                }
+
+                switch (action) {
+                    case 'create': {
+                        if (!name || !this.isValidGroupName(name)) {
+                            await this.bot.sendMessage(msg.chat.id,
+                                "❌ Group names are 1-20 letters, digits, - or _");
+                            return;
+                        }
+                        if (group) {
+                            await this.bot.sendMessage(msg.chat.id, `❌ Group ${group} already exists`);
+                            return;
+                        }
+                        this.createGroup(settings, name);
+                        this.persistState();
+                        await this.bot.sendMessage(msg.chat.id,
+                            `✅ Created group ${name}: ${this.formatGroupRules(settings.groups.get(name))}`);
+                        break;
+                    }
+                    case 'delete':
+                        this.deleteGroup(settings, group);
+                        this.persistState();
+                        await this.bot.sendMessage(msg.chat.id,
+                            `✅ Deleted group ${group}. Its wallets are still tracked.`);
+                        break;
+                    case 'add':
+                    case 'remove': {
+                        const address = this.resolveTrackedWallet(settings, rest.join(' '));
+                        if (!address) {
+                            await this.bot.sendMessage(msg.chat.id, `❌ No tracked wallet matches "${rest.join(' ')}"`);
+                            return;
+                        }
+                        if (action === 'add') {
+                            this.addWalletToGroup(settings, address, group);
+                        } else {
+                            this.removeWalletFromGroup(settings, address, group);
+                        }
+                        this.persistState();
+                        await this.bot.sendMessage(msg.chat.id, action === 'add'
+                            ? `✅ Added ${settings.wallets.get(address)} to ${group}`
+                            : `✅ Removed ${settings.wallets.get(address)} from ${group}`);
+                        break;
+                    }
+                    case 'set':
+                        await this.setGroupRule(msg, group, rest[0], rest[1]);
+                        break;
+                    default:
+                        await this.showGroups(msg);
+                }
+            } catch (error) {
+                console.error('Error handling group command:', error);
+                await this.bot.sendMessage(msg.chat.id, "❌ Error updating groups. Please try again.");
+            }
+        }
+
+        async setGroupRule(msg, group, rule, value) {
+            const rules = this.getUserSettings(msg.chat.id).groups.get(group);
+            const number = parseFloat(value);
+
+            switch (rule) {
+                case 'threshold': {
+                    const error = await this.applyThreshold(rules, value);
+                    if (error) {
+                        await this.bot.sendMessage(msg.chat.id, `❌ ${error}`);
+                        return;
+                    }
+                    break;
+                }
+                case 'wallets':
+                    if (isNaN(number) || number < 1 || !Number.isInteger(number)) {
+                        await this.bot.sendMessage(msg.chat.id, "❌ Please provide a valid number greater than 0");
+                        return;
+                    }
+                    rules.requiredWallets = number;
+                    break;
+                case 'score':
+                    if (isNaN(number) || number <= 0) {
+                        await this.bot.sendMessage(msg.chat.id, "❌ Please provide a valid score greater than 0");
+                        return;
+                    }
+                    rules.scoreThreshold = number;
+                    break;
+                case 'window': {
+                    const minutes = this.parseWindowMinutes(value);
+                    if (minutes === null) {
+                        await this.bot.sendMessage(msg.chat.id,
+                            "❌ Please provide a window between 5 minutes and 24h (e.g., 30 or 4h)");
+                        return;
+                    }
+                    rules.confluenceWindowMinutes = minutes;
+                    break;
                 }
+                default:
+                    await this.bot.sendMessage(msg.chat.id,
+                        "❌ Use /group set <name> threshold|wallets|score|window <value>");
+                    return;
+            }
+
+            this.persistState();
+            await this.bot.sendMessage(msg.chat.id, `✅ ${group}: ${this.formatGroupRules(rules)}`);
+        }
+
+        // Accepts minutes ("30") or hours ("4h"); returns true when the setting was applied
+        async setConfluenceWindow(msg, value) {
+            try {
+                const minutes = this.parseWindowMinutes(value);
 
-                // Get user’s current settings (including their solThreshold).
+                if (minutes === null) {
+                    await this.bot.sendMessage(msg.chat.id,
+                        "❌ Please provide a window between 5 minutes and 24h (e.g., 30 or 4h)");
+                    return false;
+                }
+
+                const settings = this.getUserSettings(msg.chat.id);
+                settings.confluenceWindowMinutes = minutes;
+                this.persistState();
+                await this.bot.sendMessage(msg.chat.id,
+                    `✅ Confluence window updated to ${this.formatWindow(minutes)}`);
+                return true;
+            } catch (error) {
+                console.error('Error setting confluence window:', error);
+                await this.bot.sendMessage(msg.chat.id,
+                    "❌ Error updating confluence window. Please try again.");
+                return false;
+            }
+        }
+
+        async showRealertOptions(chatId) {
+            const settings = this.getUserSettings(chatId);
+            await this.bot.sendMessage(chatId,
+                `🔁 Current re-alert policy: ${this.formatRealertPolicy(settings)}\n\n` +
+                `Cooldown: the same token alerts again once the cooldown has passed.\n` +
+                `Growth: the same token alerts again only when enough new wallets have bought.`, {
+                reply_markup: {
+                    inline_keyboard: [[
+                        { text: '⏳ Cooldown', callback_data: 'realert_mode:cooldown' },
+                        { text: '📈 Growth', callback_data: 'realert_mode:growth' }
+                    ]]
+                }
+            });
+        }
+
+        // Returns true when the setting was applied
+        async setRealertPolicy(msg, mode, value) {
+            try {
+                const amount = parseInt(value);
+                if (mode !== 'cooldown' && mode !== 'growth') {
+                    await this.bot.sendMessage(msg.chat.id, "❌ Re-alert mode must be cooldown or growth");
+                    return false;
+                }
+                if (isNaN(amount) || amount <= 0 || (mode === 'cooldown' && amount > 10080)) {
+                    await this.bot.sendMessage(msg.chat.id, mode === 'cooldown'
+                        ? "❌ Please provide a cooldown between 1 and 10080 minutes"
+                        : "❌ Please provide a valid number greater than 0");
+                    return false;
+                }
+
+                const settings = this.getUserSettings(msg.chat.id);
+                settings.realertMode = mode;
+                if (mode === 'cooldown') {
+                    settings.realertCooldownMinutes = amount;
+                } else {
+                    settings.realertGrowth = amount;
+                }
+                this.persistState();
+                await this.bot.sendMessage(msg.chat.id,
+                    `✅ Re-alert policy updated to ${this.formatRealertPolicy(settings)}`);
+                return true;
+            } catch (error) {
+                console.error('Error setting re-alert policy:', error);
+                await this.bot.sendMessage(msg.chat.id,
+                    "❌ Error updating re-alert policy. Please try again.");
+                return false;
+            }
+        }
+
+        // Minutes ("30") or hours ("4h") between 5 minutes and 24h, otherwise null
+        parseWindowMinutes(value) {
+            const match = String(value).toLowerCase().match(/^(\d*\.?\d+)\s*(m|min|h)?$/);
+            const minutes = match ? Math.round(parseFloat(match[1]) * (match[2] === 'h' ? 60 : 1)) : NaN;
+            if (isNaN(minutes) || minutes < 5 || minutes > 1440) return null;
+            return minutes;
+        }
+
+        formatWindow(minutes) {
+            if (minutes >= 60 && minutes % 60 === 0) return `${minutes / 60}h`;
+            return `${minutes} min`;
+        }
+
+        formatRealertPolicy(settings) {
+            return settings.realertMode === 'growth'
+                ? `when ${settings.realertGrowth} new wallet(s) join`
+                : `after ${this.formatWindow(settings.realertCooldownMinutes)} cooldown`;
+        }
+
+        // options.resume: continue from the saved checkpoint instead of starting fresh
+        // options.silent: skip the Telegram confirmations (used when resuming on boot)
+        async startMonitoringWallet(address, chatId, options = {}) {
+            const { resume = false, silent = false } = options;
+            try {
                 const settings = this.getUserSettings(chatId);
+                const nickname = settings.wallets.get(address);
 
-                // 1) Calculate net SOL spent
-                let solAmount = 0;
-                if (tx.meta.preBalances && tx.meta.postBalances) {
-                    const preSOL = tx.meta.preBalances[0] / 1e9;
-                    const postSOL = tx.meta.postBalances[0] / 1e9;
-                    solAmount = Math.max(0, preSOL - postSOL);
+                // Send initial confirmation
+                if (!silent) {
+                    await this.bot.sendMessage(chatId,
+                        `🔄 Starting monitoring for ${nickname} (${address.slice(0, 8)}...)`);
                 }
 
-                // 2) Respect the user’s threshold. If SOL outflow is less than their threshold, skip.
-                if (solAmount < settings.solThreshold) {
-                    console.log(
-                        `Spent ${solAmount} SOL which is below the user’s threshold of ${settings.solThreshold} SOL. Skipping.`
-                    );
-                    return null;
+                // Record monitoring start time. When resuming, keep the saved one so transactions
+                // that happened while the bot was down are still delivered to this chat, but never
+                // reach further back than the configured lookback.
+                settings.monitoringStartTimes = settings.monitoringStartTimes || {};
+                const now = Math.floor(Date.now() / 1000);
+                const lookbackStart = this.backfillLookbackSeconds ? now - this.backfillLookbackSeconds : 0;
+                const monitoringStartTime = resume
+                    ? (Math.max(settings.monitoringStartTimes[address] || 0, lookbackStart) || now)
+                    : now;
+                settings.monitoringStartTimes[address] = monitoringStartTime;
+                console.log(`${resume ? 'Resumed' : 'Started'} monitoring ${nickname} for chat ${chatId} at ${new Date(monitoringStartTime * 1000).toISOString()}`);
+
+                await this.attachWatcher(address, chatId, { resume });
+                this.persistState();
+
+                // Confirm monitoring is active
+                if (!silent) {
+                    await this.bot.sendMessage(chatId,
+                        `✅ Now monitoring ${nickname} (${address.slice(0, 8)}...) for new token transactions`);
                 }
+            } catch (error) {
+                console.error('Error starting wallet monitoring:', error);
+                if (!silent) {
+                    await this.bot.sendMessage(chatId,
+                        `❌ Error starting monitoring for ${address.slice(0, 8)}...`);
+                }
+            }
+        }
 
-                // 3) Build a map of user’s pre-transaction token balances
-                const preBalanceMap = new Map();
-                if (tx.meta.preTokenBalances) {
-                    for (const bal of tx.meta.preTokenBalances) {
-                        if (bal.owner === walletAddress) {
-                            const mint = bal.mint;
-                            const preAmount = bal.uiTokenAmount?.uiAmount || 0;
-                            preBalanceMap.set(mint, preAmount);
-                        }
+        // Removes the chat from the address's watcher (pause or delete).
+        // The watcher itself is torn down when its last chat leaves.
+        stopMonitoringWallet(address, chatId) {
+            const watcher = this.watchers.get(address);
+            if (!watcher) return;
+
+            watcher.chats.delete(chatId);
+            if (watcher.chats.size === 0) {
+                clearInterval(watcher.interval);
+                clearTimeout(watcher.retryTimer);
+                this.watchers.delete(address);
+                this.logsSubscriptions.unsubscribe(address);
+                console.log(`Stopped watcher for ${address.slice(0, 8)}... (no chats left)`);
+            }
+        }
+
+        // One watcher per address, shared by every chat that tracks it. Each new transaction
+        // is fetched and parsed once, then dispatched to all of the watcher's chats.
+        async attachWatcher(address, chatId, { resume = false } = {}) {
+            let watcher = this.watchers.get(address);
+            if (watcher) {
+                watcher.chats.add(chatId);
+                return watcher;
+            }
+
+            watcher = {
+                address,
+                chats: new Set([chatId]),
+                running: false,
+                rerun: false,
+                lastPollAt: 0,
+                retryCounts: new Map(), // signature -> failed attempts
+                retryTimer: null
+            };
+            this.watchers.set(address, watcher);
+
+            // When resuming, keep the saved checkpoint (or backfill the lookback window) so
+            // the gap gets caught up; otherwise start from the newest signature
+            const catchUp = resume && (this.signatureCheckpoints.has(address) || this.backfillLookbackSeconds > 0);
+            if (!catchUp) {
+                try {
+                    const initialSigs = await this.connection.getSignaturesForAddress(new PublicKey(address), { limit: 1 });
+                    if (initialSigs.length > 0) {
+                        this.signatureCheckpoints.set(address, initialSigs[0].signature);
+                        console.log(`Set initial signature for ${address.slice(0, 8)}...: ${initialSigs[0].signature.slice(0, 8)}...`);
                     }
+                } catch (error) {
+                    console.error(`Error getting initial signatures for ${address}:`, error);
                 }
+            }
 
-                // 4) Find which mint had the largest net increase in the user’s wallet
-                let tokenAddress = null;
-                let tokenAmount = 0;
+            // Runs are never concurrent; a trigger during a run queues exactly one more run
+            watcher.trigger = async () => {
+                if (watcher.running) {
+                    watcher.rerun = true;
+                    return;
+                }
+                watcher.running = true;
+                try {
+                    do {
+                        watcher.rerun = false;
+                        watcher.lastPollAt = Date.now();
+                        await this.metrics.pollDuration.time({}, () => this.pollWatcher(watcher));
+                    } while (watcher.rerun);
+                } finally {
+                    watcher.running = false;
+                }
+            };
 
-                if (tx.meta.postTokenBalances) {
-                    for (const bal of tx.meta.postTokenBalances) {
-                        if (bal.owner === walletAddress) {
-                            const mint = bal.mint;
-                            const preAmount = preBalanceMap.get(mint) || 0;
-                            const postAmount = bal.uiTokenAmount?.uiAmount || 0;
-                            const diff = postAmount - preAmount;
+            // Poll every 30 seconds while the websocket is down, otherwise only as a safety net
+            watcher.interval = setInterval(() => {
+                if (this.logsSubscriptions.isConnected() &&
+                    Date.now() - watcher.lastPollAt < this.safetyPollIntervalMs) {
+                    return;
+                }
+                watcher.trigger();
+            }, 30000);
+
+            this.logsSubscriptions.subscribe(address);
+
+            // Catch up straight away instead of waiting for the first notification
+            if (catchUp) {
+                watcher.trigger();
+            }
+            return watcher;
+        }
+
+        // Pages backwards from the newest signature until the checkpoint (exclusive), or until
+        // blocks older than notBefore. Returns signatures newest first.
+        async fetchSignaturesSince(address, checkpoint, notBefore, priority = 'normal') {
+            const connection = this.rpcPool.withPriority(priority);
+            const pubkey = new PublicKey(address);
+            const signatures = [];
+            let before;
+
+            for (let page = 0; page < this.maxSignaturePages; page++) {
+                const batch = await connection.getSignaturesForAddress(pubkey, {
+                    limit: this.signaturePageSize,
+                    ...(checkpoint ? { until: checkpoint } : {}),
+                    ...(before ? { before } : {})
+                });
+
+                for (const sig of batch) {
+                    if (notBefore && sig.blockTime && sig.blockTime < notBefore) {
+                        return signatures;
+                    }
+                    signatures.push(sig);
+                }
+
+                // A short page means we reached the checkpoint (or the start of history)
+                if (batch.length < this.signaturePageSize) {
+                    return signatures;
+                }
+                before = batch[batch.length - 1].signature;
+            }
+
+            console.warn(
+                `WARN: ${address.slice(0, 8)}... has more than ${this.maxSignaturePages * this.signaturePageSize} ` +
+                `new signatures; older ones were not fetched`
+            );
+            return signatures;
+        }
+
+        async pollWatcher(watcher) {
+            const { address } = watcher;
+            if (watcher.chats.size === 0) return;
 
-                            if (diff > tokenAmount) {
-                                tokenAmount = diff;
-                                tokenAddress = mint;
+            try {
+                const checkpoint = this.signatureCheckpoints.get(address);
+
+                // Nothing older than the earliest subscribed chat's start time is wanted by anyone
+                const earliestStartTime = Math.min(...Array.from(watcher.chats).map(chatId =>
+                    this.getUserSettings(chatId).monitoringStartTimes[address] || 0));
+
+                const newSignatures = await this.fetchSignaturesSince(
+                    address, checkpoint, earliestStartTime, this.watcherPriority(watcher));
+                if (newSignatures.length === 0) return;
+
+                console.log(`Found ${newSignatures.length} new transaction(s) for ${address.slice(0, 8)}... (${watcher.chats.size} chat(s))`);
+
+                // Process transactions oldest -> newest. The checkpoint only moves past a signature
+                // once it has been handled, so a failure is retried on the next poll.
+                for (let i = newSignatures.length - 1; i >= 0; i--) {
+                    const sig = newSignatures[i];
+
+                    // Failed transactions can't be buys; no need to fetch them
+                    if (!sig.err) {
+                        const ok = await this.processWatcherSignature(watcher, sig, this.watcherPriority(watcher));
+                        if (!ok) {
+                            const attempts = (watcher.retryCounts.get(sig.signature) || 0) + 1;
+                            watcher.retryCounts.set(sig.signature, attempts);
+
+                            if (attempts < this.maxTransactionRetries) {
+                                console.log(`Will retry ${sig.signature.slice(0, 8)}... (attempt ${attempts}/${this.maxTransactionRetries})`);
+                                this.scheduleWatcherRetry(watcher, attempts);
+                                return;
                             }
+                            console.error(`Giving up on ${sig.signature} after ${attempts} attempts`);
                         }
+                        watcher.retryCounts.delete(sig.signature);
                     }
+
+                    this.signatureCheckpoints.set(address, sig.signature);
+                    this.persistState();
                 }
+            } catch (error) {
+                console.error(`Error monitoring wallet ${address}:`, error);
+            }
+        }
 
-                // 5) If no net gain, mark as unknown
-                if (!tokenAddress) {
-                    console.log(`No net token gain found for wallet ${walletAddress}. Using "unknown".`);
-                    tokenAddress = 'unknown';
+        // Re-polls after a failed fetch without waiting for the next notification or safety poll
+        scheduleWatcherRetry(watcher, attempts) {
+            if (watcher.retryTimer) return;
+            const delay = Math.min(2000 * Math.pow(2, attempts - 1), 60000);
+            watcher.retryTimer = setTimeout(() => {
+                watcher.retryTimer = null;
+                if (this.watchers.get(watcher.address) === watcher) {
+                    watcher.trigger();
                 }
+            }, delay);
+        }
 
-                // 6) Build result
-                let result = {
-                    tokenAddress,
-                    tokenName: 'Unknown',
-                    tokenAmount,
-                    solAmount
-                };
+        // A wallet whose chats have buys or sells in an open window could complete an alert
+        // with its next trade, so its fetches go ahead of everyone else's
+        watcherPriority(watcher) {
+            const now = Date.now();
+            for (const entries of [this.recentTransactions, this.recentSells]) {
+                for (const entry of entries.values()) {
+                    if (watcher.chats.has(entry.chatId) && this.isWindowOpen(entry, now)) return 'alert';
+                }
+            }
+            return 'normal';
+        }
 
-                // 7) If we have a valid mint, fetch metadata
-                if (tokenAddress !== 'unknown') {
-                    try {
-                        const tokenMetadata = await this.getTokenMetadata(tokenAddress);
-                        const marketData = await this.getTokenMarketData(tokenAddress);
-                        const volumeData = await this.getTokenVolumeData(tokenAddress);
-
-                        result.tokenName = tokenMetadata.symbol || 'Unknown';
-                        result.tokenFullName = tokenMetadata.name || 'Unknown';
-                        result.metadata = tokenMetadata;
-                        result.marketData = marketData;
-                        result.volumeData = volumeData;
-                    } catch (err) {
-                        console.log(`Error fetching data for ${tokenAddress}: ${err.message}`);
+        // Fetches, parses and dispatches one signature. Returns false if it should be retried.
+        async processWatcherSignature(watcher, sig, priority = 'normal') {
+            try {
+                const tx = await this.rpcPool.withPriority(priority).getTransaction(sig.signature, {
+                    maxSupportedTransactionVersion: 0
+                });
+
+                // Very fresh transactions are sometimes not queryable yet
+                if (!tx) {
+                    console.log(`Transaction ${sig.signature.slice(0, 8)}... not found`);
+                    return false;
+                }
+                this.metrics.transactionsFetched.inc({ source: 'poller' });
+
+                // Always try extracting token info
+                const tokenInfo = await this.extractTokenInfoFromTx(tx, watcher.address);
+                const isSwap = Boolean(tokenInfo && tokenInfo.tokenAddress !== 'unknown' && tokenInfo.tokenAmount > 0);
+                this.metrics.transactionsParsed.inc({ result: isSwap ? 'swap' : 'other' });
+
+                // If we found a valid token that the wallet gained, treat it as a buy/swap
+                if (isSwap) {
+                    console.log(`Processing swap transaction: ${sig.signature.slice(0, 8)}...`);
+                    await this.dispatchToChats(watcher.address, sig.signature, tx, tokenInfo, sig.blockTime);
+                } else {
+                    console.log(`Skipping non-token transaction: ${sig.signature.slice(0, 8)}...`);
+                }
+                return true;
+            } catch (txError) {
+                console.error(`Error processing transaction ${sig.signature}:`, txError);
+                return false;
+            }
+        }
+
+        // Hands a parsed swap to every chat watching the address, applying each chat's own settings
+        async dispatchToChats(address, signature, tx, tokenInfo, blockTime) {
+            const watcher = this.watchers.get(address);
+            if (!watcher) return;
+
+            for (const chatId of Array.from(watcher.chats)) {
+                const settings = this.getUserSettings(chatId);
+                if (settings.isPaused) continue;
+
+                const startTime = settings.monitoringStartTimes[address];
+                if (blockTime && startTime && blockTime < startTime) continue;
+
+                // Respect the lowest threshold among the rules this wallet falls under. Sells
+                // always count, since a partial dump of a large position can return very little SOL.
+                const minimumBuy = Math.min(...this.alertScopesFor(settings, address).map(scope => scope.rules.solThreshold));
+                if (tokenInfo.side !== 'sell' && tokenInfo.solAmount < minimumBuy) {
+                    console.log(
+                        `Spent ${tokenInfo.solAmount} SOL which is below chat ${chatId}'s threshold of ${minimumBuy} SOL. Skipping.`
+                    );
+                    continue;
+                }
+
+                await this.processTransaction(signature, chatId, address, tx, { ...tokenInfo });
+            }
+        }
+
+
+        async processTransaction(signature, chatId, walletAddress, tx, tokenInfo = null) {
+            // The same signature can arrive from both the webhook and the poller
+            const dedupeKey = `${chatId}:${walletAddress}:${signature}`;
+            try {
+                if (this.processedSignatures.has(dedupeKey)) {
+                    console.log(`Already processed ${signature.slice(0, 8)}... for ${walletAddress.slice(0, 8)}..., skipping`);
+                    return;
+                }
+                this.processedSignatures.set(dedupeKey, Date.now());
+                if (this.processedSignatures.size > 10000) {
+                    // Maps iterate in insertion order, so the first key is the oldest
+                    this.processedSignatures.delete(this.processedSignatures.keys().next().value);
+                }
+
+                console.log(`Processing transaction: ${signature.slice(0, 8)}... for wallet ${walletAddress.slice(0, 8)}...`);
+
+                // If tokenInfo wasn't passed in, try to extract it from the transaction
+                if (!tokenInfo) {
+                    tokenInfo = await this.extractTokenInfoFromTx(tx, walletAddress);
+                    if (!tokenInfo) {
+                        console.log(`No token purchase detected in transaction ${signature.slice(0, 8)}...`);
+                        return;
                     }
                 }
 
+                if (tokenInfo.side === 'sell') {
+                    await this.processSell(signature, chatId, walletAddress, tokenInfo);
+                    return;
+                }
+
+                const { tokenAddress, tokenName, solAmount, tokenAmount } = tokenInfo;
+                this.metrics.buysDetected.inc({ chat: String(chatId) });
                 console.log(
-                    `Extracted token info: ${result.tokenName} (${result.tokenAddress.slice(0, 8)}...) ` +
-                    `for ${result.solAmount.toFixed(4)} SOL (${result.tokenAmount} tokens)`
+                    `Detected token purchase: ${tokenName} (${tokenAddress.slice(0, 8)}...) ` +
+                    `for ${solAmount.toFixed(4)} SOL (${tokenAmount} tokens)`
                 );
-                return result;
+
+                const settings = this.getUserSettings(chatId);
+                this.recordPosition(chatId, tokenAddress, walletAddress, 'buy', tokenAmount);
+                const now = Date.now();
+
+                // Build a key for recent transactions
+                const key = `${chatId}:${tokenAddress}`;
+                if (!this.recentTransactions.has(key)) {
+                    this.recentTransactions.set(key, this.createWindowEntry(chatId));
+                    console.log(`First detection of token ${tokenName} (${tokenAddress.slice(0, 8)}...)`);
+                }
+
+                const txData = this.recentTransactions.get(key);
+
+                // Record the individual buy; the window is evaluated over events, not first detection
+                txData.events.push({ wallet: walletAddress, solAmount, timestamp: now });
+                txData.timestamp = now;
+                this.pruneWindow(txData, settings, now);
+                this.persistState();
+
+                // Confluence is evaluated separately for every rule set this wallet falls
+                // under: each group it belongs to, or the chat's own rules if it has none
+                for (const scope of this.alertScopesFor(settings, walletAddress)) {
+                    await this.evaluateBuyScope(chatId, settings, scope, txData, tokenInfo, now);
+                }
+
+                this.cleanupExpiredTracking();
 
             } catch (error) {
-                console.error('Error extracting token info:', error);
+                console.error(`Error processing transaction ${signature.slice(0, 8)}...`, error);
+                // Let the other path (or the next poll) process it again
+                this.processedSignatures.delete(dedupeKey);
+            }
+        }
+
+        // Checks one rule set (a group, or the chat's rules for ungrouped wallets) against
+        // the buys in its window and sends the alert if it's met
+        async evaluateBuyScope(chatId, settings, scope, txData, tokenInfo, now) {
+            const { tokenAddress, tokenName } = tokenInfo;
+            const { group, rules } = scope;
+            const label = group ? `group ${group}` : 'chat rules';
+
+            const { wallets: buyers, totalSol: totalSolSpentOnToken } = this.summarizeWindow(
+                txData,
+                rules.confluenceWindowMinutes * 60000,
+                now,
+                event => scope.includes(event.wallet) && event.solAmount >= rules.solThreshold
+            );
+            const { score } = this.scoreBuyers(settings, buyers, rules);
+
+            // Log tracking status
+            console.log(
+                `Token ${tokenName} tracking status (${label}):\n` +
+                `- Unique wallets: ${buyers.size}/${rules.requiredWallets}\n` +
+                `- Score: ${score.toFixed(2)}/${rules.scoreThreshold}\n` +
+                `- Total SOL spent: ${totalSolSpentOnToken.toFixed(4)}/${rules.solThreshold} SOL\n` +
+                `- Window: last ${rules.confluenceWindowMinutes} min`
+            );
+
+            // Check alert conditions
+            if (
+                buyers.size < rules.requiredWallets ||
+                score < rules.scoreThreshold ||
+                totalSolSpentOnToken < rules.solThreshold
+            ) {
+                return;
+            }
+
+            const lastAlert = group ? txData.groupAlerts[group] : txData.lastAlert;
+            const realert = this.checkRealertPolicy(settings, lastAlert, buyers, now);
+            if (!realert.allowed) {
+                console.log(`Alert conditions met for ${tokenName} (${label}) but suppressed: ${realert.reason}`);
+                return;
+            }
+
+            // Quality filters last, so only tokens that would really alert are logged. A filtered
+            // token isn't marked as alerted: it can still alert on a later buy if it starts passing.
+            const filterReason = checkFilters(settings.filters, tokenInfo, now);
+            if (filterReason) {
+                console.log(`Alert conditions met for ${tokenName} (${label}) but filtered: ${filterReason}`);
+                this.recordFiltered(chatId, tokenInfo, group, filterReason, now);
+                return;
+            }
+
+            const { metadata, marketData, volumeData, mintInfo } = tokenInfo;
+            const safety = await this.getSafetyReport(tokenAddress, metadata?.deployer);
+            if (safety && settings.maxRiskScore !== null && safety.score > settings.maxRiskScore) {
+                const reason = `Risk score ${safety.score} above ${settings.maxRiskScore}: ${safety.findings.join(', ')}`;
+                console.log(`Alert conditions met for ${tokenName} (${label}) but filtered: ${reason}`);
+                this.recordFiltered(chatId, tokenInfo, group, reason, now);
+                return;
+            }
+
+            console.log(`🚨 Alert threshold reached for ${tokenName} (${label})!`);
+            // Send the alert, with the token data the filters were checked against. If it
+            // couldn't be delivered nothing is recorded, so the next buy can try again.
+            const delivered = await this.sendAlert(
+                chatId,
+                tokenAddress,
+                tokenName,
+                buyers,          // Wallets and SOL within the window
+                totalSolSpentOnToken,
+                metadata ? { metadata, marketData, volumeData, mintInfo, safety } : null,
+                group
+            );
+            if (!delivered) return;
+
+            // Keep tracking; the re-alert policy decides when this token may alert again
+            const alert = { at: now, buyers: Array.from(buyers.keys()) };
+            if (group) {
+                txData.groupAlerts[group] = alert;
+            } else {
+                txData.lastAlert = alert;
+            }
+
+            // Remember who triggered it so we can warn when they start selling
+            const key = `${chatId}:${tokenAddress}`;
+            const previous = this.alertedTokens.get(key);
+            this.alertedTokens.set(key, {
+                tokenName,
+                buyers: Array.from(new Set([...(previous?.buyers || []), ...buyers.keys()])),
+                alertedAt: now,
+                dumpingWallets: previous?.dumpingWallets || new Set()
+            });
+            this.persistState();
+        }
+
+        // null when the checks fail outright; individual checks that fail are reported as unknown
+        async getSafetyReport(tokenAddress, deployer) {
+            try {
+                return await this.safety.check(tokenAddress, deployer);
+            } catch (error) {
+                console.error(`Error running safety checks for ${tokenAddress}:`, error.message);
                 return null;
             }
         }
 
+        // Keeps the last 50 filtered tokens per chat for /filtered; a token filtered again
+        // moves to the top with its latest reason
+        recordFiltered(chatId, tokenInfo, group, reason, now) {
+            const entries = this.filteredAlerts.get(chatId) || [];
+            const previous = entries.find(entry => entry.tokenAddress === tokenInfo.tokenAddress);
+            const entry = {
+                tokenAddress: tokenInfo.tokenAddress,
+                tokenName: tokenInfo.tokenName,
+                group,
+                reason,
+                at: now,
+                count: (previous?.count || 0) + 1
+            };
+            this.filteredAlerts.set(chatId, [entry, ...entries.filter(item => item !== previous)].slice(0, 50));
+            this.persistState();
+        }
+
+        // Mirror image of the buy path: sells are aggregated per token the same way, and an
+        // exit alert fires when enough tracked wallets sell, or when a wallet from an
+        // earlier buy alert starts dumping.
+        async processSell(signature, chatId, walletAddress, tokenInfo) {
+            const { tokenAddress, tokenName, solAmount, tokenAmount } = tokenInfo;
+            console.log(
+                `Detected token sale: ${tokenName} (${tokenAddress.slice(0, 8)}...) ` +
+                `for ${solAmount.toFixed(4)} SOL (${tokenAmount} tokens)`
+            );
+
+            const settings = this.getUserSettings(chatId);
+            this.recordPosition(chatId, tokenAddress, walletAddress, 'sell', tokenAmount);
+
+            const windowMs = settings.confluenceWindowMinutes * 60000;
+            const now = Date.now();
+
+            const key = `${chatId}:${tokenAddress}`;
+            if (!this.recentSells.has(key)) {
+                this.recentSells.set(key, this.createWindowEntry(chatId));
+            }
 
+            const sellData = this.recentSells.get(key);
+            sellData.events.push({ wallet: walletAddress, solAmount, timestamp: now });
+            sellData.timestamp = now;
+            this.persistState();
+
+            this.pruneWindow(sellData, settings, now);
+            const { wallets: sellers, totalSol: totalSolReceived } = this.summarizeWindow(sellData, windowMs, now);
+            console.log(
+                `Token ${tokenName} exit status:\n` +
+                `- Unique sellers: ${sellers.size}/${settings.requiredExitWallets}\n` +
+                `- Total SOL received: ${totalSolReceived.toFixed(4)} SOL\n` +
+                `- Window: last ${settings.confluenceWindowMinutes} min`
+            );
+
+            const alerted = this.alertedTokens.get(key);
+            const isAlertBuyer = Boolean(alerted && alerted.buyers.includes(walletAddress) &&
+                !alerted.dumpingWallets.has(walletAddress));
+            if (isAlertBuyer) {
+                alerted.dumpingWallets.add(walletAddress);
+            }
 
-        async extractTokenInfo(transaction) {
-            try {
-                if (!transaction?.meta?.preBalances || !transaction?.meta?.postBalances || !transaction?.transaction) {
-                    return null;
+            const exitConfluence = sellers.size >= settings.requiredExitWallets &&
+                this.checkRealertPolicy(settings, sellData.lastAlert, sellers, now).allowed;
+
+            if (exitConfluence) {
+                console.log(`🚪 Exit threshold reached for ${tokenName}!`);
+                if (await this.sendExitAlert(chatId, tokenAddress, tokenName, sellers, totalSolReceived)) {
+                    sellData.lastAlert = { at: now, buyers: Array.from(sellers.keys()) };
+                    this.persistState();
                 }
+            } else if (isAlertBuyer) {
+                console.log(`🚪 Alert buyer ${walletAddress.slice(0, 8)}... is selling ${tokenName}`);
+                await this.sendExitAlert(chatId, tokenAddress, tokenName, sellers, totalSolReceived, {
+                    dumpingWallet: walletAddress,
+                    alertedAt: alerted.alertedAt
+                });
+            }
 
-                // 1. Verify this is an actual token purchase (SOL outflow)
-                const preSOL = transaction.meta.preBalances[0] / 1e9;
-                const postSOL = transaction.meta.postBalances[0] / 1e9;
-                const solSpent = Math.max(0, preSOL - postSOL);
+            this.cleanupExpiredTracking();
+        }
 
-                // Ignore dust or fee-only transactions
-                if (solSpent < 0.01) {
-                    return null;
-                }
+        // Buy and sell confluence both use this shape: individual events plus the last alert,
+        // so the window slides and re-alerts are governed by checkRealertPolicy
+        createWindowEntry(chatId) {
+            return {
+                chatId,
+                events: [], // { wallet, solAmount, timestamp }
+                timestamp: Date.now(), // last event
+                firstSeen: Date.now(),
+                lastAlert: null, // { at, buyers: [wallet] }, for the chat's own rules
+                groupAlerts: {} // group name -> same shape as lastAlert
+            };
+        }
 
-                // 2. Verify this is a RECENT transaction (within last 30 minutes)
-                const blockTime = transaction.blockTime || 0;
-                const currentTime = Math.floor(Date.now() / 1000);
-                const maxAge = 30 * 60; // 30 minutes
+        // Drops events older than the longest window any of the chat's rules can look at
+        pruneWindow(entry, settings, now = Date.now()) {
+            const windowMs = this.maxWindowMinutes(settings) * 60000;
+            entry.events = entry.events.filter(event => now - event.timestamp <= windowMs);
+        }
 
-                if (blockTime > 0 && (currentTime - blockTime) > maxAge) {
-                    console.log(`Skipping old transaction from ${new Date(blockTime * 1000).toISOString()}`);
-                    return null;
-                }
+        // True while any event is still inside the chat's longest window (without pruning)
+        isWindowOpen(entry, now = Date.now()) {
+            const windowMs = this.maxWindowMinutes(this.getUserSettings(entry.chatId)) * 60000;
+            return entry.events.some(event => now - event.timestamp <= windowMs);
+        }
 
-                // 3. Check for token program involvement (required for token purchases)
-                const tokenProgramId = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
-                let tokenProgramInvolved = false;
+        // Totals the events inside the window per wallet. include(event) narrows it to
+        // one rule set's wallets and minimum buy size.
+        summarizeWindow(entry, windowMs, now = Date.now(), include = () => true) {
+            const wallets = new Map();
+            let totalSol = 0;
+            for (const event of entry.events) {
+                if (now - event.timestamp > windowMs || !include(event)) continue;
+                wallets.set(event.wallet, (wallets.get(event.wallet) || 0) + event.solAmount);
+                totalSol += event.solAmount;
+            }
+            return { wallets, totalSol };
+        }
 
-                if (transaction.transaction.message?.accountKeys) {
-                    const accountKeys = transaction.transaction.message.accountKeys;
+        // Decides whether a token that already alerted may alert again
+        checkRealertPolicy(settings, lastAlert, wallets, now = Date.now()) {
+            if (!lastAlert) return { allowed: true };
 
-                    if (Array.isArray(accountKeys)) {
-                        // Handle different formats of accountKeys
-                        if (typeof accountKeys[0] === 'object' && accountKeys[0]?.pubkey) {
-                            // Format: [{pubkey: PublicKey, ...}, ...]
-                            tokenProgramInvolved = accountKeys.some(key =>
-                                key.pubkey && key.pubkey.toString() === tokenProgramId);
-                        } else if (typeof accountKeys[0] === 'string') {
-                            // Format: [string, string, ...]
-                            tokenProgramInvolved = accountKeys.includes(tokenProgramId);
-                        }
-                    }
+            if (settings.realertMode === 'growth') {
+                const previous = new Set(lastAlert.buyers);
+                const newWallets = Array.from(wallets.keys()).filter(wallet => !previous.has(wallet)).length;
+                return newWallets >= settings.realertGrowth
+                    ? { allowed: true }
+                    : { allowed: false, reason: `${newWallets}/${settings.realertGrowth} new wallets since last alert` };
+            }
 
-                    if (!tokenProgramInvolved) {
-                        return null; // Not a token transaction
-                    }
-                } else {
-                    return null; // Can't verify token program involvement
-                }
+            const cooldownMs = settings.realertCooldownMinutes * 60000;
+            const elapsed = now - lastAlert.at;
+            return elapsed >= cooldownMs
+                ? { allowed: true }
+                : { allowed: false, reason: `cooldown, ${Math.ceil((cooldownMs - elapsed) / 60000)} min left` };
+        }
 
-                // 4. Look for token balance changes (most reliable indicator)
-                if (!transaction.meta.postTokenBalances || transaction.meta.postTokenBalances.length === 0) {
-                    return null; // No token balances changed
-                }
+        // Tracks tokens bought and sold per wallet, so alerts can show how much of a position is gone
+        recordPosition(chatId, tokenAddress, walletAddress, side, tokenAmount) {
+            const key = `${chatId}:${tokenAddress}`;
+            if (!this.positions.has(key)) {
+                this.positions.set(key, new Map());
+            }
 
-                // Find tokens that had balance increases (token purchases)
-                const preTokens = new Map();
-                if (transaction.meta.preTokenBalances) {
-                    transaction.meta.preTokenBalances.forEach(bal => {
-                        if (bal.mint) {
-                            const amount = bal.uiTokenAmount?.uiAmount || 0;
-                            preTokens.set(bal.mint, amount);
-                        }
-                    });
-                }
+            const wallets = this.positions.get(key);
+            const position = wallets.get(walletAddress) || { bought: 0, sold: 0, updatedAt: 0 };
+            if (side === 'buy') {
+                position.bought += tokenAmount;
+            } else {
+                position.sold += tokenAmount;
+            }
+            position.updatedAt = Date.now();
+            wallets.set(walletAddress, position);
+            return position;
+        }
+
+        formatSoldShare(chatId, tokenAddress, walletAddress) {
+            const position = this.positions.get(`${chatId}:${tokenAddress}`)?.get(walletAddress);
+            if (!position || position.sold <= 0) return null;
+            if (position.bought <= 0) return 'selling a position bought before tracking';
 
-                let boughtToken = null;
-                let tokenAmount = 0;
+            const soldPercent = Math.min(100, (position.sold / position.bought) * 100);
+            return `sold ${soldPercent.toFixed(0)}%`;
+        }
 
-                for (const postBal of transaction.meta.postTokenBalances) {
-                    if (!postBal.mint) continue;
+        cleanupExpiredTracking() {
+            const now = Date.now();
 
-                    const preBal = preTokens.get(postBal.mint) || 0;
-                    const postAmount = postBal.uiTokenAmount?.uiAmount || 0;
+            // An entry expires once its chat's window holds no events and its last alert
+            // is more than a day old (kept that long so the re-alert policy still applies)
+            for (const entries of [this.recentTransactions, this.recentSells]) {
+                for (const [existingKey, data] of entries.entries()) {
+                    this.pruneWindow(data, this.getUserSettings(data.chatId), now);
 
-                    // Token balance increased - this is a purchase
-                    if (postAmount > preBal) {
-                        boughtToken = postBal.mint;
-                        tokenAmount = postAmount - preBal;
-                        break;
+                    const alerts = [data.lastAlert, ...Object.values(data.groupAlerts)].filter(Boolean);
+                    const alertExpired = alerts.every(alert => now - alert.at > 86400000);
+                    if (data.events.length === 0 && alertExpired) {
+                        console.log(
+                            `Removing expired tracking for token ` +
+                            `${existingKey.split(':')[1].slice(0, 8)}...`
+                        );
+                        entries.delete(existingKey);
                     }
                 }
+            }
 
-                if (!boughtToken) {
-                    return null; // No token purchase detected
+            // Alert buyers and positions are watched for a day
+            for (const [existingKey, data] of this.alertedTokens.entries()) {
+                if (now - data.alertedAt > 86400000) {
+                    this.alertedTokens.delete(existingKey);
+                }
+            }
+            for (const [existingKey, wallets] of this.positions.entries()) {
+                for (const [wallet, position] of wallets) {
+                    if (now - position.updatedAt > 86400000) {
+                        wallets.delete(wallet);
+                    }
                 }
+                if (wallets.size === 0) {
+                    this.positions.delete(existingKey);
+                }
+            }
+        }
 
-                // 5. Get token info from local cache or Helius instead of Solscan
-                // Create a token cache if it doesn't exist
-                if (!this.tokenCache) this.tokenCache = new Map();
 
-                let tokenName = 'Unknown';
-                let marketCap = null;
-                let holders = null;
+        // Parses a transaction from the tracked wallet's side. Chat-independent, so a shared
+        // watcher can do it once; each chat's threshold is applied in dispatchToChats.
+        async extractTokenInfoFromTx(tx, walletAddress) {
+            try {
+                // 1) Decode the swap (see swapDecoder.js)
+                const swap = decodeSwap(tx, walletAddress);
+                if (!swap || swap.side === 'swap') {
+                    if (swap) {
+                        console.log(`Ignoring token-to-token swap on ${swap.venue} for wallet ${walletAddress.slice(0, 8)}...`);
+                    }
+                    return null;
+                }
 
-                // Try to get from cache first
-                if (this.tokenCache.has(boughtToken)) {
-                    const cachedInfo = this.tokenCache.get(boughtToken);
-                    tokenName = cachedInfo.tokenName;
-                    marketCap = cachedInfo.marketCap;
-                    holders = cachedInfo.holders;
-                } else {
-                    // Try Helius instead of Solscan
-                    try {
-                        const heliusResponse = await axios.get(
-                            `${this.heliusConfig.baseUrl}/addresses/${boughtToken}/balances`,
-                            {
-                                headers: {
-                                    'Content-Type': 'application/json',
-                                    'Authorization': `Bearer ${this.heliusConfig.apiKey}`
-                                }
-                            }
-                        );
+                // 2) The token is whichever side isn't the quote (SOL, USDC or USDT)
+                const isBuy = swap.side === 'buy';
+                const quoteMint = isBuy ? swap.inputMint : swap.outputMint;
+                const quoteAmount = isBuy ? swap.inputAmount : swap.outputAmount;
 
-                        if (heliusResponse.data && heliusResponse.data.tokens && heliusResponse.data.tokens.length > 0) {
-                            const tokenData = heliusResponse.data.tokens[0];
-                            tokenName = tokenData.symbol || 'Unknown';
+                let result = {
+                    side: swap.side,
+                    tokenAddress: isBuy ? swap.outputMint : swap.inputMint,
+                    tokenName: 'Unknown',
+                    tokenAmount: isBuy ? swap.outputAmount : swap.inputAmount,
+                    solAmount: quoteMint === SOL_MINT ? quoteAmount : 0,
+                    quoteMint,
+                    quoteSymbol: QUOTE_MINTS[quoteMint],
+                    quoteAmount,
+                    tokenProgram: isBuy ? swap.outputProgram : swap.inputProgram,
+                    venue: swap.venue,
+                    fee: swap.fee,
+                    priorityFee: swap.priorityFee
+                };
 
-                            // Cache the result
-                            this.tokenCache.set(boughtToken, {
-                                tokenName,
-                                marketCap,
-                                holders,
-                                lastUpdated: Date.now()
-                            });
-                        }
-                    } catch (error) {
-                        console.log(`Could not fetch token info for ${boughtToken}: ${error.message}`);
-                        // Cache the result anyway to avoid repeated lookups
-                        this.tokenCache.set(boughtToken, {
-                            tokenName: 'Unknown',
-                            marketCap: null,
-                            holders: null,
-                            lastUpdated: Date.now()
-                        });
+                // 3) Fetch metadata and market data
+                result = await this.enrichTokenInfo(result);
+
+                // 4) Stablecoin trades are valued in SOL at the Pyth SOL/USD price, or failing
+                // that through the token's own USD and SOL prices
+                if (quoteMint !== SOL_MINT) {
+                    const { priceUsd, priceSol } = result.marketData || {};
+                    const solUsd = await this.solPrice.getPrice();
+                    if (solUsd !== null) {
+                        result.solAmount = quoteAmount / solUsd;
+                    } else if (priceUsd && priceSol) {
+                        result.solAmount = quoteAmount * (parseFloat(priceSol) / parseFloat(priceUsd));
+                    } else {
+                        console.log(`No price to value ${quoteAmount} ${result.quoteSymbol} in SOL for ${result.tokenAddress}`);
                     }
                 }
 
-                // 6. Verify transaction result with a sanity check
-                console.log(`Detected potential purchase: ${solSpent.toFixed(4)} SOL spent, received ${tokenAmount} ${tokenName} (${boughtToken.slice(0,8)}...)`);
+                console.log(
+                    `Extracted token ${result.side} on ${result.venue}: ${result.tokenName} (${result.tokenAddress.slice(0, 8)}...) ` +
+                    `for ${quoteAmount.toFixed(4)} ${result.quoteSymbol} (${result.tokenAmount} tokens)`
+                );
+                return result;
 
-                return {
-                    tokenAddress: boughtToken,
-                    tokenName,
-                    solAmount: solSpent,
-                    tokenAmount,
-                    marketCap,
-                    holders
-                };
             } catch (error) {
                 console.error('Error extracting token info:', error);
                 return null;
             }
         }
 
-                // If we got here, we couldn't identify a specific to
-        // Helper to fetch and format token details
-        async getTokenDetails(tokenAddress, solAmount) {
-            let tokenName = 'Unknown';
-            let marketCap = null;
-            let holders = null;
 
+
+        // Adds metadata, market and volume data to a detected purchase. Any tracked wallet's
+        // trade can complete an alert, so these lookups go ahead of other work.
+        async enrichTokenInfo(result) {
             try {
-                const tokenInfo = await this.callSolscanAPI(`/token/${tokenAddress}`);
-                tokenName = tokenInfo?.symbol || 'Unknown';
-                marketCap = tokenInfo?.marketCapacity;
-                holders = tokenInfo?.holder;
-            } catch (error) {
-                console.error('Error fetching token info:', error);
+                const tokenMetadata = await this.getTokenMetadata(result.tokenAddress, 'alert');
+                const marketData = await this.getTokenMarketData(result.tokenAddress, 'alert');
+                const volumeData = await this.getTokenVolumeData(result.tokenAddress, 'alert');
+                const mintInfo = await this.getMintInfo(result.tokenAddress, 'alert');
+
+                result.mintInfo = mintInfo;
+                result.tokenName = tokenMetadata.symbol || 'Unknown';
+                result.tokenFullName = tokenMetadata.name || 'Unknown';
+                result.metadata = tokenMetadata;
+                result.marketData = marketData;
+                result.volumeData = volumeData;
+            } catch (err) {
+                console.log(`Error fetching data for ${result.tokenAddress}: ${err.message}`);
             }
-
-            return {
-                tokenAddress,
-                tokenName,
-                solAmount,
-                marketCap,
-                holders
-            };
+            return result;
         }
 
           async handleCreateWallet(msg) {
               try {
+                  // Never create a wallet we can't store encrypted
+                  if (!this.keystore.isConfigured) {
+                      await this.bot.sendMessage(msg.chat.id,
+                          "❌ Personal wallets are disabled: the bot's keystore is not configured.");
+                      return;
+                  }
+
                   // Generate new Solana wallet using local keypair
                   const wallet = Keypair.generate();
                   const publicKey = wallet.publicKey.toString();
 
-                  // Convert secretKey to a more storable format instead of using bs58
-                  const privateKey = Buffer.from(wallet.secretKey).toString('hex');
+                  // Encrypt the secret key right away; only the ciphertext is kept
+                  const secretKey = wallet.secretKey; // getter returns a copy
+                  const encryptedKey = await this.keystore.encryptSecretKey(publicKey, secretKey);
+                  secretKey.fill(0);
 
                   // Get user settings
                   const userSettings = this.getUserSettings(msg.chat.id);
@@ -1426,26 +3645,27 @@ async showSettings(msg) {
                   const walletName = `Wallet ${userSettings.userWallets.length + 1}`;
                   userSettings.userWallets.push({
                       address: publicKey,
-                      privateKey: privateKey, // Stored as hex string
+                      encryptedKey: encryptedKey,
                       label: walletName,
                       created: Date.now()
                   });
+                  this.persistState();
 
                   // Send wallet info to user
                   await this.bot.sendMessage(msg.chat.id,
                       `✅ Created new Solana wallet!\n\nName: ${walletName}\nAddress: \`${publicKey}\``,
                       { parse_mode: 'Markdown' });
 
-                  // Send private key as separate message with warning
                   await this.bot.sendMessage(msg.chat.id,
-                      `🔐 *IMPORTANT: This is your private key for ${walletName}*\n\n\`${privateKey}\`\n\n⚠️ *WARNING: NEVER share this with anyone! Save it securely offline. It cannot be recovered if lost.*`,
-                      { parse_mode: 'Markdown' });
+                      `🔐 The private key for ${walletName} is stored encrypted and is never shown unless you ask for it.\n\n` +
+                      `Use "Reveal Private Key" to back it up. ⚠️ Anyone with the key controls the wallet.`);
 
                   // Show deposit button
                   const keyboard = {
                       inline_keyboard: [
                           [{ text: '📥 Deposit SOL to this wallet', callback_data: `deposit:${publicKey}` }],
-                          [{ text: '💰 Check Balance', callback_data: `check_balance:${publicKey}` }]
+                          [{ text: '💰 Check Balance', callback_data: `check_balance:${publicKey}` }],
+                          [{ text: '🔐 Reveal Private Key', callback_data: `reveal_key:${publicKey}` }]
                       ]
                   };
 
@@ -1495,71 +3715,76 @@ async handleCheckBalance(msg) {
 
 async checkWalletBalance(chatId, walletAddress) {
     try {
-        // Use Helius RPC to get balance
-        const response = await axios.post(this.heliusConfig.rpcUrl, {
-            jsonrpc: '2.0',
-            id: 1,
-            method: 'getBalance',
-            params: [walletAddress]
-        });
-
-        if (response.data && response.data.result) {
-            const balanceInLamports = response.data.result.value;
-            const balanceInSol = balanceInLamports / 1000000000; // Convert lamports to SOL
-
-            const userSettings = this.getUserSettings(chatId);
-            const wallet = userSettings.userWallets.find(w => w.address === walletAddress);
-            const walletName = wallet ? wallet.label : 'Wallet';
-
-            // Get token balances using Helius enhanced API
-            let tokenMessage = '';
-            try {
-                const balancesResponse = await axios.get(
-                    `${this.heliusConfig.baseUrl}/addresses/${walletAddress}/balances`, {
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${this.heliusConfig.apiKey}`
-                    }
-                });
+        const balanceInLamports = await this.connection.getBalance(new PublicKey(walletAddress));
+        const balanceInSol = balanceInLamports / 1000000000; // Convert lamports to SOL
 
-                if (balancesResponse.data && balancesResponse.data.tokens && balancesResponse.data.tokens.length > 0) {
-                    tokenMessage = '\n\n📊 Token Balances:';
-                    const tokens = balancesResponse.data.tokens.slice(0, 5); // Limit to top 5 tokens
+        const userSettings = this.getUserSettings(chatId);
+        const wallet = userSettings.userWallets.find(w => w.address === walletAddress);
+        const walletName = wallet ? wallet.label : 'Wallet';
 
-                    for (const token of tokens) {
-                        const tokenAmount = token.amount / Math.pow(10, token.decimals);
-                        tokenMessage += `\n${token.symbol || 'Unknown'}: ${tokenAmount.toFixed(4)}`;
-                    }
+        // Token accounts of both token programs, largest balances first
+        let tokenMessage = '';
+        try {
+            const tokens = await this.getTokenBalances(walletAddress);
+
+            if (tokens.length > 0) {
+                tokenMessage = '\n\n📊 Token Balances:';
+                for (const token of tokens.slice(0, 5)) { // Limit to top 5 tokens
+                    const metadata = await this.getTokenMetadata(token.mint);
+                    const symbol = metadata.symbol !== 'Unknown' ? metadata.symbol : `${token.mint.slice(0, 8)}...`;
+                    tokenMessage += `\n${symbol}: ${token.amount.toFixed(4)}${token.programId === TOKEN_2022_PROGRAM_ID ? ' (Token-2022)' : ''}`;
+                }
 
-                    if (balancesResponse.data.tokens.length > 5) {
-                        tokenMessage += `\n...and ${balancesResponse.data.tokens.length - 5} more tokens`;
-                    }
+                if (tokens.length > 5) {
+                    tokenMessage += `\n...and ${tokens.length - 5} more tokens`;
                 }
-            } catch (err) {
-                console.error('Error fetching token balances:', err);
             }
+        } catch (err) {
+            console.error('Error fetching token balances:', err);
+        }
 
-            // Create response with balance info
-            const message = `💰 Balance for ${walletName}:\n\n` +
-                `SOL: ${balanceInSol.toFixed(6)} SOL` +
-                `${tokenMessage}`;
+        // Create response with balance info
+        const message = `💰 Balance for ${walletName}:\n\n` +
+            `SOL: ${balanceInSol.toFixed(6)} SOL ${this.solPrice.formatUsd(balanceInSol)}` +
+            `${tokenMessage}`;
 
-            const keyboard = {
-                inline_keyboard: [
-                    [{ text: '📥 Deposit', callback_data: `deposit:${walletAddress}` }]
+        const keyboard = {
+            inline_keyboard: [
+                [
+                    { text: '📥 Deposit', callback_data: `deposit:${walletAddress}` },
+                    { text: '📤 Send SOL', callback_data: `send_sol:${walletAddress}` }
                 ]
-            };
+            ]
+        };
 
-            await this.bot.sendMessage(chatId, message, { reply_markup: keyboard });
-        } else {
-            throw new Error('Invalid response from Helius API');
-        }
+        await this.bot.sendMessage(chatId, message, { reply_markup: keyboard });
     } catch (error) {
         console.error('Error checking balance:', error);
         await this.bot.sendMessage(chatId, "❌ Error checking wallet balance. Please try again.");
     }
 }
 
+// Non-empty token accounts owned by the wallet under either token program
+async getTokenBalances(walletAddress) {
+    const owner = new PublicKey(walletAddress);
+    const tokens = [];
+
+    for (const programId of TOKEN_PROGRAM_IDS) {
+        const response = await this.connection.getParsedTokenAccountsByOwner(owner, {
+            programId: new PublicKey(programId)
+        });
+        for (const { account } of response.value) {
+            const info = account.data.parsed?.info;
+            const amount = info?.tokenAmount?.uiAmount || 0;
+            if (amount > 0) {
+                tokens.push({ mint: info.mint, amount, programId });
+            }
+        }
+    }
+
+    return tokens.sort((a, b) => b.amount - a.amount);
+}
+
 async showUserWallets(msg) {
     try {
         const userSettings = this.getUserSettings(msg.chat.id);
@@ -1589,7 +3814,11 @@ async showUserWallets(msg) {
 
             // Add button row for each wallet
             keyboard.inline_keyboard.push([
-                { text: `💰 Check ${wallet.label} Balance`, callback_data: `check_balance:${wallet.address}` }
+                { text: `💰 Check ${wallet.label} Balance`, callback_data: `check_balance:${wallet.address}` },
+                { text: '📤 Send', callback_data: `send_sol:${wallet.address}` }
+            ]);
+            keyboard.inline_keyboard.push([
+                { text: '🔐 Reveal Key', callback_data: `reveal_key:${wallet.address}` }
             ]);
         }
 
@@ -1676,26 +3905,339 @@ async showDepositInfo(chatId, walletAddress) {
 
 
 
-  //       async getTokenName(address) {
-  //         try {
-  //     // Add Solana token metadata lookup
-  //     const tokenMint = new PublicKey(address);
-  //     const metadataPDA = await Metadata.getPDA(tokenMint);
-  //     const metadata = await Metadata.load(this.connection, metadataPDA);
-  //     return metadata.data.data.name;
-  // } catch (error) {
-  //     return 'Unknown';
-  // }
-  //       }
+findUserWallet(chatId, walletAddress) {
+    const userSettings = this.getUserSettings(chatId);
+    return (userSettings.userWallets || []).find(w => w.address === walletAddress) || null;
+}
+
+// All signing goes through here so secret keys are only decrypted for the duration of fn
+async withUserKeypair(chatId, walletAddress, fn) {
+    const wallet = this.findUserWallet(chatId, walletAddress);
+    if (!wallet) {
+        throw new Error(`Wallet ${walletAddress} not found for chat ${chatId}`);
+    }
+    if (!wallet.encryptedKey) {
+        throw new Error(`Wallet ${walletAddress} has no encrypted key (is KEYSTORE_PASSPHRASE set?)`);
+    }
+    return this.keystore.withKeypair(wallet, fn);
+}
+
+async confirmRevealKey(chatId, walletAddress) {
+    const wallet = this.findUserWallet(chatId, walletAddress);
+    if (!wallet) {
+        await this.bot.sendMessage(chatId, "❌ Wallet not found.");
+        return;
+    }
+
+    const keyboard = {
+        inline_keyboard: [[
+            { text: '🔓 Yes, reveal it', callback_data: `reveal_confirm:${walletAddress}` },
+            { text: '✖️ Cancel', callback_data: 'reveal_cancel' }
+        ]]
+    };
+
+    await this.bot.sendMessage(chatId,
+        `⚠️ Reveal the private key for ${wallet.label}?\n\n` +
+        `Anyone who sees it can take every asset in the wallet. Make sure nobody else can read this chat. ` +
+        `The message will be deleted after 60 seconds.`,
+        { reply_markup: keyboard });
+}
+
+async revealKey(chatId, walletAddress) {
+    try {
+        const wallet = this.findUserWallet(chatId, walletAddress);
+        if (!wallet || !wallet.encryptedKey) {
+            await this.bot.sendMessage(chatId, "❌ Wallet not found or its key is not available.");
+            return;
+        }
+
+        const privateKey = await this.keystore.revealSecretKey(wallet);
+        const sent = await this.bot.sendMessage(chatId,
+            `🔐 *Private key for ${wallet.label}*\n\n\`${privateKey}\`\n\n⚠️ *Save it securely offline. This message will be deleted in 60 seconds.*`,
+            { parse_mode: 'Markdown' });
+
+        setTimeout(() => {
+            this.bot.deleteMessage(chatId, sent.message_id)
+                .catch(error => console.error('Error deleting revealed key message:', error.message));
+        }, 60000);
+    } catch (error) {
+        console.error('Error revealing key:', error);
+        await this.bot.sendMessage(chatId, "❌ Could not reveal the private key.");
+    }
+}
+
+// --- Send SOL flow ---
+// awaitingSendAmount holds { fromWallet, step, destination, lamports, fee } per chat.
+// Steps: enter_destination -> enter_amount -> confirm -> submitting
+
+async handleSendInput(msg) {
+    const chatId = msg.chat.id;
+    const state = this.awaitingSendAmount.get(chatId);
+    const text = msg.text.trim();
+
+    if (text.toLowerCase() === 'cancel') {
+        this.awaitingSendAmount.delete(chatId);
+        await this.bot.sendMessage(chatId, "✖️ Transfer cancelled.");
+        return;
+    }
+
+    switch (state.step) {
+        case 'enter_destination':
+            await this.handleSendDestination(chatId, state, text);
+            break;
+        case 'enter_amount':
+            await this.handleSendAmount(chatId, state, text);
+            break;
+        default:
+            await this.bot.sendMessage(chatId, "Please use the buttons above to confirm or cancel the transfer.");
+    }
+}
+
+async handleSendDestination(chatId, state, text) {
+    let destination;
+    try {
+        destination = new PublicKey(text);
+    } catch (error) {
+        await this.bot.sendMessage(chatId, "❌ That is not a valid Solana address. Please try again (or \"cancel\"):");
+        return;
+    }
+
+    if (destination.toString() === state.fromWallet) {
+        await this.bot.sendMessage(chatId, "❌ Destination is the same as the sending wallet. Enter another address:");
+        return;
+    }
+
+    state.destination = destination.toString();
+    state.step = 'enter_amount';
+
+    const { balance, maxLamports } = await this.getSendLimits(state.fromWallet, state.destination);
+    await this.bot.sendMessage(chatId,
+        `Balance: ${(balance / LAMPORTS_PER_SOL).toFixed(6)} SOL\n` +
+        `Max sendable: ${(Math.max(0, maxLamports) / LAMPORTS_PER_SOL).toFixed(6)} SOL\n\n` +
+        `Enter the amount of SOL to send, or "max":`);
+}
+
+async handleSendAmount(chatId, state, text) {
+    const { balance, fee, rentReserve, maxLamports, destinationExists } =
+        await this.getSendLimits(state.fromWallet, state.destination);
+
+    let lamports;
+    if (text.toLowerCase() === 'max') {
+        lamports = maxLamports;
+    } else {
+        const amount = parseFloat(text);
+        if (isNaN(amount) || amount <= 0) {
+            await this.bot.sendMessage(chatId, "❌ Please enter a valid amount greater than 0, or \"max\":");
+            return;
+        }
+        lamports = Math.round(amount * LAMPORTS_PER_SOL);
+    }
+
+    if (lamports <= 0 || lamports > maxLamports) {
+        await this.bot.sendMessage(chatId,
+            `❌ Insufficient balance. You can send at most ${(Math.max(0, maxLamports) / LAMPORTS_PER_SOL).toFixed(6)} SOL ` +
+            `(fees and ${(rentReserve / LAMPORTS_PER_SOL).toFixed(6)} SOL rent reserve are kept). Enter another amount:`);
+        return;
+    }
+
+    // A new account must receive at least the rent-exempt minimum or the transfer fails
+    if (!destinationExists && lamports < rentReserve) {
+        await this.bot.sendMessage(chatId,
+            `❌ The destination account doesn't exist yet, so it must receive at least ` +
+            `${(rentReserve / LAMPORTS_PER_SOL).toFixed(6)} SOL. Enter another amount:`);
+        return;
+    }
+
+    state.lamports = lamports;
+    state.fee = fee;
+    state.step = 'confirm';
+
+    const wallet = this.findUserWallet(chatId, state.fromWallet);
+    const summary = `📤 Confirm transfer\n\n` +
+        `From: ${wallet ? wallet.label : 'Wallet'} (${state.fromWallet.slice(0, 8)}...${state.fromWallet.slice(-8)})\n` +
+        `To: ${state.destination}\n` +
+        `Amount: ${(lamports / LAMPORTS_PER_SOL).toFixed(6)} SOL\n` +
+        `Estimated fee: ${(fee / LAMPORTS_PER_SOL).toFixed(6)} SOL\n` +
+        `Remaining balance: ${((balance - lamports - fee) / LAMPORTS_PER_SOL).toFixed(6)} SOL`;
+
+    const keyboard = {
+        inline_keyboard: [[
+            { text: '✅ Confirm', callback_data: 'send_confirm' },
+            { text: '✖️ Cancel', callback_data: 'send_cancel' }
+        ]]
+    };
+
+    await this.bot.sendMessage(chatId, summary, { reply_markup: keyboard });
+}
+
+async buildTransferTransaction(fromWallet, destination, lamports) {
+    const fromPubkey = new PublicKey(fromWallet);
+    const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash('confirmed');
+
+    const message = new TransactionMessage({
+        payerKey: fromPubkey,
+        recentBlockhash: blockhash,
+        instructions: [
+            SystemProgram.transfer({
+                fromPubkey,
+                toPubkey: new PublicKey(destination),
+                lamports
+            })
+        ]
+    }).compileToV0Message();
+
+    return { transaction: new VersionedTransaction(message), lastValidBlockHeight };
+}
+
+// Everything the amount step needs: balance, fee estimate and how much can be sent
+// while keeping the sending account rent-exempt
+async getSendLimits(fromWallet, destination) {
+    const [balance, rentReserve, destinationBalance] = await Promise.all([
+        this.connection.getBalance(new PublicKey(fromWallet)),
+        this.connection.getMinimumBalanceForRentExemption(0),
+        destination
+            ? this.connection.getBalance(new PublicKey(destination))
+            : Promise.resolve(0)
+    ]);
+
+    // Fee depends only on the message shape, so estimate with a 1-lamport transfer
+    let fee = 5000;
+    if (destination) {
+        try {
+            const { transaction } = await this.buildTransferTransaction(fromWallet, destination, 1);
+            const feeResponse = await this.connection.getFeeForMessage(transaction.message, 'confirmed');
+            if (feeResponse && feeResponse.value !== null) {
+                fee = feeResponse.value;
+            }
+        } catch (error) {
+            console.log(`Could not estimate fee, using default: ${error.message}`);
+        }
+    }
+
+    return {
+        balance,
+        fee,
+        rentReserve,
+        maxLamports: balance - fee - rentReserve,
+        destinationExists: destinationBalance > 0
+    };
+}
+
+async executeSend(chatId) {
+    const state = this.awaitingSendAmount.get(chatId);
+    if (!state || state.step !== 'confirm') {
+        await this.bot.sendMessage(chatId, "❌ There is no transfer waiting for confirmation.");
+        return;
+    }
+
+    // Guard against double taps on the confirm button
+    state.step = 'submitting';
+
+    let signature = null;
+    try {
+        const { transaction, lastValidBlockHeight } =
+            await this.buildTransferTransaction(state.fromWallet, state.destination, state.lamports);
+
+        // Simulate first so obvious failures never cost a fee
+        const simulation = await this.connection.simulateTransaction(transaction, { sigVerify: false, commitment: 'confirmed' });
+        if (simulation.value.err) {
+            console.error('Transfer simulation failed:', simulation.value.err, simulation.value.logs);
+            await this.bot.sendMessage(chatId,
+                `❌ Transfer simulation failed: ${JSON.stringify(simulation.value.err)}. Nothing was sent.`);
+            return;
+        }
+
+        await this.withUserKeypair(chatId, state.fromWallet, async (keypair) => {
+            transaction.sign([keypair]);
+        });
+
+        signature = await this.connection.sendRawTransaction(transaction.serialize(), {
+            skipPreflight: true, // already simulated above
+            maxRetries: 3
+        });
+
+        await this.bot.sendMessage(chatId,
+            `⏳ Transfer submitted, waiting for confirmation...\nSignature: ${signature}`);
+
+        const result = await this.waitForConfirmation(signature, lastValidBlockHeight);
+        if (result.status === 'confirmed') {
+            await this.bot.sendMessage(chatId,
+                `✅ Sent ${(state.lamports / LAMPORTS_PER_SOL).toFixed(6)} SOL to ` +
+                `${state.destination.slice(0, 8)}...${state.destination.slice(-8)}\n\n` +
+                `Signature: <code>${signature}</code>\n` +
+                `<a href="https://solscan.io/tx/${signature}">View on Solscan</a>`,
+                { parse_mode: 'HTML', disable_web_page_preview: true });
+        } else if (result.status === 'failed') {
+            await this.bot.sendMessage(chatId,
+                `❌ Transfer failed on-chain: ${JSON.stringify(result.error)}\nSignature: ${signature}`);
+        } else if (result.status === 'expired') {
+            await this.bot.sendMessage(chatId,
+                `⚠️ Transfer was not confirmed before its blockhash expired. ` +
+                `Check the signature before retrying:\n${signature}`);
+        } else {
+            await this.bot.sendMessage(chatId,
+                `⚠️ Transfer submitted, but its status could not be checked. ` +
+                `Check the signature before retrying:\n${signature}`);
+        }
+    } catch (error) {
+        console.error('Error sending SOL:', error);
+        // Once submitted the transfer may still land, so a retry could send twice
+        if (signature) {
+            await this.bot.sendMessage(chatId,
+                `⚠️ Transfer submitted, but its status is unknown. ` +
+                `Check the signature before retrying:\n${signature}`);
+        } else {
+            await this.bot.sendMessage(chatId, "❌ Error sending SOL. Please try again.");
+        }
+    } finally {
+        this.awaitingSendAmount.delete(chatId);
+    }
+}
+
+// Polls the signature status until it is confirmed, fails, or its blockhash expires.
+// RPC errors while polling are retried; if the status still can't be read after
+// maxWaitMs (past any blockhash lifetime), the result is 'unknown'.
+async waitForConfirmation(signature, lastValidBlockHeight, pollMs = 2000, maxWaitMs = 120000) {
+    const started = Date.now();
+    while (true) {
+        try {
+            const { value } = await this.connection.getSignatureStatuses([signature]);
+            const status = value && value[0];
+
+            if (status) {
+                if (status.err) {
+                    return { status: 'failed', error: status.err };
+                }
+                if (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized') {
+                    return { status: 'confirmed' };
+                }
+            }
+
+            const blockHeight = await this.connection.getBlockHeight('confirmed');
+            if (blockHeight > lastValidBlockHeight) {
+                return { status: 'expired' };
+            }
+        } catch (error) {
+            console.error(`Error checking status of ${signature}:`, error.message);
+        }
+
+        if (Date.now() - started >= maxWaitMs) {
+            return { status: 'unknown' };
+        }
+        await new Promise(resolve => setTimeout(resolve, pollMs));
+    }
+}
 
-  // Update sendAlert to include comprehensive token information
+  // Update sendAlert to include comprehensive token information. Resolves to whether
+  // the alert reached the chat.
   async sendAlert(
     chatId,
     tokenAddress,
     tokenName,
     buyersMap,
     totalSolSpentOnToken,
-    tokenData = null
+    tokenData = null,
+    group = null // set when a group's rules triggered the alert
   ) {
     try {
       const settings = this.getUserSettings(chatId);
@@ -1706,7 +4248,8 @@ async showDepositInfo(chatId, walletAddress) {
           const metadata = await this.getTokenMetadata(tokenAddress);
           const marketData = await this.getTokenMarketData(tokenAddress);
           const volumeData = await this.getTokenVolumeData(tokenAddress);
-          tokenData = { metadata, marketData, volumeData };
+          const mintInfo = await this.getMintInfo(tokenAddress);
+          tokenData = { metadata, marketData, volumeData, mintInfo };
         } catch (err) {
           console.log(`Error getting token data for alert: ${err.message}`);
         }
@@ -1715,86 +4258,184 @@ async showDepositInfo(chatId, walletAddress) {
       // 2) Extract relevant info
       const metadata = tokenData?.metadata || {};
       const marketData = tokenData?.marketData || {};
-      const volumeData = tokenData?.volumeData || {};
 
       const displayName = metadata.symbol || tokenName || 'Unknown';
-      const fullName = metadata.name || displayName;
-      const priceUsd = marketData.priceUsd ? parseFloat(marketData.priceUsd).toFixed(8) : 'Unknown';
-      const priceSol = marketData.priceSol ? parseFloat(marketData.priceSol).toFixed(8) : 'Unknown';
-      const marketCap = marketData.marketCap
-        ? `$${parseFloat(marketData.marketCap).toLocaleString()}`
-        : 'Unknown';
-      const holders = marketData.holders ? marketData.holders.toLocaleString() : null;
-      const bondingProgress = marketData.bondingProgress
-        ? `${(marketData.bondingProgress * 100).toFixed(2)}%`
-        : null;
-
-      // 3) Build a buyer list with nicknames
-      const buyerList = [];
+      const safety = tokenData?.safety !== undefined
+        ? tokenData.safety
+        : await this.getSafetyReport(tokenAddress, metadata.deployer);
+
+      // 3) Build a buyer list with nicknames and weights
+      const rules = this.effectiveRules((group && settings.groups.get(group)) || settings);
+      const { score, contributions } = this.scoreBuyers(settings, buyersMap, rules);
+      const buyerLines = [];
       for (const [addr, solSpent] of buyersMap.entries()) {
         const nickname = settings.wallets.get(addr) || addr;
-        buyerList.push(`${nickname} (${solSpent.toFixed(4)} SOL)`);
+        const sold = this.formatSoldShare(chatId, tokenAddress, addr);
+        const weight = this.getWalletWeight(settings, addr);
+        const points = settings.scoreSolScaling ? ` → ${contributions.get(addr).toFixed(2)}` : '';
+        const usd = this.solPrice.formatUsd(solSpent);
+        buyerLines.push(`${nickname} (${solSpent.toFixed(4)} SOL${usd ? ` ${usd}` : ''}, w${weight}${points}${sold ? `, ${sold}` : ''})`);
+      }
+
+      // 4) Render the chat's alert template
+      const alertMessage = this.renderAlert(settings, {
+        tokenAddress,
+        displayName,
+        fullName: metadata.name || displayName,
+        metadata,
+        marketData,
+        mintInfo: tokenData?.mintInfo,
+        safety,
+        group,
+        buyerLines,
+        solTotal: totalSolSpentOnToken,
+        usdTotal: this.solPrice.formatUsd(totalSolSpentOnToken),
+        score,
+        scoreThreshold: rules.scoreThreshold
+      });
+
+      // 5) Send the message in HTML mode
+      await this.deliverAlert(chatId, alertMessage, {
+        parse_mode: 'HTML',
+        disable_web_page_preview: true
+      });
+      this.metrics.alertsSent.inc({ type: 'buy' });
+
+      // 6) Start tracking how the call plays out (only alerts the chat actually got)
+      this.performance.recordAlert({
+        chatId,
+        tokenAddress,
+        tokenName: displayName,
+        group,
+        config: {
+          solThreshold: rules.solThreshold,
+          thresholdUsd: rules.thresholdUsd || null,
+          requiredWallets: rules.requiredWallets,
+          scoreThreshold: rules.scoreThreshold,
+          confluenceWindowMinutes: rules.confluenceWindowMinutes
+        },
+        marketData
+      });
+
+      console.log(`✅ Alert sent for ${displayName} (${tokenAddress.slice(0, 8)}...)`);
+      return true;
+    } catch (error) {
+      this.metrics.alertsFailed.inc({ type: 'buy' });
+      console.error('Error sending alert:', error);
+      return false;
+    }
+  }
+
+  // alert: token, buyer and score details from sendAlert (or sample data from /preview)
+  renderAlert(settings, alert) {
+    const { marketData = {} } = alert;
+    const fields = alertTemplates.buildFields({
+      ...alert,
+      priceUsd: marketData.priceUsd ? parseFloat(marketData.priceUsd).toFixed(8) : 'Unknown',
+      priceSol: marketData.priceSol ? parseFloat(marketData.priceSol).toFixed(8) : 'Unknown',
+      marketCap: marketData.marketCap ? `$${parseFloat(marketData.marketCap).toLocaleString()}` : 'Unknown',
+      holders: marketData.holders ? marketData.holders.toLocaleString() : null,
+      bondingProgress: marketData.bondingProgress ? `${(marketData.bondingProgress * 100).toFixed(2)}%` : null,
+      isToken2022: Boolean(alert.mintInfo?.isToken2022),
+      safetyLines: alert.safety ? SafetyChecker.formatReport(alert.safety) : [],
+      flags: riskyExtensions(alert.mintInfo)
+    }, settings.tradeLinks);
+    return alertTemplates.render(alertTemplates.resolveTemplate(settings.alertTemplate), fields);
+  }
+
+  // trigger.dumpingWallet is set when the alert is about one buyer from an earlier buy alert
+  async sendExitAlert(chatId, tokenAddress, tokenName, sellersMap, totalSolReceived, trigger = {}) {
+    try {
+      const settings = this.getUserSettings(chatId);
+
+      let metadata = {};
+      try {
+        metadata = await this.getTokenMetadata(tokenAddress);
+      } catch (err) {
+        console.log(`Error getting token data for exit alert: ${err.message}`);
+      }
+      const displayName = metadata.symbol && metadata.symbol !== 'Unknown' ? metadata.symbol : (tokenName || 'Unknown');
+
+      // Symbols come from the token's creator and nicknames from users; either can hold
+      // characters Telegram would reject as broken HTML
+      const sellerList = [];
+      for (const [addr, solReceived] of sellersMap.entries()) {
+        const nickname = settings.wallets.get(addr) || addr;
+        const sold = this.formatSoldShare(chatId, tokenAddress, addr);
+        const usd = this.solPrice.formatUsd(solReceived);
+        sellerList.push(`${nickname} (${solReceived.toFixed(4)} SOL${usd ? ` ${usd}` : ''} received${sold ? `, ${sold}` : ''})`);
       }
-      const buyerText = buyerList.join('\n');
 
-      // 4) Build a fancy ASCII layout
+      let headline = `<b>Sellers (${sellersMap.size}):</b>`;
+      if (trigger.dumpingWallet) {
+        const nickname = settings.wallets.get(trigger.dumpingWallet) || trigger.dumpingWallet;
+        const minutesAgo = Math.round((Date.now() - trigger.alertedAt) / 60000);
+        headline = `<b>${alertTemplates.escapeHtml(nickname)}</b> was a buyer in the alert ${minutesAgo} min ago and is now selling.\n\n` + headline;
+      }
+
+      // Same trade links as the chat's buy alerts
+      const links = alertTemplates.renderLinks(settings.tradeLinks, tokenAddress).map(link => `• ${link}`);
+
       const alertMessage = `
   <b>━━━━━━━━━━━━━━━━━━━━━━━━━━━━</b>
-  <b>🔥 HIGH-CONFIDENCE TOKEN ALERT 🔥</b>
+  <b>🚪 TRACKED WALLETS ARE EXITING 🚪</b>
   <b>━━━━━━━━━━━━━━━━━━━━━━━━━━━━</b>
 
-  <b>Token:</b> <code>${displayName}</code>
-  ${fullName !== displayName ? `<b>Name:</b> ${fullName}\n` : ''}
+  <b>Token:</b> <code>${alertTemplates.escapeHtml(displayName)}</code>
   <b>Address:</b> <code>${tokenAddress}</code>
 
-  <b>Buyers (${buyersMap.size}):</b>
-  ${buyerText}
-
-  <b>Collective SOL Spent:</b> ${totalSolSpentOnToken.toFixed(4)} SOL
+  ${headline}
+  ${alertTemplates.escapeHtml(sellerList.join('\n'))}
 
-  <b>Price:</b> $${priceUsd} (${priceSol} SOL)
-  <b>Market Cap:</b> ${marketCap}
-  ${holders ? `<b>Holders:</b> ${holders}\n` : ''}
-  ${bondingProgress ? `<b>Bonding Progress:</b> ${bondingProgress}\n` : ''}
+  <b>Collective SOL Received:</b> ${totalSolReceived.toFixed(4)} SOL ${this.solPrice.formatUsd(totalSolReceived)}
 
   <b>━━━━━━━━━━━━━━━━━━━━━━━━━━━━</b>
-  <b>Social:</b>
-  ${metadata.twitter ? `• <a href="https://twitter.com/${metadata.twitter.replace('@','')}">Twitter</a>\n` : ''}
-  ${metadata.telegram ? `• <a href="${metadata.telegram}">Telegram</a>\n` : ''}
-  ${metadata.website ? `• <a href="${metadata.website}">Website</a>\n` : ''}
-
-  <b>━━━━━━━━━━━━━━━━━━━━━━━━━━━━</b>
-  <b>Trade on:</b>
-  • <a href="https://pump.fun/token/${tokenAddress}">Pump.fun</a>
-  • <a href="https://photon-sol.tinyastro.io/en/lp/${tokenAddress}">Photon</a>
-  • <a href="https://jup.ag/swap/SOL-${tokenAddress}">Jupiter</a>
-  • <a href="https://raydium.io/swap/?inputCurrency=sol&outputCurrency=${tokenAddress}">Raydium</a>
+  ${links.join('\n  ')}
   <b>━━━━━━━━━━━━━━━━━━━━━━━━━━━━</b>
   `;
 
-      // 5) Send the message in HTML mode
-      await this.bot.sendMessage(chatId, alertMessage, {
+      await this.deliverAlert(chatId, alertMessage, {
         parse_mode: 'HTML',
         disable_web_page_preview: true
       });
 
-      console.log(`✅ Alert sent for ${displayName} (${tokenAddress.slice(0, 8)}...)`);
+      this.metrics.alertsSent.inc({ type: 'exit' });
+      console.log(`✅ Exit alert sent for ${displayName} (${tokenAddress.slice(0, 8)}...)`);
+      return true;
     } catch (error) {
-      console.error('Error sending alert:', error);
+      this.metrics.alertsFailed.inc({ type: 'exit' });
+      console.error('Error sending exit alert:', error);
+      return false;
     }
   }
 
+        // Every Map/array/object gets a fresh instance so chats never share state
+        createDefaultSettings() {
+            return {
+                ...this.defaultSettings,
+                wallets: new Map(),
+                walletWeights: new Map(),
+                groups: new Map(),
+                walletGroups: new Map(),
+                admins: [],
+                alertDestinations: [],
+                tradeLinks: alertTemplates.DEFAULT_TRADE_LINKS.map(link => ({ ...link })),
+                filters: createFilters(),
+                userWallets: [],
+                monitoringStartTimes: {}
+            };
+        }
+
         getUserSettings(chatId) {
             if (!this.userSettings.has(chatId)) {
-                this.userSettings.set(chatId, {
-                    ...this.defaultSettings,
-                    wallets: new Map()
-                });
+                this.userSettings.set(chatId, this.createDefaultSettings());
             }
             return this.userSettings.get(chatId);
         }
     }
 
+// Only start the bot when run directly, so tests can require the class
+if (require.main === module) {
     try {
         // Simply create the instance - constructor handles config loading
         const tracker = new WalletTracker();
@@ -1819,3 +4460,6 @@ async showDepositInfo(chatId, walletAddress) {
         console.error('FATAL: Uncaught Exception:', error);
         process.exit(1); // Often best to exit on uncaught exceptions
     });
+}
+
+module.exports = { WalletTracker };
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { Keypair } = require('@solana/web3.js');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEYSTORE_VERSION = 1;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+// Encrypts personal wallet secret keys at rest with AES-256-GCM. The key is derived
+// per record from the master passphrase with scrypt and a random salt. The wallet
+// address is bound in as additional data, so a ciphertext can't be moved onto another wallet.
+class Keystore {
+    constructor(passphrase) {
+        this.passphrase = passphrase || null;
+    }
+
+    get isConfigured() {
+        return Boolean(this.passphrase);
+    }
+
+    async deriveKey(salt) {
+        if (!this.isConfigured) {
+            throw new Error('Keystore passphrase is not configured');
+        }
+        return scrypt(this.passphrase, salt, 32, SCRYPT_PARAMS);
+    }
+
+    async encryptSecretKey(address, secretKey) {
+        const salt = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const key = await this.deriveKey(salt);
+
+        try {
+            const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+            cipher.setAAD(Buffer.from(address, 'utf8'));
+            const ciphertext = Buffer.concat([cipher.update(Buffer.from(secretKey)), cipher.final()]);
+
+            return {
+                version: KEYSTORE_VERSION,
+                kdf: 'scrypt',
+                salt: salt.toString('base64'),
+                iv: iv.toString('base64'),
+                tag: cipher.getAuthTag().toString('base64'),
+                ciphertext: ciphertext.toString('base64')
+            };
+        } finally {
+            key.fill(0);
+        }
+    }
+
+    async decryptSecretKey(address, record) {
+        if (!record || record.version !== KEYSTORE_VERSION) {
+            throw new Error(`Unsupported keystore record for ${address}`);
+        }
+
+        const key = await this.deriveKey(Buffer.from(record.salt, 'base64'));
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(record.iv, 'base64'));
+            decipher.setAAD(Buffer.from(address, 'utf8'));
+            decipher.setAuthTag(Buffer.from(record.tag, 'base64'));
+            return Buffer.concat([
+                decipher.update(Buffer.from(record.ciphertext, 'base64')),
+                decipher.final()
+            ]);
+        } finally {
+            key.fill(0);
+        }
+    }
+
+    // Decrypts the wallet only for the duration of fn, then wipes the secret key.
+    // wallet is a userWallets entry ({ address, encryptedKey, ... }).
+    async withKeypair(wallet, fn) {
+        const secretKey = await this.decryptSecretKey(wallet.address, wallet.encryptedKey);
+        try {
+            // fromSecretKey keeps a reference to our buffer, so wiping it below wipes the keypair too
+            const keypair = Keypair.fromSecretKey(secretKey);
+            if (keypair.publicKey.toString() !== wallet.address) {
+                throw new Error(`Keystore record does not match wallet ${wallet.address}`);
+            }
+            return await fn(keypair);
+        } finally {
+            secretKey.fill(0);
+        }
+    }
+
+    async signTransaction(wallet, transaction) {
+        return this.withKeypair(wallet, async (keypair) => {
+            transaction.sign(keypair);
+            return transaction;
+        });
+    }
+
+    // Only for an explicit reveal request from the user
+    async revealSecretKey(wallet) {
+        const secretKey = await this.decryptSecretKey(wallet.address, wallet.encryptedKey);
+        try {
+            return secretKey.toString('hex');
+        } finally {
+            secretKey.fill(0);
+        }
+    }
+}
+
+module.exports = { Keystore };
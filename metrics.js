@@ -0,0 +1,143 @@
+// Minimal metrics registry rendering the Prometheus text format (version 0.0.4).
+// Metrics either keep their own values (inc/set/observe) or are read at scrape time
+// from a collect() callback returning [{ labels, value }], for numbers another module
+// already tracks.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(Number(value));
+}
+
+// Key for a label set, so the same labels in any order land on one series
+function seriesKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(name => [name, labels[name]]));
+}
+
+class Metric {
+    constructor(type, name, help, collect = null) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.collect = collect;
+        this.series = new Map(); // seriesKey -> { labels, value }
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = seriesKey(labels);
+        const series = this.series.get(key) || { labels, value: 0 };
+        series.value += amount;
+        this.series.set(key, series);
+    }
+
+    set(labels, value) {
+        this.series.set(seriesKey(labels), { labels, value });
+    }
+
+    samples() {
+        return this.collect ? this.collect() : Array.from(this.series.values());
+    }
+
+    render() {
+        return this.samples().map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const key = seriesKey(labels);
+        let series = this.series.get(key);
+        if (!series) {
+            series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.series.set(key, series);
+        }
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // Times fn and observes its duration in seconds, whether it resolves or throws
+    async time(labels, fn) {
+        const started = Date.now();
+        try {
+            return await fn();
+        } finally {
+            this.observe(labels, (Date.now() - started) / 1000);
+        }
+    }
+
+    render() {
+        const lines = [];
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor({ prefix = '' } = {}) {
+        this.prefix = prefix;
+        this.metrics = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help, collect = null) {
+        return this.register(new Metric('counter', this.prefix + name, help, collect));
+    }
+
+    gauge(name, help, collect = null) {
+        return this.register(new Metric('gauge', this.prefix + name, help, collect));
+    }
+
+    histogram(name, help, buckets) {
+        return this.register(new Histogram(this.prefix + name, help, buckets));
+    }
+
+    // One failing collect() drops that metric from the scrape rather than failing it all
+    render() {
+        const lines = [];
+        for (const metric of this.metrics) {
+            let samples;
+            try {
+                samples = metric.render();
+            } catch (error) {
+                console.error(`Error collecting metric ${metric.name}:`, error.message);
+                continue;
+            }
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            lines.push(...samples);
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = { MetricsRegistry, DEFAULT_BUCKETS };
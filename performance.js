@@ -0,0 +1,165 @@
+// Records every buy alert with its entry price and market cap, then samples the
+// token afterwards to see how the call played out. Samples are taken every
+// sampleIntervalMs until the last horizon, so max gain and drawdown see more than
+// the horizon points; the horizon samples give the returns /stats reports on.
+class PerformanceTracker {
+    constructor({ getMarketData, onChange, horizonsMinutes = [5, 60, 360, 1440],
+        sampleIntervalMs = 15 * 60 * 1000, retentionMs = 30 * 24 * 3600 * 1000 }) {
+        this.getMarketData = getMarketData;
+        this.onChange = onChange || (() => {});
+        this.horizonsMinutes = [...horizonsMinutes].sort((a, b) => a - b);
+        this.sampleIntervalMs = sampleIntervalMs;
+        this.retentionMs = retentionMs;
+
+        this.records = [];
+        this.timer = null;
+        this.running = false;
+    }
+
+    // Parses "5m,1h,6h,24h" into minutes
+    static parseHorizons(text) {
+        const minutes = String(text).split(',').map(part => {
+            const match = part.trim().toLowerCase().match(/^(\d+)\s*(m|h|d)?$/);
+            if (!match) return NaN;
+            return parseInt(match[1]) * ({ h: 60, d: 1440 }[match[2]] || 1);
+        });
+        return minutes.every(value => value > 0) ? minutes : null;
+    }
+
+    static formatHorizon(minutes) {
+        if (minutes % 1440 === 0) return `${minutes / 1440}d`;
+        if (minutes % 60 === 0) return `${minutes / 60}h`;
+        return `${minutes}m`;
+    }
+
+    load(records) {
+        this.records = Array.isArray(records) ? records : [];
+    }
+
+    start() {
+        // Check often enough that the shortest horizon isn't sampled late
+        const tickMs = Math.min(60000, this.horizonsMinutes[0] * 60000);
+        this.timer = setInterval(() => {
+            this.sampleDue().catch(error => console.error('Error sampling alert performance:', error));
+        }, tickMs);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+    }
+
+    // alert: { chatId, tokenAddress, tokenName, group, config, marketData }
+    recordAlert({ chatId, tokenAddress, tokenName, group = null, config, marketData }) {
+        const entryPrice = parseFloat(marketData?.priceUsd);
+        if (!entryPrice) {
+            console.log(`No entry price for ${tokenAddress.slice(0, 8)}..., alert not tracked for performance`);
+            return null;
+        }
+
+        const record = {
+            chatId,
+            tokenAddress,
+            tokenName,
+            group,
+            config,
+            alertedAt: Date.now(),
+            entryPrice,
+            entryMarketCap: parseFloat(marketData.marketCap) || null,
+            lastSampleAt: Date.now(),
+            maxPrice: entryPrice,
+            minPrice: entryPrice,
+            horizons: {} // minutes -> { price, marketCap, return }
+        };
+        this.records.push(record);
+        this.onChange();
+        return record;
+    }
+
+    isComplete(record) {
+        return this.horizonsMinutes.every(minutes => record.horizons[minutes]);
+    }
+
+    async sampleDue() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const now = Date.now();
+            this.records = this.records.filter(record => now - record.alertedAt < this.retentionMs);
+
+            // One lookup per token per round, however many chats alerted on it
+            const due = new Map();
+            for (const record of this.records) {
+                if (this.isComplete(record)) continue;
+
+                const horizonDue = this.horizonsMinutes.some(minutes =>
+                    !record.horizons[minutes] && now - record.alertedAt >= minutes * 60000);
+                const intervalDue = now - record.lastSampleAt >= this.sampleIntervalMs;
+                if (horizonDue || intervalDue) {
+                    if (!due.has(record.tokenAddress)) due.set(record.tokenAddress, []);
+                    due.get(record.tokenAddress).push(record);
+                }
+            }
+
+            for (const [tokenAddress, records] of due) {
+                const marketData = await this.getMarketData(tokenAddress);
+                const price = parseFloat(marketData?.priceUsd);
+                if (!price) continue;
+
+                for (const record of records) {
+                    this.applySample(record, price, parseFloat(marketData.marketCap) || null, Date.now());
+                }
+            }
+
+            if (due.size > 0) this.onChange();
+        } finally {
+            this.running = false;
+        }
+    }
+
+    applySample(record, price, marketCap, now) {
+        record.lastSampleAt = now;
+        record.maxPrice = Math.max(record.maxPrice, price);
+        record.minPrice = Math.min(record.minPrice, price);
+
+        for (const minutes of this.horizonsMinutes) {
+            if (record.horizons[minutes] || now - record.alertedAt < minutes * 60000) continue;
+            record.horizons[minutes] = {
+                price,
+                marketCap,
+                return: price / record.entryPrice - 1,
+                maxGain: record.maxPrice / record.entryPrice - 1,
+                drawdown: record.minPrice / record.entryPrice - 1
+            };
+        }
+    }
+
+    // Hit rate, median return and best/worst calls at one horizon, for records matching filter
+    summarize(records, horizonMinutes) {
+        const sampled = records.filter(record => record.horizons[horizonMinutes]);
+        if (sampled.length === 0) return null;
+
+        const returns = sampled.map(record => record.horizons[horizonMinutes].return).sort((a, b) => a - b);
+        const middle = Math.floor(returns.length / 2);
+        const median = returns.length % 2 ? returns[middle] : (returns[middle - 1] + returns[middle]) / 2;
+
+        const byReturn = [...sampled].sort((a, b) =>
+            b.horizons[horizonMinutes].return - a.horizons[horizonMinutes].return);
+
+        return {
+            count: sampled.length,
+            hitRate: returns.filter(value => value > 0).length / returns.length,
+            medianReturn: median,
+            avgMaxGain: sampled.reduce((sum, r) => sum + r.horizons[horizonMinutes].maxGain, 0) / sampled.length,
+            avgDrawdown: sampled.reduce((sum, r) => sum + r.horizons[horizonMinutes].drawdown, 0) / sampled.length,
+            best: byReturn[0],
+            worst: byReturn[byReturn.length - 1]
+        };
+    }
+
+    recordsForChat(chatId) {
+        return this.records.filter(record => record.chatId === chatId);
+    }
+}
+
+module.exports = { PerformanceTracker };
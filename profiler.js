@@ -0,0 +1,193 @@
+const { PublicKey } = require('@solana/web3.js');
+const { decodeSwap, SOL_MINT } = require('./swapDecoder');
+
+// Positions smaller than this are treated as closed (dust left after selling)
+const DUST_FRACTION = 0.001;
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Rebuilds a wallet's recent token trades from its own history with the swap
+// decoder, and turns them into PnL, win rate, hold time and trade size.
+// Only SOL-quoted trades are costed; stablecoin and token-to-token swaps are
+// counted but left out of the PnL.
+class WalletProfiler {
+    constructor({ getConnection, getPriceSol, maxTransactions = 200, requestDelayMs = 250 }) {
+        this.getConnection = getConnection;
+        this.getPriceSol = getPriceSol;
+        this.maxTransactions = maxTransactions;
+        this.requestDelayMs = requestDelayMs;
+
+        // Profiling is RPC-heavy, so jobs run one at a time
+        this.queue = Promise.resolve();
+        this.pending = new Map(); // address -> promise of the queued job
+    }
+
+    // Queues a profile job; asking again for a wallet already queued returns the same job
+    profile(address) {
+        if (this.pending.has(address)) return this.pending.get(address);
+
+        const job = this.queue
+            .then(() => this.buildProfile(address))
+            .finally(() => this.pending.delete(address));
+        this.queue = job.catch(() => {});
+        this.pending.set(address, job);
+        return job;
+    }
+
+    isQueued(address) {
+        return this.pending.has(address);
+    }
+
+    async fetchSignatures(address) {
+        const connection = this.getConnection();
+        const pubkey = new PublicKey(address);
+        const signatures = [];
+        let scanned = 0;
+        let before;
+
+        while (scanned < this.maxTransactions) {
+            const page = await connection.getSignaturesForAddress(pubkey, {
+                limit: Math.min(1000, this.maxTransactions - scanned),
+                before
+            });
+            if (page.length === 0) break;
+            scanned += page.length;
+            signatures.push(...page.filter(sig => !sig.err));
+            before = page[page.length - 1].signature;
+        }
+        return signatures;
+    }
+
+    async buildProfile(address) {
+        const signatures = await this.fetchSignatures(address);
+
+        // Oldest first, so positions open before they close
+        const trades = [];
+        let skipped = 0;
+        for (const sig of signatures.reverse()) {
+            try {
+                const tx = await this.getConnection().getTransaction(sig.signature, {
+                    maxSupportedTransactionVersion: 0
+                });
+                const swap = decodeSwap(tx, address);
+                if (swap) trades.push({ ...swap, blockTime: tx.blockTime || sig.blockTime });
+            } catch (error) {
+                skipped++;
+            }
+            if (this.requestDelayMs) {
+                await new Promise(resolve => setTimeout(resolve, this.requestDelayMs));
+            }
+        }
+
+        const profile = await this.computeStats(trades);
+        profile.address = address;
+        profile.transactionsScanned = signatures.length;
+        profile.transactionsSkipped = skipped;
+        profile.computedAt = Date.now();
+        return profile;
+    }
+
+    // Average-cost accounting per mint. A position that goes back to (near) zero is one
+    // round trip: its realized PnL decides win or loss, and open to close is its hold time.
+    async computeStats(trades) {
+        const positions = new Map(); // mint -> { amount, cost, realized, openedAt, peak }
+        const roundTrips = [];
+        const buySizes = [];
+        let realizedSol = 0;
+        let uncosted = 0;
+
+        for (const trade of trades) {
+            const solSide = trade.side === 'buy' ? trade.inputMint : trade.outputMint;
+            if (trade.side === 'swap' || solSide !== SOL_MINT) {
+                uncosted++;
+                continue;
+            }
+
+            const mint = trade.side === 'buy' ? trade.outputMint : trade.inputMint;
+            let position = positions.get(mint);
+
+            if (trade.side === 'buy') {
+                if (!position || position.amount <= 0) {
+                    position = { amount: 0, cost: 0, realized: 0, openedAt: trade.blockTime, peak: 0 };
+                    positions.set(mint, position);
+                }
+                position.amount += trade.outputAmount;
+                position.cost += trade.inputAmount;
+                position.peak = Math.max(position.peak, position.amount);
+                buySizes.push(trade.inputAmount);
+                continue;
+            }
+
+            // Sells of tokens bought before the history we scanned can't be costed
+            if (!position || position.amount <= 0) {
+                uncosted++;
+                continue;
+            }
+
+            const sold = Math.min(trade.inputAmount, position.amount);
+            const proceeds = trade.outputAmount * (sold / trade.inputAmount);
+            const costOfSold = position.cost * (sold / position.amount);
+            position.realized += proceeds - costOfSold;
+            position.cost -= costOfSold;
+            position.amount -= sold;
+            realizedSol += proceeds - costOfSold;
+
+            if (position.amount <= position.peak * DUST_FRACTION) {
+                roundTrips.push({
+                    pnl: position.realized,
+                    holdSeconds: trade.blockTime != null && position.openedAt != null ? trade.blockTime - position.openedAt : null
+                });
+                positions.delete(mint);
+            }
+        }
+
+        // Whatever is still held is marked at the current price
+        let unrealizedSol = 0;
+        let openPositions = 0;
+        for (const [mint, position] of positions) {
+            if (position.amount <= 0) continue;
+            openPositions++;
+            const priceSol = await this.getPriceSol(mint);
+            if (priceSol) {
+                unrealizedSol += position.amount * priceSol - position.cost;
+            }
+        }
+
+        const holds = roundTrips.map(trip => trip.holdSeconds).filter(value => value !== null);
+        return {
+            trades: trades.length,
+            uncostedTrades: uncosted,
+            closedPositions: roundTrips.length,
+            openPositions,
+            realizedSol,
+            unrealizedSol,
+            winRate: roundTrips.length ? roundTrips.filter(trip => trip.pnl > 0).length / roundTrips.length : null,
+            avgHoldSeconds: holds.length ? holds.reduce((sum, value) => sum + value, 0) / holds.length : null,
+            medianBuySol: median(buySizes)
+        };
+    }
+
+    static formatHold(seconds) {
+        if (seconds === null || seconds === undefined) return '?';
+        if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+        if (seconds < 86400) return `${(seconds / 3600).toFixed(1)}h`;
+        return `${(seconds / 86400).toFixed(1)}d`;
+    }
+
+    // One line for wallet lists
+    static summarize(profile) {
+        if (!profile) return 'not profiled yet';
+        const pnl = profile.realizedSol + profile.unrealizedSol;
+        const winRate = profile.winRate === null ? '?' : `${(profile.winRate * 100).toFixed(0)}%`;
+        return `PnL ${pnl >= 0 ? '+' : ''}${pnl.toFixed(2)} SOL · win ${winRate} · ` +
+            `hold ${WalletProfiler.formatHold(profile.avgHoldSeconds)} · ` +
+            `size ${profile.medianBuySol === null ? '?' : profile.medianBuySol.toFixed(2)} SOL`;
+    }
+}
+
+module.exports = { WalletProfiler };
@@ -0,0 +1,283 @@
+const { Connection } = require('@solana/web3.js');
+
+// Endpoint states: closed (in use), open (failing, skipped until the cool-down ends) and
+// half-open (cool-down over, one trial request decides whether it closes or opens again)
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'half-open';
+
+// Milliseconds of latency one slot of lag is worth when ranking endpoints
+const SLOT_LAG_PENALTY_MS = 50;
+
+function isRateLimit(error) {
+    const text = String(error?.message || error);
+    return /\b429\b|too many requests|rate limit/i.test(text);
+}
+
+// 429s, 5xx, timeouts and network errors say something about the endpoint; anything
+// else (bad params, missing account...) would fail the same way everywhere
+function isEndpointError(error) {
+    const text = String(error?.message || error);
+    return isRateLimit(error) ||
+        /\b50[0-9]\b|bad gateway|service unavailable|gateway timeout|internal server error/i.test(text) ||
+        /ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up|fetch failed|timed out|network/i.test(text);
+}
+
+function endpointLabel(url) {
+    try {
+        return new URL(url).host;
+    } catch (error) {
+        return url.split('?')[0];
+    }
+}
+
+// Spreads RPC calls over several endpoints. Each endpoint is health-checked with getSlot
+// (latency and how far behind the best slot it is), requests go to the best-ranked
+// closed endpoint, and an endpoint that keeps returning 429/5xx is taken out of rotation
+// for a cool-down. `connection` is a drop-in Connection whose methods all go through call();
+// withPriority() gives one whose requests wait in the scheduler at another priority.
+class RpcPool {
+    constructor(urls, {
+        commitment = 'confirmed',
+        healthCheckMs = 30000,
+        failureThreshold = 3,
+        cooldownMs = 30000,
+        maxAttempts = 4,
+        requestTimeoutMs = 30000,
+        scheduler = null,
+        budget = 'rpc',
+        stats = {}
+    } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.maxAttempts = maxAttempts;
+        this.requestTimeoutMs = requestTimeoutMs;
+        this.healthCheckMs = healthCheckMs;
+        this.scheduler = scheduler; // every attempt takes a token from the scheduler's `budget`
+        this.budget = budget;
+        this.timer = null;
+
+        // Pool-wide counters, shared with the caller's rpcStats object
+        this.stats = Object.assign(stats, {
+            totalRequests: 0,
+            totalErrors: 0,
+            rateLimitCount: 0,
+            totalRotations: 0, // requests retried on another endpoint
+            lastRotation: null
+        });
+
+        this.endpoints = urls.map(url => ({
+            url,
+            label: endpointLabel(url),
+            // The pool does its own retrying on 429s, so web3.js shouldn't also wait them out
+            connection: new Connection(url, { commitment, disableRetryOnRateLimit: true }),
+            state: CLOSED,
+            openedAt: null,
+            trialInFlight: false,
+            consecutiveFailures: 0,
+            requests: 0,
+            errors: 0,
+            rateLimits: 0,
+            rotations: 0, // failed requests retried on another endpoint
+            opened: 0, // times taken out of rotation
+            latencyMs: null, // moving average of successful requests and health checks
+            slot: null,
+            slotLag: null,
+            lastCheckAt: null,
+            lastError: null
+        }));
+
+        this.proxies = new Map(); // priority -> connection proxy
+        this.connection = this.withPriority('normal');
+    }
+
+    start() {
+        this.checkHealth().catch(error => console.error('Error checking RPC health:', error));
+        this.timer = setInterval(() => {
+            this.checkHealth().catch(error => console.error('Error checking RPC health:', error));
+        }, this.healthCheckMs);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+    }
+
+    withPriority(priority) {
+        if (!this.proxies.has(priority)) {
+            const primary = this.endpoints[0].connection;
+            this.proxies.set(priority, new Proxy(primary, {
+                get: (target, prop) => {
+                    const value = target[prop];
+                    if (typeof value !== 'function') return value;
+                    return (...args) => this.call(connection => connection[prop](...args), { priority });
+                }
+            }));
+        }
+        return this.proxies.get(priority);
+    }
+
+    // Lower is better: latency plus a penalty per slot behind, failures push it down further
+    rank(endpoint) {
+        const latency = endpoint.latencyMs === null ? 1000 : endpoint.latencyMs;
+        const errorRate = endpoint.requests ? endpoint.errors / endpoint.requests : 0;
+        return latency + (endpoint.slotLag || 0) * SLOT_LAG_PENALTY_MS + errorRate * 1000;
+    }
+
+    // An endpoint whose cool-down is over gets the next request as its trial (one at a
+    // time), otherwise the best-ranked closed endpoint
+    pickEndpoint(exclude) {
+        const now = Date.now();
+        for (const endpoint of this.endpoints) {
+            if (endpoint.state === OPEN && now - endpoint.openedAt >= this.cooldownMs) {
+                endpoint.state = HALF_OPEN;
+            }
+        }
+
+        const candidates = this.endpoints.filter(endpoint => !exclude.has(endpoint) &&
+            (endpoint.state === CLOSED || (endpoint.state === HALF_OPEN && !endpoint.trialInFlight)));
+        candidates.sort((a, b) => {
+            if (a.state !== b.state) return a.state === HALF_OPEN ? -1 : 1;
+            return this.rank(a) - this.rank(b);
+        });
+        return candidates[0] || null;
+    }
+
+    async call(fn, { priority = 'normal' } = {}) {
+        const tried = new Set();
+        let lastError = null;
+
+        for (let attempt = 0; attempt < this.maxAttempts; attempt++) {
+            if (this.scheduler) await this.scheduler.acquire(this.budget, priority);
+
+            let endpoint = this.pickEndpoint(tried);
+            if (!endpoint) {
+                // Everything tried or open: start over after a short wait
+                tried.clear();
+                await new Promise(resolve => setTimeout(resolve, Math.min(1000 * Math.pow(2, attempt), 8000)));
+                endpoint = this.pickEndpoint(tried);
+                if (!endpoint) continue;
+            }
+            tried.add(endpoint);
+            if (attempt > 0) {
+                this.stats.totalRotations++;
+                this.stats.lastRotation = Date.now();
+            }
+
+            const trial = endpoint.state === HALF_OPEN;
+            if (trial) endpoint.trialInFlight = true;
+
+            const started = Date.now();
+            this.stats.totalRequests++;
+            endpoint.requests++;
+            try {
+                const result = await this.withTimeout(fn(endpoint.connection));
+                this.recordSuccess(endpoint, Date.now() - started);
+                return result;
+            } catch (error) {
+                if (!isEndpointError(error)) {
+                    // The request itself is bad; the endpoint did its job
+                    this.recordSuccess(endpoint, Date.now() - started);
+                    throw error;
+                }
+                this.recordFailure(endpoint, error);
+                if (attempt < this.maxAttempts - 1) endpoint.rotations++;
+                lastError = error;
+            } finally {
+                if (trial) endpoint.trialInFlight = false;
+            }
+        }
+
+        throw lastError || new Error('No RPC endpoint available');
+    }
+
+    withTimeout(promise) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`RPC request timed out after ${this.requestTimeoutMs}ms`)),
+                this.requestTimeoutMs);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    recordSuccess(endpoint, latencyMs) {
+        endpoint.latencyMs = endpoint.latencyMs === null ? latencyMs : endpoint.latencyMs * 0.8 + latencyMs * 0.2;
+        endpoint.consecutiveFailures = 0;
+        if (endpoint.state !== CLOSED) {
+            console.log(`INFO: RPC endpoint ${endpoint.label} is healthy again`);
+            endpoint.state = CLOSED;
+            endpoint.openedAt = null;
+        }
+    }
+
+    recordFailure(endpoint, error) {
+        this.stats.totalErrors++;
+        endpoint.errors++;
+        endpoint.consecutiveFailures++;
+        endpoint.lastError = String(error?.message || error).slice(0, 200);
+        if (isRateLimit(error)) {
+            this.stats.rateLimitCount++;
+            endpoint.rateLimits++;
+        }
+
+        // A failed trial re-opens straight away
+        if (endpoint.state === HALF_OPEN || endpoint.consecutiveFailures >= this.failureThreshold) {
+            if (endpoint.state !== OPEN) {
+                console.log(`WARN: RPC endpoint ${endpoint.label} taken out of rotation for ${this.cooldownMs / 1000}s: ${endpoint.lastError}`);
+                endpoint.opened++;
+            }
+            endpoint.state = OPEN;
+            endpoint.openedAt = Date.now();
+        }
+    }
+
+    // getSlot on every endpoint, closed or not: open endpoints past their cool-down
+    // close again on a successful check instead of waiting for real traffic. Checks don't
+    // wait in the scheduler, or a backlog would show up as endpoint latency.
+    async checkHealth() {
+        const now = Date.now();
+        await Promise.all(this.endpoints.map(async (endpoint) => {
+            if (endpoint.state === OPEN && now - endpoint.openedAt < this.cooldownMs) return;
+
+            const started = Date.now();
+            try {
+                endpoint.slot = await this.withTimeout(endpoint.connection.getSlot());
+                endpoint.lastCheckAt = Date.now();
+                this.recordSuccess(endpoint, Date.now() - started);
+            } catch (error) {
+                endpoint.lastCheckAt = Date.now();
+                this.recordFailure(endpoint, error);
+            }
+        }));
+
+        const bestSlot = Math.max(...this.endpoints.map(endpoint => endpoint.slot || 0));
+        for (const endpoint of this.endpoints) {
+            endpoint.slotLag = endpoint.slot === null ? null : bestSlot - endpoint.slot;
+        }
+    }
+
+    // For /rpcstatus and /metrics, best first
+    status() {
+        return this.endpoints
+            .map(endpoint => ({
+                label: endpoint.label,
+                state: endpoint.state,
+                requests: endpoint.requests,
+                errors: endpoint.errors,
+                rateLimits: endpoint.rateLimits,
+                rotations: endpoint.rotations,
+                opened: endpoint.opened,
+                latencyMs: endpoint.latencyMs === null ? null : Math.round(endpoint.latencyMs),
+                slot: endpoint.slot,
+                slotLag: endpoint.slotLag,
+                lastCheckAt: endpoint.lastCheckAt,
+                lastError: endpoint.lastError,
+                reopensIn: endpoint.state === OPEN
+                    ? Math.max(0, this.cooldownMs - (Date.now() - endpoint.openedAt))
+                    : null,
+                rank: this.rank(endpoint)
+            }))
+            .sort((a, b) => a.rank - b.rank);
+    }
+}
+
+module.exports = { RpcPool, isRateLimit, isEndpointError };
@@ -0,0 +1,274 @@
+const axios = require('axios');
+const { PublicKey } = require('@solana/web3.js');
+
+const RAYDIUM_AMM_V4 = '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8';
+const PUMP_FUN_PROGRAM = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+const ASSOCIATED_TOKEN_PROGRAM = 'ATokenGPvbd3y4uMzhhTkoTnTqXjHmB4LCkmHPhAz7C1';
+
+// Raydium AMM v4 pool state (LIQUIDITY_STATE_LAYOUT_V4): 752 bytes, with the vaults,
+// mints and the LP amount the pool has issued at fixed offsets
+const RAYDIUM_V4_POOL_SIZE = 752;
+const RAYDIUM_V4_OFFSETS = {
+    baseVault: 336,
+    quoteVault: 368,
+    baseMint: 400,
+    quoteMint: 432,
+    lpMint: 464,
+    lpReserve: 720
+};
+
+// Points added to the risk score (0-100) per finding. Checks that couldn't run add nothing.
+const RISK_POINTS = {
+    mintAuthority: 30,
+    freezeAuthority: 25,
+    concentrationHigh: 20, // top 10 hold more than 50%
+    concentrationMedium: 10, // more than 30%
+    lpNotBurned: 20, // less than 90% of the Raydium LP burned or locked
+    serialDeployer: 15 // deployer launched 10 or more other tokens
+};
+
+function associatedTokenAddress(owner, mint, tokenProgram) {
+    return PublicKey.findProgramAddressSync(
+        [owner.toBuffer(), new PublicKey(tokenProgram).toBuffer(), mint.toBuffer()],
+        new PublicKey(ASSOCIATED_TOKEN_PROGRAM)
+    )[0].toString();
+}
+
+// Reads a token's mint, holders, Raydium pool and deployer history from chain (and
+// DAS for the deployer) and scores how easy it would be to rug. Reports are cached
+// per mint, and concurrent checks of the same mint share one lookup.
+class SafetyChecker {
+    constructor({ getConnection, dasUrl = null, scheduler = null, cacheMs = 5 * 60 * 1000 }) {
+        this.getConnection = getConnection;
+        this.dasUrl = dasUrl; // Helius RPC URL; without it the deployer check is skipped
+        this.scheduler = scheduler; // DAS requests count against its 'helius' budget
+        this.cacheMs = cacheMs;
+        this.cache = new Map(); // mint -> { report, timestamp } or { promise }
+    }
+
+    async check(tokenAddress, deployer = null) {
+        const cached = this.cache.get(tokenAddress);
+        if (cached?.promise) return cached.promise;
+        if (cached && Date.now() - cached.timestamp < this.cacheMs) return cached.report;
+
+        const promise = this.runChecks(tokenAddress, deployer)
+            .then(report => {
+                this.cache.set(tokenAddress, { report, timestamp: Date.now() });
+                return report;
+            })
+            .catch(error => {
+                this.cache.delete(tokenAddress);
+                throw error;
+            });
+        this.cache.set(tokenAddress, { promise });
+        return promise;
+    }
+
+    async runChecks(tokenAddress, deployer) {
+        const mint = new PublicKey(tokenAddress);
+        const mintData = await this.checkMint(mint);
+        const pool = await this.checkRaydiumPool(tokenAddress);
+        const holders = await this.checkHolders(mint, mintData, pool);
+        const deployerTokens = deployer ? await this.countDeployerTokens(deployer, tokenAddress) : null;
+
+        const findings = [];
+        let score = 0;
+        const add = (points, text) => {
+            score += points;
+            findings.push(text);
+        };
+
+        if (mintData?.mintAuthority) add(RISK_POINTS.mintAuthority, 'Mint authority not revoked');
+        if (mintData?.freezeAuthority) add(RISK_POINTS.freezeAuthority, 'Freeze authority not revoked');
+        if (holders && holders.top10Share > 0.5) {
+            add(RISK_POINTS.concentrationHigh, `Top 10 holders own ${(holders.top10Share * 100).toFixed(1)}%`);
+        } else if (holders && holders.top10Share > 0.3) {
+            add(RISK_POINTS.concentrationMedium, `Top 10 holders own ${(holders.top10Share * 100).toFixed(1)}%`);
+        }
+        if (pool && pool.lpBurned !== null && pool.lpBurned + (pool.lpLocked || 0) < 0.9) {
+            add(RISK_POINTS.lpNotBurned, `Only ${((pool.lpBurned + (pool.lpLocked || 0)) * 100).toFixed(1)}% of LP burned or locked`);
+        }
+        if (deployerTokens !== null && deployerTokens >= 10) {
+            add(RISK_POINTS.serialDeployer, `Deployer launched ${deployerTokens}${deployerTokens >= 100 ? '+' : ''} other tokens`);
+        }
+
+        return {
+            tokenAddress,
+            score: Math.min(score, 100),
+            findings,
+            mintAuthority: mintData ? mintData.mintAuthority : undefined,
+            freezeAuthority: mintData ? mintData.freezeAuthority : undefined,
+            top10Share: holders ? holders.top10Share : null,
+            pool,
+            deployer,
+            deployerTokens,
+            checkedAt: Date.now()
+        };
+    }
+
+    async checkMint(mint) {
+        try {
+            const { value } = await this.getConnection().getParsedAccountInfo(mint);
+            const info = value?.data?.parsed?.info;
+            if (!info) return null;
+            return {
+                programId: value.owner.toString(),
+                mintAuthority: info.mintAuthority || null,
+                freezeAuthority: info.freezeAuthority || null,
+                supply: Number(info.supply) / Math.pow(10, info.decimals)
+            };
+        } catch (error) {
+            console.log(`Safety: mint lookup failed for ${mint.toString().slice(0, 8)}...: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Share of supply in the 10 largest accounts, leaving out the accounts that hold
+    // liquidity (pump.fun bonding curve, Raydium pool vault) since those aren't holders
+    async checkHolders(mint, mintData, pool) {
+        if (!mintData || !mintData.supply) return null;
+
+        try {
+            const excluded = new Set();
+            if (pool) excluded.add(pool.tokenVault);
+            const [bondingCurve] = PublicKey.findProgramAddressSync(
+                [Buffer.from('bonding-curve'), mint.toBuffer()], new PublicKey(PUMP_FUN_PROGRAM));
+            excluded.add(associatedTokenAddress(bondingCurve, mint, mintData.programId));
+
+            const { value } = await this.getConnection().getTokenLargestAccounts(mint);
+            const top10 = value
+                .filter(account => !excluded.has(account.address.toString()))
+                .slice(0, 10)
+                .reduce((sum, account) => sum + (account.uiAmount || 0), 0);
+            return { top10Share: top10 / mintData.supply };
+        } catch (error) {
+            console.log(`Safety: holder lookup failed for ${mint.toString().slice(0, 8)}...: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Finds the token's Raydium v4 pool against any quote and compares the LP supply still
+    // in circulation with what the pool issued. LP that isn't burned but sits in a locker
+    // counts as locked (see checkLockedLp).
+    async checkRaydiumPool(tokenAddress) {
+        try {
+            const connection = this.getConnection();
+
+            // The token is usually the pool's base mint, but some pools are created the other way round
+            let pool = null;
+            let vaultOffset = null;
+            for (const [mintOffset, tokenVaultOffset] of [
+                [RAYDIUM_V4_OFFSETS.baseMint, RAYDIUM_V4_OFFSETS.baseVault],
+                [RAYDIUM_V4_OFFSETS.quoteMint, RAYDIUM_V4_OFFSETS.quoteVault]
+            ]) {
+                const accounts = await connection.getProgramAccounts(new PublicKey(RAYDIUM_AMM_V4), {
+                    filters: [
+                        { dataSize: RAYDIUM_V4_POOL_SIZE },
+                        { memcmp: { offset: mintOffset, bytes: tokenAddress } }
+                    ]
+                });
+                if (accounts.length > 0) {
+                    pool = accounts[0];
+                    vaultOffset = tokenVaultOffset;
+                    break;
+                }
+            }
+            if (!pool) return null; // still on a bonding curve, or another AMM
+
+            const data = pool.account.data;
+            const readKey = offset => new PublicKey(data.subarray(offset, offset + 32)).toString();
+            const lpMint = readKey(RAYDIUM_V4_OFFSETS.lpMint);
+            const lpReserve = Number(data.readBigUInt64LE(RAYDIUM_V4_OFFSETS.lpReserve));
+
+            const { value: lpSupply } = await connection.getTokenSupply(new PublicKey(lpMint));
+            const lpLocked = lpReserve > 0 && Number(lpSupply.amount) > 0
+                ? await this.checkLockedLp(lpMint, lpReserve)
+                : 0;
+            return {
+                address: pool.pubkey.toString(),
+                tokenVault: readKey(vaultOffset),
+                lpMint,
+                lpBurned: lpReserve > 0 ? Math.max(0, 1 - Number(lpSupply.amount) / lpReserve) : null,
+                lpLocked
+            };
+        } catch (error) {
+            // Many RPC providers refuse getProgramAccounts on the Raydium program
+            console.log(`Safety: Raydium pool lookup failed for ${tokenAddress.slice(0, 8)}...: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Share of the issued LP held by program-owned accounts. Lockers (Streamflow, UNCX,
+    // Team Finance and the like) keep LP in token accounts whose authority is a PDA of
+    // their program, which has no private key, while a wallet's authority is always on
+    // the ed25519 curve. Only the largest LP accounts are looked at; null if the lookup fails.
+    async checkLockedLp(lpMint, lpReserve) {
+        try {
+            const connection = this.getConnection();
+            const { value: largest } = await connection.getTokenLargestAccounts(new PublicKey(lpMint));
+            if (largest.length === 0) return 0;
+
+            const accounts = await connection.getMultipleParsedAccounts(largest.map(account => account.address));
+            let locked = 0;
+            largest.forEach((account, index) => {
+                const owner = accounts.value[index]?.data?.parsed?.info?.owner;
+                if (owner && !PublicKey.isOnCurve(new PublicKey(owner).toBytes())) {
+                    locked += Number(account.amount);
+                }
+            });
+            return Math.min(1, locked / lpReserve);
+        } catch (error) {
+            console.log(`Safety: LP holder lookup failed for ${lpMint.slice(0, 8)}...: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Fungible assets the deployer is creator or authority of, other than this one (max 100)
+    async countDeployerTokens(deployer, tokenAddress) {
+        if (!this.dasUrl) return null;
+
+        try {
+            const mints = new Set();
+            for (const [method, param] of [['getAssetsByCreator', 'creatorAddress'], ['getAssetsByAuthority', 'authorityAddress']]) {
+                if (this.scheduler) await this.scheduler.acquire('helius', 'alert');
+                const response = await axios.post(this.dasUrl, {
+                    jsonrpc: '2.0',
+                    id: 'safety',
+                    method,
+                    params: { [param]: deployer, page: 1, limit: 100 }
+                }, { timeout: 10000 });
+                for (const asset of response.data?.result?.items || []) {
+                    if (String(asset.interface).startsWith('Fungible') && asset.id !== tokenAddress) {
+                        mints.add(asset.id);
+                    }
+                }
+            }
+            return Math.min(mints.size, 100);
+        } catch (error) {
+            console.log(`Safety: deployer lookup failed for ${deployer.slice(0, 8)}...: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Lines for the alert's risk section
+    static formatReport(report) {
+        const status = (value, label) => value === undefined ? `${label}: unknown`
+            : value ? `${label}: ⚠️ active` : `${label}: ✅ revoked`;
+
+        const lines = [
+            status(report.mintAuthority, 'Mint authority'),
+            status(report.freezeAuthority, 'Freeze authority'),
+            `Top 10 holders: ${report.top10Share === null ? 'unknown' : `${(report.top10Share * 100).toFixed(1)}%`}`,
+            `Raydium LP: ${!report.pool ? 'no v4 pool' : report.pool.lpBurned === null ? 'unknown'
+                : `${(report.pool.lpBurned * 100).toFixed(1)}% burned` +
+                    (report.pool.lpLocked ? `, ${(report.pool.lpLocked * 100).toFixed(1)}% locked` : '')}`
+        ];
+        if (report.deployer) {
+            lines.push(`Deployer tokens: ${report.deployerTokens === null ? 'unknown'
+                : `${report.deployerTokens}${report.deployerTokens >= 100 ? '+' : ''}`}`);
+        }
+        return lines;
+    }
+}
+
+module.exports = { SafetyChecker, RISK_POINTS };
@@ -0,0 +1,112 @@
+// Request priorities, most urgent first:
+//   alert:      work an alert is waiting on (transactions of wallets with an open
+//               confluence window, token data and safety checks for a detected buy)
+//   normal:     regular polling and user commands
+//   background: performance sampling, wallet profiling
+const PRIORITIES = ['alert', 'normal', 'background'];
+
+// Shares each provider's request budget between everything in the bot. A provider has
+// a token bucket (ratePerSecond, holding up to burst tokens); acquire() waits for a token,
+// and waiting requests are granted strictly by priority, oldest first within a priority.
+// A name without a budget isn't limited.
+class RequestScheduler {
+    constructor({ budgets = {} } = {}) {
+        this.budgets = new Map();
+        for (const [name, budget] of Object.entries(budgets)) {
+            this.addBudget(name, budget);
+        }
+    }
+
+    addBudget(name, { ratePerSecond, burst = ratePerSecond }) {
+        const stats = {};
+        for (const priority of PRIORITIES) {
+            stats[priority] = { granted: 0, totalWaitMs: 0, maxWaitMs: 0 };
+        }
+        this.budgets.set(name, {
+            ratePerSecond,
+            burst: Math.max(1, burst),
+            tokens: Math.max(1, burst),
+            refilledAt: Date.now(),
+            queues: Object.fromEntries(PRIORITIES.map(priority => [priority, []])),
+            timer: null,
+            stats
+        });
+    }
+
+    acquire(name, priority = 'normal') {
+        const budget = this.budgets.get(name);
+        if (!budget) return Promise.resolve();
+        if (!budget.queues[priority]) priority = 'normal';
+
+        return new Promise(resolve => {
+            budget.queues[priority].push({ resolve, queuedAt: Date.now() });
+            this.drain(budget);
+        });
+    }
+
+    async run(name, priority, fn) {
+        await this.acquire(name, priority);
+        return fn();
+    }
+
+    refill(budget, now) {
+        budget.tokens = Math.min(budget.burst, budget.tokens + (now - budget.refilledAt) / 1000 * budget.ratePerSecond);
+        budget.refilledAt = now;
+    }
+
+    drain(budget) {
+        const now = Date.now();
+        this.refill(budget, now);
+
+        while (budget.tokens >= 1) {
+            const priority = PRIORITIES.find(name => budget.queues[name].length > 0);
+            if (!priority) return;
+
+            const request = budget.queues[priority].shift();
+            budget.tokens -= 1;
+
+            const waitMs = now - request.queuedAt;
+            const stats = budget.stats[priority];
+            stats.granted++;
+            stats.totalWaitMs += waitMs;
+            stats.maxWaitMs = Math.max(stats.maxWaitMs, waitMs);
+            request.resolve();
+        }
+
+        // Come back when the next token is due
+        if (!budget.timer && PRIORITIES.some(name => budget.queues[name].length > 0)) {
+            const delay = Math.ceil((1 - budget.tokens) / budget.ratePerSecond * 1000);
+            budget.timer = setTimeout(() => {
+                budget.timer = null;
+                this.drain(budget);
+            }, delay);
+        }
+    }
+
+    // Queue depth and wait times per budget and priority, for /queues
+    status() {
+        const now = Date.now();
+        return Array.from(this.budgets, ([name, budget]) => {
+            this.refill(budget, now);
+            return {
+                name,
+                ratePerSecond: budget.ratePerSecond,
+                tokens: Math.floor(budget.tokens),
+                priorities: PRIORITIES.map(priority => {
+                    const queue = budget.queues[priority];
+                    const stats = budget.stats[priority];
+                    return {
+                        priority,
+                        queued: queue.length,
+                        oldestWaitMs: queue.length > 0 ? now - queue[0].queuedAt : 0,
+                        granted: stats.granted,
+                        averageWaitMs: stats.granted ? Math.round(stats.totalWaitMs / stats.granted) : 0,
+                        maxWaitMs: stats.maxWaitMs
+                    };
+                })
+            };
+        });
+    }
+}
+
+module.exports = { RequestScheduler, PRIORITIES };
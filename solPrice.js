@@ -0,0 +1,89 @@
+const { PublicKey } = require('@solana/web3.js');
+const { parsePriceData } = require('@pythnetwork/client');
+
+// Pyth SOL/USD price account on mainnet
+const PYTH_SOL_USD_ACCOUNT = 'H6ARHf6YXhGYeQfUzQNGk6rDNnLBQKrenN712K4AQJEG';
+
+// SOL/USD from the Pyth price account, refreshed in the background so callers can
+// read it synchronously. A price older than maxStalenessSeconds, or one Pyth isn't
+// reporting as trading, is treated as no price at all.
+class SolPriceFeed {
+    constructor({ getConnection, priceAccount = PYTH_SOL_USD_ACCOUNT, refreshMs = 30000, maxStalenessSeconds = 120 }) {
+        this.getConnection = getConnection;
+        this.priceAccount = new PublicKey(priceAccount);
+        this.refreshMs = refreshMs;
+        this.maxStalenessSeconds = maxStalenessSeconds;
+
+        this.latest = null; // { price, confidence, publishedAt (ms), fetchedAt (ms) }
+        this.lastError = null;
+        this.timer = null;
+        this.inFlight = null;
+    }
+
+    start() {
+        this.refresh().catch(() => {});
+        this.timer = setInterval(() => this.refresh().catch(() => {}), this.refreshMs);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+    }
+
+    // Concurrent refreshes share one account read
+    refresh() {
+        if (!this.inFlight) {
+            this.inFlight = this.fetchPrice().finally(() => { this.inFlight = null; });
+        }
+        return this.inFlight;
+    }
+
+    async fetchPrice() {
+        try {
+            const account = await this.getConnection().getAccountInfo(this.priceAccount);
+            if (!account) throw new Error('price account not found');
+
+            const data = parsePriceData(Buffer.from(account.data));
+            if (data.price === undefined) throw new Error('price is not currently trading');
+
+            this.latest = {
+                price: data.price,
+                confidence: data.confidence,
+                publishedAt: Number(data.timestamp) * 1000,
+                fetchedAt: Date.now()
+            };
+            this.lastError = null;
+            return this.latest.price;
+        } catch (error) {
+            this.lastError = error.message;
+            console.log(`Error reading Pyth SOL/USD price: ${error.message}`);
+            throw error;
+        }
+    }
+
+    isStale(now = Date.now()) {
+        return !this.latest || now - this.latest.publishedAt > this.maxStalenessSeconds * 1000;
+    }
+
+    // Latest fresh price, or null
+    current() {
+        return this.isStale() ? null : this.latest.price;
+    }
+
+    // For callers that can wait: refreshes first if the cached price is stale
+    async getPrice() {
+        if (this.isStale()) {
+            await this.refresh().catch(() => {});
+        }
+        return this.current();
+    }
+
+    // "≈$123.45" for an amount of SOL, or '' without a fresh price
+    formatUsd(sol) {
+        const price = this.current();
+        if (price === null || sol === null || sol === undefined) return '';
+        const usd = sol * price;
+        return `≈$${usd >= 1000 ? Math.round(usd).toLocaleString() : usd.toFixed(2)}`;
+    }
+}
+
+module.exports = { SolPriceFeed, PYTH_SOL_USD_ACCOUNT };
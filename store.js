@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+
+// Maps and Sets don't survive JSON.stringify, so tag them on the way out
+// and rebuild them on the way back in.
+function replacer(key, value) {
+    if (value instanceof Map) {
+        return { __type: 'Map', entries: Array.from(value.entries()) };
+    }
+    if (value instanceof Set) {
+        return { __type: 'Set', values: Array.from(value.values()) };
+    }
+    return value;
+}
+
+function reviver(key, value) {
+    if (value && typeof value === 'object') {
+        if (value.__type === 'Map' && Array.isArray(value.entries)) {
+            return new Map(value.entries);
+        }
+        if (value.__type === 'Set' && Array.isArray(value.values)) {
+            return new Set(value.values);
+        }
+    }
+    return value;
+}
+
+function serialize(data) {
+    return JSON.stringify(data, replacer);
+}
+
+function deserialize(text) {
+    return JSON.parse(text, reviver);
+}
+
+// Small JSON file store. Writes go to a temp file first and are renamed into
+// place, so a crash mid-write never leaves a truncated state file behind.
+class JsonStore {
+    constructor(filePath, { debounceMs = 1000 } = {}) {
+        this.filePath = filePath;
+        this.debounceMs = debounceMs;
+        this.saveTimer = null;
+        this.pendingSnapshot = null;
+        this.writing = Promise.resolve();
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) {
+                return null;
+            }
+            return deserialize(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            console.error(`ERROR: Could not read state file ${this.filePath}:`, error);
+            return null;
+        }
+    }
+
+    // Debounced save: bursts of changes (e.g. a poll cycle) collapse into one write.
+    // getSnapshot is called when the write actually happens so the latest state is used.
+    scheduleSave(getSnapshot) {
+        this.pendingSnapshot = getSnapshot;
+        if (this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            const snapshot = this.pendingSnapshot;
+            this.pendingSnapshot = null;
+            this.writing = this.writing
+                .then(() => this.save(snapshot()))
+                .catch(error => console.error('ERROR: Failed to save state:', error));
+        }, this.debounceMs);
+    }
+
+    async save(data) {
+        const text = serialize(data);
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, text, 'utf8');
+        await fs.promises.rename(tmpPath, this.filePath);
+    }
+
+    // Used on shutdown, where we can't wait for the event loop.
+    flushSync(getSnapshot) {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        const snapshot = getSnapshot || this.pendingSnapshot;
+        this.pendingSnapshot = null;
+        if (!snapshot) return;
+
+        const tmpPath = `${this.filePath}.${process.pid}.sync.tmp`;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(tmpPath, serialize(snapshot()), 'utf8');
+        fs.renameSync(tmpPath, this.filePath);
+    }
+}
+
+module.exports = { JsonStore, serialize, deserialize };
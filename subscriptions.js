@@ -0,0 +1,172 @@
+const WebSocket = require('ws');
+
+// Derives the websocket endpoint from an HTTP RPC URL (https -> wss, http -> ws)
+function toWebSocketUrl(httpUrl) {
+    return httpUrl.replace(/^http(s?):\/\//, (match, secure) => `ws${secure}://`);
+}
+
+// Keeps one persistent websocket to the RPC node and a logsSubscribe (mentions
+// filter) per address. Reconnects with exponential backoff and resubscribes
+// everything afterwards. Callers check isConnected() to decide whether they
+// still need to poll.
+class LogsSubscriptionManager {
+    constructor(url, { onLogs, onStatusChange, commitment = 'confirmed', pingIntervalMs = 30000 } = {}) {
+        this.url = url;
+        this.onLogs = onLogs || (() => {});
+        this.onStatusChange = onStatusChange || (() => {});
+        this.commitment = commitment;
+        this.pingIntervalMs = pingIntervalMs;
+
+        this.ws = null;
+        this.connected = false;
+        this.closedByUs = false;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.pingTimer = null;
+
+        this.nextRequestId = 1;
+        this.addresses = new Set();           // everything we want subscribed
+        this.pendingRequests = new Map();     // request id -> address
+        this.subscriptionIds = new Map();     // address -> subscription id
+        this.addressBySubscription = new Map(); // subscription id -> address
+    }
+
+    isConnected() {
+        return this.connected;
+    }
+
+    start() {
+        this.closedByUs = false;
+        this.connect();
+    }
+
+    stop() {
+        this.closedByUs = true;
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.pingTimer);
+        if (this.ws) this.ws.terminate();
+        this.setConnected(false);
+    }
+
+    connect() {
+        const ws = new WebSocket(this.url);
+        this.ws = ws;
+
+        ws.on('open', () => {
+            console.log(`INFO: Logs websocket connected to ${this.url.split('?')[0]}`);
+            this.reconnectAttempts = 0;
+            this.setConnected(true);
+
+            // Subscription ids don't survive a reconnect, so subscribe everything again
+            this.pendingRequests.clear();
+            this.subscriptionIds.clear();
+            this.addressBySubscription.clear();
+            for (const address of this.addresses) {
+                this.sendSubscribe(address);
+            }
+
+            clearInterval(this.pingTimer);
+            this.pingTimer = setInterval(() => {
+                if (ws.readyState === WebSocket.OPEN) ws.ping();
+            }, this.pingIntervalMs);
+        });
+
+        ws.on('message', (data) => this.handleMessage(data));
+
+        ws.on('error', (error) => {
+            console.error('Logs websocket error:', error.message);
+        });
+
+        ws.on('close', () => {
+            clearInterval(this.pingTimer);
+            if (this.ws !== ws) return;
+            this.setConnected(false);
+            if (!this.closedByUs) this.scheduleReconnect();
+        });
+    }
+
+    scheduleReconnect() {
+        const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), 60000);
+        this.reconnectAttempts++;
+        console.log(`Logs websocket disconnected. Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    setConnected(connected) {
+        if (this.connected === connected) return;
+        this.connected = connected;
+        this.onStatusChange(connected);
+    }
+
+    subscribe(address) {
+        if (this.addresses.has(address)) return;
+        this.addresses.add(address);
+        if (this.connected) this.sendSubscribe(address);
+    }
+
+    unsubscribe(address) {
+        if (!this.addresses.delete(address)) return;
+
+        const subscriptionId = this.subscriptionIds.get(address);
+        if (subscriptionId === undefined) return;
+
+        this.subscriptionIds.delete(address);
+        this.addressBySubscription.delete(subscriptionId);
+        if (this.connected) {
+            this.send('logsUnsubscribe', [subscriptionId]);
+        }
+    }
+
+    sendSubscribe(address) {
+        const id = this.send('logsSubscribe', [{ mentions: [address] }, { commitment: this.commitment }]);
+        this.pendingRequests.set(id, address);
+    }
+
+    send(method, params) {
+        const id = this.nextRequestId++;
+        this.ws.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+        return id;
+    }
+
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            console.error('Logs websocket sent invalid JSON:', error.message);
+            return;
+        }
+
+        // Reply to a logsSubscribe request
+        if (message.id !== undefined && this.pendingRequests.has(message.id)) {
+            const address = this.pendingRequests.get(message.id);
+            this.pendingRequests.delete(message.id);
+
+            if (message.error) {
+                console.error(`logsSubscribe failed for ${address.slice(0, 8)}...:`, message.error.message);
+                return;
+            }
+            if (!this.addresses.has(address)) {
+                // Unsubscribed while the request was in flight
+                this.send('logsUnsubscribe', [message.result]);
+                return;
+            }
+            this.subscriptionIds.set(address, message.result);
+            this.addressBySubscription.set(message.result, address);
+            return;
+        }
+
+        if (message.method === 'logsNotification') {
+            const { subscription, result } = message.params;
+            const address = this.addressBySubscription.get(subscription);
+            if (!address) return;
+
+            const { signature, err } = result.value;
+            this.onLogs(address, signature, err);
+        }
+    }
+}
+
+module.exports = { LogsSubscriptionManager, toWebSocketUrl };
@@ -0,0 +1,225 @@
+const LAMPORTS_PER_SOL = 1e9;
+const BASE_FEE_LAMPORTS = 5000; // per signature
+
+// Native SOL and wrapped SOL are reported under the same mint
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const USDT_MINT = 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB';
+
+// Mints we treat as the "money" side of a trade
+const QUOTE_MINTS = {
+    [SOL_MINT]: 'SOL',
+    [USDC_MINT]: 'USDC',
+    [USDT_MINT]: 'USDT'
+};
+
+// Program id -> venue name. Aggregators come first so a Jupiter route is reported as
+// Jupiter even though it also touches the pools it routed through.
+const AGGREGATOR_PROGRAMS = {
+    'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4': 'Jupiter'
+};
+const VENUE_PROGRAMS = {
+    '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P': 'Pump.fun',
+    'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA': 'Pump AMM',
+    '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': 'Raydium AMM v4',
+    'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK': 'Raydium CLMM',
+    'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C': 'Raydium CPMM',
+    'LanMV9sAd7wArD4vJFi2qDdfnVhFxYSUg6eADduJ3uj': 'Raydium LaunchLab',
+    'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc': 'Orca Whirlpool',
+    'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo': 'Meteora DLMM',
+    'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB': 'Meteora Pools',
+    'cpamdpZCGKUy5JxQXB4dcpGPiikHawvSWAd6mEn1sGG': 'Meteora DAMM v2',
+    'dbcij3LWUppWqq96dh6gJWwBifmcGfLSB5D4DuSMaqN': 'Meteora DBC'
+};
+
+// SOL moves smaller than this are tips and rounding, not a trade leg
+const SOL_DUST = 0.000001;
+
+// Full account key list of a getTransaction response as strings: static keys, then
+// addresses loaded from lookup tables (writable first), matching the indexes used
+// by instructions and token balances
+function accountKeysOf(tx) {
+    const message = tx.transaction.message;
+    const keys = message.staticAccountKeys || message.accountKeys || [];
+    const loaded = tx.meta?.loadedAddresses || { writable: [], readonly: [] };
+
+    return [...keys, ...(loaded.writable || []), ...(loaded.readonly || [])]
+        .map(key => (key && key.pubkey ? key.pubkey : key).toString());
+}
+
+// Program ids of every top-level and inner instruction
+function invokedPrograms(tx, accountKeys) {
+    const message = tx.transaction.message;
+    const instructions = [
+        ...(message.compiledInstructions || message.instructions || []),
+        ...(tx.meta?.innerInstructions || []).flatMap(inner => inner.instructions)
+    ];
+
+    const programs = new Set();
+    for (const ix of instructions) {
+        const programId = ix.programId ? ix.programId.toString() : accountKeys[ix.programIdIndex];
+        if (programId) programs.add(programId);
+    }
+    return programs;
+}
+
+function identifyVenue(programs) {
+    const venues = [];
+    for (const programId of programs) {
+        if (VENUE_PROGRAMS[programId]) venues.push(VENUE_PROGRAMS[programId]);
+    }
+    for (const programId of programs) {
+        if (AGGREGATOR_PROGRAMS[programId]) return { venue: AGGREGATOR_PROGRAMS[programId], route: venues };
+    }
+    return { venue: venues[0] || 'Unknown', route: venues };
+}
+
+function rawAmount(balance) {
+    const { amount, decimals } = balance.uiTokenAmount || {};
+    if (amount === undefined) return 0;
+    return Number(amount) / Math.pow(10, decimals || 0);
+}
+
+// Net balance change per mint for token accounts the wallet owns, plus the lamports
+// it paid to open or got back from closing them (rent, not trading)
+function walletTokenDeltas(tx, walletAddress) {
+    const meta = tx.meta;
+    const pre = new Map();
+    const post = new Map();
+    for (const bal of meta.preTokenBalances || []) {
+        if (bal.owner === walletAddress) pre.set(bal.accountIndex, bal);
+    }
+    for (const bal of meta.postTokenBalances || []) {
+        if (bal.owner === walletAddress) post.set(bal.accountIndex, bal);
+    }
+
+    const deltas = new Map();
+    const programs = new Map(); // mint -> token program (Tokenkeg or Token-2022)
+    let rentPaid = 0;
+    let rentRefunded = 0;
+
+    for (const index of new Set([...pre.keys(), ...post.keys()])) {
+        const before = pre.get(index);
+        const after = post.get(index);
+        const mint = (after || before).mint;
+        const amountBefore = before ? rawAmount(before) : 0;
+        const amountAfter = after ? rawAmount(after) : 0;
+        deltas.set(mint, (deltas.get(mint) || 0) + amountAfter - amountBefore);
+        if ((after || before).programId) programs.set(mint, (after || before).programId);
+
+        // A wSOL account's lamports are rent plus the wrapped amount
+        const wrappedBefore = mint === SOL_MINT ? Math.round(amountBefore * LAMPORTS_PER_SOL) : 0;
+        const wrappedAfter = mint === SOL_MINT ? Math.round(amountAfter * LAMPORTS_PER_SOL) : 0;
+        if (!before && after) {
+            rentPaid += (meta.postBalances[index] || 0) - wrappedAfter;
+        } else if (before && !after) {
+            rentRefunded += (meta.preBalances[index] || 0) - wrappedBefore;
+        }
+    }
+
+    return { deltas, programs, rentPaid, rentRefunded };
+}
+
+function pickLargest(entries, sign) {
+    let best = null;
+    for (const [mint, delta] of entries) {
+        if (delta * sign <= 0) continue;
+        if (!best || Math.abs(delta) > Math.abs(best.delta)) best = { mint, delta };
+    }
+    return best;
+}
+
+// Stablecoin legs win over SOL: the SOL balance also moves for tips and bot fees,
+// stablecoins only move when they're traded
+function pickQuoteLeg(quoteDeltas, sign) {
+    const legs = Array.from(quoteDeltas).filter(([mint, delta]) =>
+        delta * sign > (mint === SOL_MINT ? SOL_DUST : 0));
+    const stable = pickLargest(legs.filter(([mint]) => mint !== SOL_MINT), sign);
+    return stable || pickLargest(legs, sign);
+}
+
+// Decodes a getTransaction response (maxSupportedTransactionVersion: 0) into a swap
+// event from walletAddress's side:
+//   { side: 'buy' | 'sell' | 'swap', inputMint, inputAmount, outputMint, outputAmount,
+//     inputProgram, outputProgram, venue, route, fee, priorityFee }
+// Amounts are in UI units (SOL, not lamports). Buys and sells are against SOL, wSOL,
+// USDC or USDT; 'swap' is token to token. The *Program fields name the token program
+// (classic or Token-2022) when the RPC reports it, and are null for native SOL. Returns null for anything that isn't a swap.
+function decodeSwap(tx, walletAddress) {
+    if (!tx || !tx.meta || tx.meta.err) return null;
+
+    const accountKeys = accountKeysOf(tx);
+    const walletIndex = accountKeys.indexOf(walletAddress);
+    const { deltas, programs, rentPaid, rentRefunded } = walletTokenDeltas(tx, walletAddress);
+
+    // Network fees, split into the base and priority part
+    const feeLamports = tx.meta.fee || 0;
+    const numSignatures = tx.transaction.message.header?.numRequiredSignatures
+        || tx.transaction.signatures?.length || 1;
+    const priorityLamports = Math.max(0, feeLamports - BASE_FEE_LAMPORTS * numSignatures);
+
+    // Native SOL traded: the wallet's own lamport change, without the fee (only the fee
+    // payer at index 0 pays it) and without token account rent
+    let lamports = 0;
+    if (walletIndex !== -1) {
+        lamports = tx.meta.postBalances[walletIndex] - tx.meta.preBalances[walletIndex];
+        if (walletIndex === 0) lamports += feeLamports;
+        lamports += rentPaid - rentRefunded;
+    }
+
+    // Wrapped SOL counts as SOL
+    const solDelta = lamports / LAMPORTS_PER_SOL + (deltas.get(SOL_MINT) || 0);
+    deltas.delete(SOL_MINT);
+    programs.delete(SOL_MINT);
+
+    const quoteDeltas = new Map([[SOL_MINT, solDelta]]);
+    const tokenDeltas = new Map();
+    for (const [mint, delta] of deltas) {
+        if (delta === 0) continue;
+        (QUOTE_MINTS[mint] ? quoteDeltas : tokenDeltas).set(mint, delta);
+    }
+
+    const received = pickLargest(tokenDeltas, 1);
+    const sent = pickLargest(tokenDeltas, -1);
+    let side = null;
+    let input = null;
+    let output = null;
+
+    // Token in and token out is a token-to-token swap, even if a tip moved some SOL
+    if (sent && received) {
+        side = 'swap';
+        input = sent;
+        output = received;
+    } else if (received && (input = pickQuoteLeg(quoteDeltas, -1))) {
+        side = 'buy';
+        output = received;
+    } else if (sent && (output = pickQuoteLeg(quoteDeltas, 1))) {
+        side = 'sell';
+        input = sent;
+    } else {
+        return null;
+    }
+
+    const { venue, route } = identifyVenue(invokedPrograms(tx, accountKeys));
+    return {
+        side,
+        inputMint: input.mint,
+        inputAmount: Math.abs(input.delta),
+        outputMint: output.mint,
+        outputAmount: Math.abs(output.delta),
+        inputProgram: programs.get(input.mint) || null,
+        outputProgram: programs.get(output.mint) || null,
+        venue,
+        route,
+        fee: feeLamports / LAMPORTS_PER_SOL,
+        priorityFee: priorityLamports / LAMPORTS_PER_SOL
+    };
+}
+
+module.exports = {
+    decodeSwap,
+    SOL_MINT,
+    USDC_MINT,
+    USDT_MINT,
+    QUOTE_MINTS
+};
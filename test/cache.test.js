@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { TokenCache } = require('../cache');
+
+// A load that resolves only when the test says so
+function deferredLoad(value) {
+    let resolve;
+    const promise = new Promise(done => { resolve = () => done(value); });
+    const load = () => {
+        load.calls++;
+        return promise;
+    };
+    load.calls = 0;
+    load.resolve = resolve;
+    return load;
+}
+
+function market() {
+    return new TokenCache({ namespaces: { market: { ttlMs: 60000 } } });
+}
+
+test('concurrent lookups at the same priority share one load', async () => {
+    const cache = market();
+    const load = deferredLoad({ priceUsd: 1 });
+
+    const first = cache.getOrLoad('market', 'mint', load, { priority: 'normal' });
+    const second = cache.getOrLoad('market', 'mint', load, { priority: 'normal' });
+    load.resolve();
+
+    assert.deepStrictEqual(await Promise.all([first, second]), [{ priceUsd: 1 }, { priceUsd: 1 }]);
+    assert.strictEqual(load.calls, 1);
+    assert.strictEqual(cache.status()[0].coalesced, 1);
+});
+
+test('a less urgent lookup joins a running alert load', async () => {
+    const cache = market();
+    const load = deferredLoad({ priceUsd: 1 });
+
+    const alert = cache.getOrLoad('market', 'mint', load, { priority: 'alert' });
+    const background = cache.getOrLoad('market', 'mint', load, { priority: 'background' });
+    load.resolve();
+
+    await Promise.all([alert, background]);
+    assert.strictEqual(load.calls, 1);
+});
+
+test('an alert lookup does not wait on a background load', async () => {
+    const cache = market();
+    const backgroundLoad = deferredLoad({ priceUsd: 1 });
+    const alertLoad = deferredLoad({ priceUsd: 2 });
+
+    const background = cache.getOrLoad('market', 'mint', backgroundLoad, { priority: 'background' });
+    const alert = cache.getOrLoad('market', 'mint', alertLoad, { priority: 'alert' });
+    // Joins the alert load, which now owns the key
+    const normal = cache.getOrLoad('market', 'mint', alertLoad, { priority: 'normal' });
+
+    alertLoad.resolve();
+    assert.deepStrictEqual(await alert, { priceUsd: 2 });
+    assert.deepStrictEqual(await normal, { priceUsd: 2 });
+    assert.strictEqual(alertLoad.calls, 1);
+
+    // The background load still finishes, and doesn't drop the key from under a newer one
+    backgroundLoad.resolve();
+    assert.deepStrictEqual(await background, { priceUsd: 1 });
+    assert.strictEqual(cache.status()[0].inFlight, 0);
+});
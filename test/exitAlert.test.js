@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { WalletTracker } = require('../index');
+
+// Just enough of the bot to render an exit alert; delivered messages are collected
+function tracker(symbol) {
+    const bot = Object.create(WalletTracker.prototype);
+    bot.userSettings = new Map();
+    bot.getTokenMetadata = async () => ({ symbol, name: symbol });
+    bot.formatSoldShare = () => '';
+    bot.solPrice = { formatUsd: () => '' };
+    bot.metrics = { alertsSent: { inc() {} }, alertsFailed: { inc() {} } };
+    bot.delivered = [];
+    bot.deliverAlert = async (chatId, text, options) => bot.delivered.push({ chatId, text, options });
+    return bot;
+}
+
+test('exit alerts escape the token symbol and wallet nicknames', async () => {
+    const bot = tracker('<3');
+    const settings = bot.getUserSettings(1);
+    settings.wallets.set('walletA', 'A&B');
+    settings.wallets.set('walletB', '<dev>');
+
+    const sent = await bot.sendExitAlert(1, 'MintAddress', 'Unknown', new Map([['walletA', 1], ['walletB', 0.5]]), 1.5, {
+        dumpingWallet: 'walletB',
+        alertedAt: Date.now()
+    });
+
+    assert.strictEqual(sent, true);
+    const [{ text, options }] = bot.delivered;
+    assert.strictEqual(options.parse_mode, 'HTML');
+    assert.ok(text.includes('<code>&lt;3</code>'));
+    assert.ok(text.includes('A&amp;B (1.0000 SOL received)'));
+    assert.ok(text.includes('<b>&lt;dev&gt;</b> was a buyer'));
+    assert.ok(!text.includes('<3') && !text.includes('<dev>') && !text.includes('A&B'));
+});
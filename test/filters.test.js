@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createFilters, applyFilterSetting, checkFilters } = require('../filters');
+
+test('amounts take k and m suffixes', () => {
+    const cases = [
+        ['mincap', '50k', 'minMarketCap', 50000],
+        ['maxcap', '1.2m', 'maxMarketCap', 1200000],
+        ['maxcap', '.5M', 'maxMarketCap', 500000],
+        ['minholders', '300', 'minHolders', 300]
+    ];
+    for (const [name, value, field, expected] of cases) {
+        const filters = createFilters();
+        assert.strictEqual(applyFilterSetting(filters, name, value), null, `${name} ${value}`);
+        assert.strictEqual(filters[field], expected, `${name} ${value}`);
+    }
+
+    for (const value of ['50kk', '1.2b', '-5', 'lots']) {
+        const filters = createFilters();
+        assert.match(applyFilterSetting(filters, 'mincap', value), /Use a number/, value);
+        assert.strictEqual(filters.minMarketCap, null, value);
+    }
+});
+
+test('bonding takes a percent range and rejects reversed or out-of-range ones', () => {
+    const filters = createFilters();
+    assert.strictEqual(applyFilterSetting(filters, 'bonding', '20-90'), null);
+    assert.strictEqual(filters.minBondingProgress, 0.2);
+    assert.strictEqual(filters.maxBondingProgress, 0.9);
+
+    for (const value of ['90-20', '20-101', '20', 'twenty-ninety']) {
+        const rejected = createFilters();
+        assert.match(applyFilterSetting(rejected, 'bonding', value), /percent range/, value);
+        assert.strictEqual(rejected.minBondingProgress, null, value);
+        assert.strictEqual(rejected.maxBondingProgress, null, value);
+    }
+});
+
+test('maxage takes minutes, hours or days', () => {
+    const cases = [['45', 45], ['30m', 30], ['6h', 360], ['2d', 2880]];
+    for (const [value, minutes] of cases) {
+        const filters = createFilters();
+        assert.strictEqual(applyFilterSetting(filters, 'maxage', value), null, value);
+        assert.strictEqual(filters.maxAgeMinutes, minutes, value);
+    }
+
+    for (const value of ['0', '6w', '1.5h']) {
+        assert.match(applyFilterSetting(createFilters(), 'maxage', value), /e\.g\. \/filter maxage 6h/, value);
+    }
+});
+
+test('off clears a filter, both bonding bounds included', () => {
+    const filters = createFilters();
+    applyFilterSetting(filters, 'bonding', '20-90');
+    applyFilterSetting(filters, 'mincap', '50k');
+
+    assert.strictEqual(applyFilterSetting(filters, 'bonding', 'off'), null);
+    assert.strictEqual(filters.minBondingProgress, null);
+    assert.strictEqual(filters.maxBondingProgress, null);
+    assert.strictEqual(filters.minMarketCap, 50000);
+
+    assert.strictEqual(applyFilterSetting(filters, 'mincap', 'OFF'), null);
+    assert.strictEqual(filters.minMarketCap, null);
+});
+
+test('unknown filter names are reported with the list of filters', () => {
+    assert.match(applyFilterSetting(createFilters(), 'volume', '5'), /Unknown filter "volume"\. Filters: mincap, maxcap/);
+});
+
+test('a token outside a filter is filtered with the reason', () => {
+    const now = Date.parse('2026-01-01T12:00:00Z');
+    const filters = createFilters();
+    applyFilterSetting(filters, 'mincap', '50k');
+    applyFilterSetting(filters, 'minholders', '100');
+    applyFilterSetting(filters, 'bonding', '20-90');
+    applyFilterSetting(filters, 'maxage', '6h');
+    applyFilterSetting(filters, 'ratio', '1.5');
+
+    const passing = {
+        tokenAddress: 'mint',
+        metadata: { deployTime: '2026-01-01T10:00:00Z' },
+        marketData: { marketCap: '75000', holders: 250, bondingProgress: 0.5 },
+        volumeData: { buyVolume24h: 30, sellVolume24h: 10, buySellRatio: '3.00' }
+    };
+    assert.strictEqual(checkFilters(filters, passing, now), null);
+
+    const cases = [
+        [{ marketData: { ...passing.marketData, marketCap: '20000' } }, 'Market cap $20.0K below $50.0K'],
+        [{ marketData: { ...passing.marketData, holders: 40 } }, '40 holders, below 100'],
+        [{ marketData: { ...passing.marketData, bondingProgress: 0.95 } }, 'Bonding progress 95.0% outside 20-90%'],
+        [{ metadata: { deployTime: '2025-12-31T12:00:00Z' } }, 'Token is 1440 min old, max 360'],
+        [{ volumeData: { buyVolume24h: 10, sellVolume24h: 10, buySellRatio: '1.00' } }, '24h buy/sell ratio 1 below 1.5']
+    ];
+    for (const [change, reason] of cases) {
+        assert.strictEqual(checkFilters(filters, { ...passing, ...change }, now), reason);
+    }
+});
+
+test('missing market data skips a filter instead of failing it', () => {
+    const filters = createFilters();
+    applyFilterSetting(filters, 'mincap', '50k');
+    applyFilterSetting(filters, 'minholders', '100');
+    applyFilterSetting(filters, 'bonding', '20-90');
+    applyFilterSetting(filters, 'maxage', '6h');
+    applyFilterSetting(filters, 'ratio', '1.5');
+
+    assert.strictEqual(checkFilters(filters, { tokenAddress: 'mint' }), null);
+    assert.strictEqual(checkFilters(filters, {
+        tokenAddress: 'mint',
+        metadata: { deployTime: 'Unknown' },
+        marketData: { marketCap: null, holders: null, bondingProgress: null },
+        volumeData: { buyVolume24h: 0, sellVolume24h: 0, buySellRatio: '0.00' }
+    }), null);
+});
+
+test('blocked mints and deployers are filtered', () => {
+    const filters = createFilters({ blockedMints: ['badMint'], blockedDeployers: ['badDeployer11111'] });
+
+    assert.strictEqual(checkFilters(filters, { tokenAddress: 'badMint' }), 'Mint is blocked');
+    assert.strictEqual(checkFilters(filters, { tokenAddress: 'mint', metadata: { deployer: 'badDeployer11111' } }),
+        'Deployer badDeplo... is blocked');
+});
@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const express = require('express');
+const bodyParser = require('body-parser');
+
+const { createFakeHelius } = require('../fakeHelius');
+const { HeliusWebhookManager, webhookHandler } = require('../helius');
+const { WalletTracker } = require('../index');
+const pumpfunBuy = require('./fixtures/swaps/pumpfun-buy.json');
+
+const API_KEY = 'test-key';
+const SECRET = 'Bearer webhook-secret';
+
+// The bot's /webhook endpoint on its own, recording what reaches onTransactions
+async function startBotServer(onTransactions, secret) {
+    const app = express();
+    app.use(bodyParser.json({ limit: '5mb' }));
+    app.post('/webhook', webhookHandler({ secret, onTransactions }));
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    return {
+        url: `http://127.0.0.1:${server.address().port}/webhook`,
+        stop: () => new Promise(resolve => server.close(() => resolve()))
+    };
+}
+
+async function setup(t, onTransactions = async () => {}) {
+    const fake = createFakeHelius({ apiKey: API_KEY });
+    const { url: baseUrl } = await fake.start();
+    const bot = await startBotServer(onTransactions, SECRET);
+    t.after(() => Promise.all([fake.stop(), bot.stop()]));
+
+    const manager = new HeliusWebhookManager({
+        apiKey: API_KEY,
+        baseUrl,
+        webhookUrl: bot.url,
+        authHeader: SECRET,
+        debounceMs: 0
+    });
+    return { fake, bot, manager };
+}
+
+// Enhanced transaction as Helius would deliver the Pump.fun fixture, plus an address
+// nobody tracks on the other side of a transfer
+function enhancedPumpfunBuy(signature) {
+    return {
+        signature,
+        timestamp: pumpfunBuy.transaction.blockTime,
+        type: 'SWAP',
+        source: 'PUMP_FUN',
+        fee: 105000,
+        feePayer: pumpfunBuy.wallet,
+        transactionError: null,
+        nativeTransfers: [
+            { fromUserAccount: pumpfunBuy.wallet, toUserAccount: 'CebN5WGQ4jvEPvsVU4EoHEpgzq1VV7AbicfhtW4xC9iM', amount: 5000000 }
+        ],
+        tokenTransfers: [],
+        accountData: [
+            { account: pumpfunBuy.wallet, nativeBalanceChange: -507144280, tokenBalanceChanges: [] }
+        ]
+    };
+}
+
+test('sync creates the webhook and keeps its address list in step', async (t) => {
+    const { fake, bot, manager } = await setup(t);
+
+    manager.setAddresses(['walletA', 'walletB']);
+    await manager.sync();
+
+    assert.strictEqual(fake.webhooks.size, 1);
+    const [webhook] = fake.webhooks.values();
+    assert.strictEqual(webhook.webhookURL, bot.url);
+    assert.strictEqual(webhook.authHeader, SECRET);
+    assert.deepStrictEqual(webhook.accountAddresses.sort(), ['walletA', 'walletB']);
+
+    manager.addAddresses(['walletC']);
+    manager.removeAddresses(['walletA']);
+    await manager.sync();
+    assert.deepStrictEqual(fake.webhooks.get(webhook.webhookID).accountAddresses.sort(), ['walletB', 'walletC']);
+
+    // A restart finds the existing webhook by URL instead of creating another
+    const restarted = new HeliusWebhookManager({
+        apiKey: API_KEY,
+        baseUrl: manager.baseUrl,
+        webhookUrl: bot.url,
+        authHeader: SECRET,
+        debounceMs: 0
+    });
+    restarted.setAddresses(['walletD']);
+    await restarted.sync();
+    assert.strictEqual(fake.webhooks.size, 1);
+    assert.strictEqual(restarted.webhookId, webhook.webhookID);
+    assert.deepStrictEqual(fake.webhooks.get(webhook.webhookID).accountAddresses, ['walletD']);
+});
+
+test('a failed sync keeps its changes for the next attempt', async (t) => {
+    const { fake, manager } = await setup(t);
+    manager.setAddresses(['walletA']);
+    await manager.sync();
+    const [webhook] = fake.webhooks.values();
+
+    manager.apiKey = 'wrong-key';
+    manager.addAddresses(['walletB']);
+    await assert.rejects(manager.sync(), /401/);
+    assert.deepStrictEqual(fake.webhooks.get(webhook.webhookID).accountAddresses, ['walletA']);
+
+    manager.apiKey = API_KEY;
+    await manager.sync();
+    assert.deepStrictEqual(fake.webhooks.get(webhook.webhookID).accountAddresses.sort(), ['walletA', 'walletB']);
+});
+
+test('deliveries without the configured Authorization header are rejected', async (t) => {
+    const received = [];
+    const { fake, manager } = await setup(t, async (transactions) => received.push(...transactions));
+    manager.setAddresses([pumpfunBuy.wallet]);
+    await manager.sync();
+    const [webhook] = fake.webhooks.values();
+
+    webhook.authHeader = 'Bearer wrong-secret';
+    const wrong = await fake.deliver(webhook.webhookID, [enhancedPumpfunBuy('sig-wrong')]);
+    assert.strictEqual(wrong.status, 401);
+
+    delete webhook.authHeader;
+    const missing = await fake.deliver(webhook.webhookID, [enhancedPumpfunBuy('sig-missing')]);
+    assert.strictEqual(missing.status, 401);
+
+    assert.deepStrictEqual(received, []);
+});
+
+test('without a configured secret every delivery is refused', async (t) => {
+    const received = [];
+    const bot = await startBotServer(async (transactions) => received.push(...transactions), null);
+    t.after(() => bot.stop());
+
+    for (const headers of [{}, { Authorization: '' }, { Authorization: SECRET }]) {
+        const response = await axios.post(bot.url, [enhancedPumpfunBuy('sig-open')], {
+            headers,
+            validateStatus: () => true
+        });
+        assert.strictEqual(response.status, 503);
+    }
+    assert.deepStrictEqual(received, []);
+});
+
+test('a delivered swap reaches every unpaused chat tracking the wallet', async (t) => {
+    const signature = 'sig-pumpfun-buy';
+
+    // Just enough of the bot to run the webhook path without Telegram or RPC
+    const tracker = Object.create(WalletTracker.prototype);
+    tracker.userSettings = new Map();
+    tracker.recentTransactions = new Map();
+    tracker.recentSells = new Map();
+    tracker.metrics = { transactionsFetched: { inc() {} }, transactionsParsed: { inc() {} } };
+    tracker.solPrice = { current: () => null, getPrice: async () => null };
+    tracker.enrichTokenInfo = async (tokenInfo) => tokenInfo;
+    tracker.rpcPool = {
+        withPriority: () => ({
+            getTransaction: async (sig) => (sig === signature ? pumpfunBuy.transaction : null)
+        })
+    };
+    tracker.watchers = new Map([
+        [pumpfunBuy.wallet, { address: pumpfunBuy.wallet, chats: new Set([101, 202, 303]), trigger() {} }],
+        ['untouchedWallet', { address: 'untouchedWallet', chats: new Set([404]), trigger() {} }]
+    ]);
+    tracker.getUserSettings(202).isPaused = true;
+
+    const processed = [];
+    tracker.processTransaction = async (sig, chatId, walletAddress, tx, tokenInfo) => {
+        processed.push({ sig, chatId, walletAddress, side: tokenInfo.side, solAmount: tokenInfo.solAmount });
+    };
+
+    let delivered;
+    const done = new Promise(resolve => { delivered = resolve; });
+    const { fake, manager } = await setup(t, async (transactions) => {
+        for (const tx of transactions) {
+            await tracker.handleEnhancedTransaction(tx);
+        }
+        delivered();
+    });
+    manager.setAddresses([pumpfunBuy.wallet, 'untouchedWallet']);
+    await manager.sync();
+    const [webhook] = fake.webhooks.values();
+
+    const response = await fake.deliver(webhook.webhookID, [enhancedPumpfunBuy(signature)]);
+    assert.strictEqual(response.status, 200);
+    await done;
+
+    assert.deepStrictEqual(processed.sort((a, b) => a.chatId - b.chatId), [
+        { sig: signature, chatId: 101, walletAddress: pumpfunBuy.wallet, side: 'buy', solAmount: 0.505 },
+        { sig: signature, chatId: 303, walletAddress: pumpfunBuy.wallet, side: 'buy', solAmount: 0.505 }
+    ]);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Keypair } = require('@solana/web3.js');
+
+const { Keystore } = require('../keystore');
+const { WalletTracker } = require('../index');
+
+function newWallet() {
+    const keypair = Keypair.generate();
+    return { keypair, address: keypair.publicKey.toString() };
+}
+
+test('a secret key survives an encrypt/decrypt round trip', async () => {
+    const keystore = new Keystore('correct horse battery staple');
+    const { keypair, address } = newWallet();
+
+    const record = await keystore.encryptSecretKey(address, keypair.secretKey);
+    assert.ok(!JSON.stringify(record).includes(Buffer.from(keypair.secretKey).toString('base64')));
+
+    const secretKey = await keystore.decryptSecretKey(address, record);
+    assert.deepStrictEqual(Uint8Array.from(secretKey), keypair.secretKey);
+});
+
+test('a record moved onto another address fails the auth check', async () => {
+    const keystore = new Keystore('correct horse battery staple');
+    const { keypair, address } = newWallet();
+    const { address: other } = newWallet();
+
+    const record = await keystore.encryptSecretKey(address, keypair.secretKey);
+
+    await assert.rejects(keystore.decryptSecretKey(other, record), /Unsupported state or unable to authenticate data/);
+});
+
+test('a wrong passphrase fails to decrypt', async () => {
+    const { keypair, address } = newWallet();
+    const record = await new Keystore('correct horse battery staple').encryptSecretKey(address, keypair.secretKey);
+
+    await assert.rejects(new Keystore('wrong passphrase').decryptSecretKey(address, record),
+        /Unsupported state or unable to authenticate data/);
+});
+
+test('withKeypair wipes the secret key once fn is done, even if it throws', async () => {
+    const keystore = new Keystore('correct horse battery staple');
+    const { keypair, address } = newWallet();
+    const wallet = { address, encryptedKey: await keystore.encryptSecretKey(address, keypair.secretKey) };
+
+    let seen;
+    const signer = await keystore.withKeypair(wallet, async (decrypted) => {
+        seen = Array.from(decrypted.secretKey);
+        return decrypted;
+    });
+    assert.deepStrictEqual(seen, Array.from(keypair.secretKey));
+    assert.ok(signer.secretKey.every(byte => byte === 0));
+
+    let thrownWith;
+    await assert.rejects(keystore.withKeypair(wallet, async (decrypted) => {
+        thrownWith = decrypted;
+        throw new Error('signing failed');
+    }), /signing failed/);
+    assert.ok(thrownWith.secretKey.every(byte => byte === 0));
+});
+
+test('migrating a legacy wallet leaves no plaintext key behind', async () => {
+    const { keypair, address } = newWallet();
+    const privateKey = Buffer.from(keypair.secretKey).toString('hex');
+
+    const tracker = Object.create(WalletTracker.prototype);
+    tracker.keystore = new Keystore('correct horse battery staple');
+    tracker.userSettings = new Map();
+    let saves = 0;
+    tracker.persistState = () => { saves++; };
+    tracker.getUserSettings(1).userWallets = [{ address, privateKey, createdAt: 1 }];
+
+    await tracker.migratePlaintextKeys();
+
+    const [wallet] = tracker.getUserSettings(1).userWallets;
+    assert.ok(!('privateKey' in wallet));
+    assert.ok(!JSON.stringify(wallet).includes(privateKey));
+    assert.strictEqual(saves, 1);
+    await tracker.keystore.withKeypair(wallet, async (decrypted) => {
+        assert.strictEqual(decrypted.publicKey.toString(), address);
+    });
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { WalletProfiler } = require('../profiler');
+const { SOL_MINT, USDC_MINT } = require('../swapDecoder');
+
+// Trades in decodeSwap's shape
+function buy(mint, sol, amount, blockTime, quoteMint = SOL_MINT) {
+    return { side: 'buy', inputMint: quoteMint, inputAmount: sol, outputMint: mint, outputAmount: amount, blockTime };
+}
+
+function sell(mint, amount, sol, blockTime) {
+    return { side: 'sell', inputMint: mint, inputAmount: amount, outputMint: SOL_MINT, outputAmount: sol, blockTime };
+}
+
+function profiler(prices = {}) {
+    return new WalletProfiler({
+        getConnection: () => null,
+        getPriceSol: async (mint) => prices[mint] ?? null
+    });
+}
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: expected ${expected}, got ${actual}`);
+}
+
+const cases = [
+    {
+        name: 'buy then full sell is one winning round trip',
+        trades: [buy('A', 1, 1000, 0), sell('A', 1000, 1.5, 600)],
+        expected: {
+            trades: 2, uncostedTrades: 0, closedPositions: 1, openPositions: 0,
+            realizedSol: 0.5, unrealizedSol: 0, winRate: 1, avgHoldSeconds: 600, medianBuySol: 1
+        }
+    },
+    {
+        name: 'partial sells are costed at the average price and dust closes the position',
+        // Half sold at a loss (1 SOL of cost for 0.5), then all but 0.5 tokens (under 0.1% of
+        // the peak) for 3 SOL against 0.999 of the remaining cost
+        trades: [buy('B', 2, 1000, 0), sell('B', 500, 0.5, 100), sell('B', 499.5, 3, 200)],
+        expected: {
+            trades: 3, uncostedTrades: 0, closedPositions: 1, openPositions: 0,
+            realizedSol: 1.501, unrealizedSol: 0, winRate: 1, avgHoldSeconds: 200, medianBuySol: 2
+        }
+    },
+    {
+        name: 'a partial sell leaves the rest open',
+        trades: [buy('C', 1, 1000, 0), sell('C', 500, 0.25, 100)],
+        prices: { C: 0.002 },
+        // 500 left at 0.002 is worth 1 SOL against 0.5 SOL of remaining cost
+        expected: {
+            trades: 2, uncostedTrades: 0, closedPositions: 0, openPositions: 1,
+            realizedSol: -0.25, unrealizedSol: 0.5, winRate: null, avgHoldSeconds: null, medianBuySol: 1
+        }
+    },
+    {
+        name: 'a sell with no prior buy is uncosted',
+        trades: [sell('D', 1000, 2, 100)],
+        expected: {
+            trades: 1, uncostedTrades: 1, closedPositions: 0, openPositions: 0,
+            realizedSol: 0, unrealizedSol: 0, winRate: null, avgHoldSeconds: null, medianBuySol: null
+        }
+    },
+    {
+        name: 'a USDC-quoted buy is skipped, and so is selling what it bought',
+        trades: [buy('E', 250, 1000, 0, USDC_MINT), sell('E', 1000, 2, 100)],
+        expected: {
+            trades: 2, uncostedTrades: 2, closedPositions: 0, openPositions: 0,
+            realizedSol: 0, unrealizedSol: 0, winRate: null, avgHoldSeconds: null, medianBuySol: null
+        }
+    },
+    {
+        name: 'an open position is marked at getPriceSol',
+        trades: [buy('F', 1, 1000, 0), buy('F', 2, 1000, 50)],
+        prices: { F: 0.001 },
+        expected: {
+            trades: 2, uncostedTrades: 0, closedPositions: 0, openPositions: 1,
+            realizedSol: 0, unrealizedSol: -1, winRate: null, avgHoldSeconds: null, medianBuySol: 1.5
+        }
+    },
+    {
+        name: 'an open position without a price adds nothing unrealized',
+        trades: [buy('G', 1, 1000, 0)],
+        expected: {
+            trades: 1, uncostedTrades: 0, closedPositions: 0, openPositions: 1,
+            realizedSol: 0, unrealizedSol: 0, winRate: null, avgHoldSeconds: null, medianBuySol: 1
+        }
+    },
+    {
+        name: 'win rate and hold time average over round trips',
+        trades: [
+            buy('H', 1, 1000, 0), sell('H', 1000, 2, 300),
+            buy('I', 1, 1000, 400), sell('I', 1000, 0.5, 1300),
+            buy('J', 3, 1000, 1400)
+        ],
+        expected: {
+            trades: 5, uncostedTrades: 0, closedPositions: 2, openPositions: 1,
+            realizedSol: 0.5, unrealizedSol: 0, winRate: 0.5, avgHoldSeconds: 600, medianBuySol: 1
+        }
+    }
+];
+
+for (const { name, trades, prices, expected } of cases) {
+    test(`computeStats: ${name}`, async () => {
+        const stats = await profiler(prices).computeStats(trades);
+
+        for (const [field, value] of Object.entries(expected)) {
+            if (typeof value === 'number' && !Number.isInteger(value)) {
+                assertClose(stats[field], value, field);
+            } else {
+                assert.strictEqual(stats[field], value, field);
+            }
+        }
+    });
+}
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+
+const { SafetyChecker, RISK_POINTS } = require('../safety');
+
+const TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const STREAMFLOW = 'strmRqUCoQUgGUan5YhzUZa6KqdzwX5L6FpUxfmKg5m';
+
+// A revoked, evenly held mint with a Raydium v4 pool that issued 1,000,000 LP, of which
+// 500,000 were burned. lpHolders: [{ amount, owner }] for the remaining 500,000.
+function fakeConnection(mint, lpHolders) {
+    const lpMint = Keypair.generate().publicKey;
+    const poolData = Buffer.alloc(752);
+    mint.toBuffer().copy(poolData, 400);
+    lpMint.toBuffer().copy(poolData, 464);
+    poolData.writeBigUInt64LE(1000000n, 720);
+
+    const holderAccounts = lpHolders.map(holder => ({ address: Keypair.generate().publicKey, ...holder }));
+
+    return {
+        async getParsedAccountInfo() {
+            return {
+                value: {
+                    owner: new PublicKey(TOKEN_PROGRAM),
+                    data: { parsed: { info: { mintAuthority: null, freezeAuthority: null, supply: '1000000000', decimals: 0 } } }
+                }
+            };
+        },
+        async getProgramAccounts(programId, { filters }) {
+            const wanted = filters.find(filter => filter.memcmp).memcmp;
+            return wanted.offset === 400
+                ? [{ pubkey: Keypair.generate().publicKey, account: { data: poolData } }]
+                : [];
+        },
+        async getTokenSupply() {
+            return { value: { amount: '500000' } };
+        },
+        async getTokenLargestAccounts(requested) {
+            if (requested.equals(lpMint)) {
+                return { value: holderAccounts.map(({ address, amount }) => ({ address, amount: String(amount) })) };
+            }
+            return { value: [] };
+        },
+        async getMultipleParsedAccounts(addresses) {
+            return {
+                value: addresses.map(address => {
+                    const holder = holderAccounts.find(account => account.address.equals(address));
+                    return { data: { parsed: { info: { owner: holder.owner.toString() } } } };
+                })
+            };
+        }
+    };
+}
+
+// Authority PDA of a locker program: off the ed25519 curve, so nobody holds its key
+function lockerAuthority() {
+    return PublicKey.findProgramAddressSync([Keypair.generate().publicKey.toBuffer()], new PublicKey(STREAMFLOW))[0];
+}
+
+test('LP held by a locker counts as locked and is not scored', async () => {
+    const mint = Keypair.generate().publicKey;
+    const connection = fakeConnection(mint, [
+        { amount: 450000, owner: lockerAuthority() },
+        { amount: 50000, owner: Keypair.generate().publicKey }
+    ]);
+    const checker = new SafetyChecker({ getConnection: () => connection });
+
+    const report = await checker.check(mint.toString());
+
+    assert.strictEqual(report.pool.lpBurned, 0.5);
+    assert.strictEqual(report.pool.lpLocked, 0.45);
+    assert.strictEqual(report.score, 0);
+    assert.ok(SafetyChecker.formatReport(report).includes('Raydium LP: 50.0% burned, 45.0% locked'));
+});
+
+test('LP held by a wallet is scored as not burned or locked', async () => {
+    const mint = Keypair.generate().publicKey;
+    const connection = fakeConnection(mint, [
+        { amount: 500000, owner: Keypair.generate().publicKey }
+    ]);
+    const checker = new SafetyChecker({ getConnection: () => connection });
+
+    const report = await checker.check(mint.toString());
+
+    assert.strictEqual(report.pool.lpLocked, 0);
+    assert.strictEqual(report.score, RISK_POINTS.lpNotBurned);
+    assert.deepStrictEqual(report.findings, ['Only 50.0% of LP burned or locked']);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { decodeSwap, SOL_MINT, USDC_MINT, USDT_MINT } = require('../swapDecoder');
+
+// Each fixture is getTransaction JSON (maxSupportedTransactionVersion 0) plus the tracked
+// wallet and the token it traded
+function fixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'swaps', `${name}.json`), 'utf8'));
+}
+
+test('Pump.fun buy counts the curve and platform fee, not the network fee or ATA rent', () => {
+    const { wallet, mint, transaction } = fixture('pumpfun-buy');
+    const swap = decodeSwap(transaction, wallet);
+
+    assert.strictEqual(swap.side, 'buy');
+    assert.strictEqual(swap.venue, 'Pump.fun');
+    assert.strictEqual(swap.inputMint, SOL_MINT);
+    assert.strictEqual(swap.inputAmount, 0.505);
+    assert.strictEqual(swap.outputMint, mint);
+    assert.strictEqual(swap.outputAmount, 17543859.649123);
+    assert.strictEqual(swap.fee, 0.000105);
+    assert.strictEqual(swap.priorityFee, 0.0001);
+});
+
+test('Raydium sell through a temporary wSOL account reports the SOL received', () => {
+    const { wallet, mint, transaction } = fixture('raydium-sell');
+    const swap = decodeSwap(transaction, wallet);
+
+    assert.strictEqual(swap.side, 'sell');
+    assert.strictEqual(swap.venue, 'Raydium AMM v4');
+    assert.strictEqual(swap.inputMint, mint);
+    assert.strictEqual(swap.inputAmount, 1000000);
+    assert.strictEqual(swap.outputMint, SOL_MINT);
+    assert.strictEqual(swap.outputAmount, 1.2);
+});
+
+test('Jupiter buy paid in USDC takes the USDC leg over the SOL tip and names the route', () => {
+    const { wallet, mint, transaction } = fixture('jupiter-buy-usdc');
+    const swap = decodeSwap(transaction, wallet);
+
+    assert.strictEqual(swap.side, 'buy');
+    assert.strictEqual(swap.venue, 'Jupiter');
+    assert.deepStrictEqual(swap.route, ['Raydium CLMM', 'Orca Whirlpool']);
+    assert.strictEqual(swap.inputMint, USDC_MINT);
+    assert.strictEqual(swap.inputAmount, 250);
+    assert.strictEqual(swap.outputMint, mint);
+    assert.strictEqual(swap.outputAmount, 1234.5);
+});
+
+test('Orca buy paid from a wSOL account counts the wSOL spent as SOL', () => {
+    const { wallet, mint, transaction } = fixture('orca-buy-wsol');
+    const swap = decodeSwap(transaction, wallet);
+
+    assert.strictEqual(swap.side, 'buy');
+    assert.strictEqual(swap.venue, 'Orca Whirlpool');
+    assert.strictEqual(swap.inputMint, SOL_MINT);
+    assert.strictEqual(swap.inputAmount, 2);
+    assert.strictEqual(swap.outputMint, mint);
+    assert.strictEqual(swap.outputAmount, 42000);
+});
+
+test('Meteora buy paid in USDT by a wallet that is not the fee payer', () => {
+    const { wallet, mint, transaction } = fixture('meteora-buy-usdt');
+    assert.strictEqual(transaction.transaction.message.accountKeys.indexOf(wallet), 1);
+
+    const swap = decodeSwap(transaction, wallet);
+
+    // The wallet's only SOL movement is the rent for its new token account
+    assert.strictEqual(swap.side, 'buy');
+    assert.strictEqual(swap.venue, 'Meteora DLMM');
+    assert.strictEqual(swap.inputMint, USDT_MINT);
+    assert.strictEqual(swap.inputAmount, 60);
+    assert.strictEqual(swap.outputMint, mint);
+    assert.strictEqual(swap.outputAmount, 777);
+});
+
+test('the relayer paying the fee in the Meteora transaction made no swap', () => {
+    const { transaction } = fixture('meteora-buy-usdt');
+    const relayer = transaction.transaction.message.accountKeys[0];
+
+    assert.strictEqual(decodeSwap(transaction, relayer), null);
+});
+
+test('a wallet that is not in the transaction gets no swap', () => {
+    const { transaction } = fixture('pumpfun-buy');
+    const { wallet: other } = fixture('raydium-sell');
+
+    assert.strictEqual(decodeSwap(transaction, other), null);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+
+const { OnChainProvider } = require('../tokenData');
+
+const PUMP_FUN_AUTHORITY = 'TSLvdd1pWpHVjahSpsvCXUbgwsL3JAcvokwaKt1eokM';
+
+function borshString(value) {
+    const bytes = Buffer.from(value, 'utf8');
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(bytes.length);
+    return Buffer.concat([length, bytes]);
+}
+
+// Metaplex metadata account data: key, update authority, mint, name, symbol, uri
+function metadataAccount(updateAuthority, mint) {
+    return {
+        data: Buffer.concat([
+            Buffer.from([4]),
+            updateAuthority.toBuffer(),
+            mint.toBuffer(),
+            borshString('Test Token'),
+            borshString('TEST'),
+            borshString('https://example.com/test.json')
+        ])
+    };
+}
+
+function provider(account) {
+    return new OnChainProvider({
+        getConnection: () => ({ getAccountInfo: async () => account }),
+        getMintInfo: async () => null
+    });
+}
+
+test('the Metaplex update authority is reported as the deployer', async () => {
+    const authority = Keypair.generate().publicKey;
+    const mint = Keypair.generate().publicKey;
+
+    const metadata = await provider(metadataAccount(authority, mint)).getMetadata(mint.toString());
+
+    assert.deepStrictEqual(metadata, {
+        symbol: 'TEST',
+        name: 'Test Token',
+        uri: 'https://example.com/test.json',
+        deployer: authority.toString()
+    });
+});
+
+test("a launchpad's shared update authority is not reported as the deployer", async () => {
+    const mint = Keypair.generate().publicKey;
+
+    const metadata = await provider(metadataAccount(new PublicKey(PUMP_FUN_AUTHORITY), mint)).getMetadata(mint.toString());
+
+    assert.strictEqual(metadata.symbol, 'TEST');
+    assert.strictEqual(metadata.deployer, null);
+});
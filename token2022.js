@@ -0,0 +1,164 @@
+const { PublicKey } = require('@solana/web3.js');
+
+const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+const TOKEN_PROGRAM_IDS = [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID];
+
+// spl-token mint layout: the base mint is 82 bytes. Token-2022 pads mints with
+// extensions to the token account size, then writes an account type byte and
+// the extensions as TLV entries (u16 type, u16 length, value).
+const MINT_SIZE = 82;
+const ACCOUNT_SIZE = 165;
+const ACCOUNT_TYPE_MINT = 1;
+
+const EXTENSION_TYPES = {
+    TransferFeeConfig: 1,
+    MintCloseAuthority: 3,
+    DefaultAccountState: 6,
+    NonTransferable: 9,
+    PermanentDelegate: 12,
+    TransferHook: 14,
+    MetadataPointer: 18,
+    TokenMetadata: 19
+};
+
+function readOptionalPubkey(data, offset) {
+    const key = new PublicKey(data.subarray(offset, offset + 32));
+    return key.equals(PublicKey.default) ? null : key.toString();
+}
+
+function readCOptionPubkey(data, offset) {
+    return data.readUInt32LE(offset) === 1 ? new PublicKey(data.subarray(offset + 4, offset + 36)).toString() : null;
+}
+
+// TokenMetadata strings are borsh: u32 length then utf8 bytes
+function readString(data, offset) {
+    const length = data.readUInt32LE(offset);
+    const start = offset + 4;
+    return { value: data.subarray(start, start + length).toString('utf8'), next: start + length };
+}
+
+function parseTransferFee(data, offset) {
+    return {
+        epoch: data.readBigUInt64LE(offset),
+        maximumFee: data.readBigUInt64LE(offset + 8),
+        basisPoints: data.readUInt16LE(offset + 16)
+    };
+}
+
+function parseExtension(type, value, extensions) {
+    switch (type) {
+        case EXTENSION_TYPES.TransferFeeConfig: {
+            const older = parseTransferFee(value, 72);
+            const newer = parseTransferFee(value, 90);
+            extensions.transferFee = {
+                authority: readOptionalPubkey(value, 0),
+                // The newer fee applies from its epoch on; report the higher of the
+                // two so a scheduled fee increase isn't hidden
+                basisPoints: Math.max(older.basisPoints, newer.basisPoints),
+                maximumFee: newer.maximumFee > older.maximumFee ? newer.maximumFee : older.maximumFee,
+                older,
+                newer
+            };
+            break;
+        }
+        case EXTENSION_TYPES.MintCloseAuthority:
+            extensions.closeAuthority = readOptionalPubkey(value, 0);
+            break;
+        case EXTENSION_TYPES.DefaultAccountState:
+            extensions.defaultAccountFrozen = value[0] === 2;
+            break;
+        case EXTENSION_TYPES.NonTransferable:
+            extensions.nonTransferable = true;
+            break;
+        case EXTENSION_TYPES.PermanentDelegate:
+            extensions.permanentDelegate = readOptionalPubkey(value, 0);
+            break;
+        case EXTENSION_TYPES.TransferHook:
+            extensions.transferHook = {
+                authority: readOptionalPubkey(value, 0),
+                programId: readOptionalPubkey(value, 32)
+            };
+            break;
+        case EXTENSION_TYPES.MetadataPointer:
+            extensions.metadataPointer = {
+                authority: readOptionalPubkey(value, 0),
+                metadataAddress: readOptionalPubkey(value, 32)
+            };
+            break;
+        case EXTENSION_TYPES.TokenMetadata: {
+            const name = readString(value, 64);
+            const symbol = readString(value, name.next);
+            const uri = readString(value, symbol.next);
+            extensions.tokenMetadata = {
+                updateAuthority: readOptionalPubkey(value, 0),
+                name: name.value.replace(/\0/g, ''),
+                symbol: symbol.value.replace(/\0/g, ''),
+                uri: uri.value.replace(/\0/g, '')
+            };
+            break;
+        }
+    }
+}
+
+// Parses a mint account owned by either token program.
+// accountInfo is what Connection.getAccountInfo returns.
+function parseMint(accountInfo) {
+    if (!accountInfo) return null;
+
+    const programId = accountInfo.owner.toString();
+    if (!TOKEN_PROGRAM_IDS.includes(programId)) return null;
+
+    const data = Buffer.from(accountInfo.data);
+    if (data.length < MINT_SIZE) return null;
+
+    const mint = {
+        programId,
+        isToken2022: programId === TOKEN_2022_PROGRAM_ID,
+        mintAuthority: readCOptionPubkey(data, 0),
+        supply: data.readBigUInt64LE(36),
+        decimals: data[44],
+        freezeAuthority: readCOptionPubkey(data, 46),
+        extensions: {}
+    };
+
+    if (mint.isToken2022 && data.length > ACCOUNT_SIZE && data[ACCOUNT_SIZE] === ACCOUNT_TYPE_MINT) {
+        let offset = ACCOUNT_SIZE + 1;
+        while (offset + 4 <= data.length) {
+            const type = data.readUInt16LE(offset);
+            const length = data.readUInt16LE(offset + 2);
+            if (type === 0) break; // uninitialized padding
+            const value = data.subarray(offset + 4, offset + 4 + length);
+            try {
+                parseExtension(type, value, mint.extensions);
+            } catch (error) {
+                console.log(`Could not parse Token-2022 extension ${type}: ${error.message}`);
+            }
+            offset += 4 + length;
+        }
+    }
+
+    return mint;
+}
+
+// Extensions that change what holding or selling the token means, as short labels
+function riskyExtensions(mint) {
+    const ext = mint?.extensions || {};
+    const flags = [];
+    if (ext.transferFee && ext.transferFee.basisPoints > 0) {
+        flags.push(`Transfer fee ${(ext.transferFee.basisPoints / 100).toFixed(2)}%`);
+    }
+    if (ext.permanentDelegate) flags.push('Permanent delegate (can move or burn any balance)');
+    if (ext.nonTransferable) flags.push('Non-transferable');
+    if (ext.transferHook?.programId) flags.push('Transfer hook');
+    if (ext.defaultAccountFrozen) flags.push('Accounts frozen by default');
+    return flags;
+}
+
+module.exports = {
+    TOKEN_PROGRAM_ID,
+    TOKEN_2022_PROGRAM_ID,
+    TOKEN_PROGRAM_IDS,
+    parseMint,
+    riskyExtensions
+};
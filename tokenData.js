@@ -0,0 +1,343 @@
+const axios = require('axios');
+const { PublicKey } = require('@solana/web3.js');
+
+// Token data comes in four kinds, each with a fixed shape whatever the source:
+//   metadata: { symbol, name, uri, deployer, deployTime, isComplete, twitter, telegram, website }
+//   market:   { priceUsd, priceSol, marketCap, bondingProgress, holders }
+//   volume:   { buyVolume1h, buyVolume24h, sellVolume24h, buySellRatio, lastBuyTime, lastSellTime }
+//   holders:  number of holders
+// A provider implements any subset as getMetadata/getMarket/getVolume/getHolders(mint),
+// resolving to null when it has nothing for the token and throwing when it failed.
+const KINDS = {
+    metadata: 'getMetadata',
+    market: 'getMarket',
+    volume: 'getVolume',
+    holders: 'getHolders'
+};
+
+const METAPLEX_METADATA_PROGRAM = 'metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s';
+
+// Update authorities shared by every token a launchpad mints (pump.fun). They say
+// nothing about who deployed the token, so they aren't reported as its deployer.
+const SHARED_UPDATE_AUTHORITIES = new Set([
+    'TSLvdd1pWpHVjahSpsvCXUbgwsL3JAcvokwaKt1eokM'
+]);
+
+// The update authority (or creator) standing in for the deployer when no API reports one
+function deployerFrom(authority) {
+    return authority && !SHARED_UPDATE_AUTHORITIES.has(authority) ? authority : null;
+}
+
+function toIsoTime(value) {
+    if (!value) return null;
+    const time = new Date(value);
+    return isNaN(time.getTime()) ? null : time.toISOString();
+}
+
+class CallStaticProvider {
+    constructor({ apiKey, baseUrl = 'https://api.callstaticrpc.com/pumpfun/v1' }) {
+        this.name = 'CallStatic';
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl;
+    }
+
+    async request(endpoint, tokenAddress) {
+        const response = await axios.get(`${this.baseUrl}${endpoint}`, {
+            params: { token: tokenAddress },
+            headers: { 'Authorization': `Bearer ${this.apiKey}` }
+        });
+        return response.data?.success ? response.data.data : null;
+    }
+
+    async getMetadata(tokenAddress) {
+        const data = await this.request('/token/metadata', tokenAddress);
+        if (!data) return null;
+        return {
+            symbol: data.symbol || null,
+            name: data.name || null,
+            deployer: data.deployer,
+            deployTime: toIsoTime(data.deploy_timestamp),
+            isComplete: data.is_complete,
+            twitter: data.twitter,
+            telegram: data.telegram,
+            website: data.website
+        };
+    }
+
+    async getMarket(tokenAddress) {
+        const data = await this.request('/token/marketData', tokenAddress);
+        if (!data) return null;
+        return {
+            priceUsd: data.price_usd,
+            priceSol: data.price_sol,
+            marketCap: data.current_market_cap,
+            bondingProgress: data.bonding_progress,
+            holders: null
+        };
+    }
+
+    async getVolume(tokenAddress) {
+        const data = await this.request('/token/volume', tokenAddress);
+        if (!data) return null;
+
+        const buy24h = parseInt(data.buy_volume_24h || 0) / 1e9; // lamports to SOL
+        const sell24h = parseInt(data.sell_volume_24h || 0) / 1e9;
+        const ratio = sell24h > 0 ? buy24h / sell24h : buy24h > 0 ? buy24h : 0;
+        return {
+            buyVolume1h: parseInt(data.buy_volume_1h || 0) / 1e9,
+            buyVolume24h: buy24h,
+            sellVolume24h: sell24h,
+            buySellRatio: ratio.toFixed(2),
+            lastBuyTime: toIsoTime(data.last_buy_timestamp) || 'Unknown',
+            lastSellTime: toIsoTime(data.last_sell_timestamp) || 'Unknown'
+        };
+    }
+
+    async getHolders(tokenAddress) {
+        const data = await this.request('/token/holders', tokenAddress);
+        return data?.total_holders || null;
+    }
+}
+
+// getAsset on a Helius RPC URL: name, symbol and links from the asset's metadata,
+// USD price and supply from token_info
+class HeliusDasProvider {
+    constructor({ rpcUrl }) {
+        this.name = 'Helius DAS';
+        this.rpcUrl = rpcUrl;
+    }
+
+    async getAsset(tokenAddress) {
+        const response = await axios.post(this.rpcUrl, {
+            jsonrpc: '2.0',
+            id: 'token-data',
+            method: 'getAsset',
+            params: { id: tokenAddress }
+        });
+        if (response.data?.error) throw new Error(response.data.error.message);
+        return response.data?.result || null;
+    }
+
+    async getMetadata(tokenAddress) {
+        const asset = await this.getAsset(tokenAddress);
+        const metadata = asset?.content?.metadata || {};
+        const symbol = metadata.symbol || asset?.token_info?.symbol;
+        if (!symbol && !metadata.name) return null;
+        return {
+            symbol: symbol || null,
+            name: metadata.name || null,
+            uri: asset.content?.json_uri || null,
+            website: asset.content?.links?.external_url || null,
+            deployer: deployerFrom(asset.creators?.[0]?.address) || deployerFrom(asset.authorities?.[0]?.address)
+        };
+    }
+
+    async getMarket(tokenAddress) {
+        const tokenInfo = (await this.getAsset(tokenAddress))?.token_info;
+        const price = tokenInfo?.price_info?.price_per_token;
+        if (!price) return null;
+
+        const supply = Number(tokenInfo.supply) / Math.pow(10, tokenInfo.decimals || 0);
+        return {
+            priceUsd: price,
+            priceSol: null,
+            marketCap: supply ? price * supply : null,
+            bondingProgress: null,
+            holders: null
+        };
+    }
+}
+
+class SolscanProvider {
+    constructor({ apiKey, baseUrl = 'https://api.solscan.io', headers = {} }) {
+        this.name = 'Solscan';
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl;
+        this.headers = headers;
+    }
+
+    async getToken(tokenAddress) {
+        const response = await axios.get(`${this.baseUrl}/token/${tokenAddress}`, {
+            headers: { ...this.headers, 'token': this.apiKey }
+        });
+        return response.data || null;
+    }
+
+    async getMetadata(tokenAddress) {
+        const token = await this.getToken(tokenAddress);
+        if (!token?.symbol && !token?.name) return null;
+        return { symbol: token.symbol || null, name: token.name || null };
+    }
+
+    async getMarket(tokenAddress) {
+        const token = await this.getToken(tokenAddress);
+        if (!token?.marketCapacity) return null;
+        return {
+            priceUsd: token.price || null,
+            priceSol: null,
+            marketCap: token.marketCapacity,
+            bondingProgress: null,
+            holders: token.holder || null
+        };
+    }
+
+    async getHolders(tokenAddress) {
+        return (await this.getToken(tokenAddress))?.holder || null;
+    }
+}
+
+// Metaplex Token Metadata: key u8, update authority, mint, then name, symbol and uri
+// as borsh strings (u32 length + bytes, padded with NULs)
+function decodeMetaplexMetadata(data) {
+    let offset = 1 + 32 + 32;
+    const readString = () => {
+        const length = data.readUInt32LE(offset);
+        const value = data.subarray(offset + 4, offset + 4 + length).toString('utf8').replace(/\0/g, '').trim();
+        offset += 4 + length;
+        return value;
+    };
+    const updateAuthority = new PublicKey(data.subarray(1, 33)).toString();
+    const name = readString();
+    const symbol = readString();
+    const uri = readString();
+    return { updateAuthority, name, symbol, uri };
+}
+
+// Name, symbol and update authority straight from chain: the Metaplex metadata account,
+// or the Token-2022 metadata extension on the mint. Needs no API key, so it goes last.
+class OnChainProvider {
+    constructor({ getConnection, getMintInfo }) {
+        this.name = 'On-chain';
+        this.getConnection = getConnection;
+        this.getMintInfo = getMintInfo;
+    }
+
+    async getMetadata(tokenAddress) {
+        const programId = new PublicKey(METAPLEX_METADATA_PROGRAM);
+        const [metadataAddress] = PublicKey.findProgramAddressSync(
+            [Buffer.from('metadata'), programId.toBuffer(), new PublicKey(tokenAddress).toBuffer()],
+            programId
+        );
+        const account = await this.getConnection().getAccountInfo(metadataAddress);
+        if (account && account.data.length > 65) {
+            const { updateAuthority, name, symbol, uri } = decodeMetaplexMetadata(Buffer.from(account.data));
+            if (name || symbol) {
+                return { symbol: symbol || null, name: name || null, uri, deployer: deployerFrom(updateAuthority) };
+            }
+        }
+
+        const onChain = (await this.getMintInfo(tokenAddress))?.extensions.tokenMetadata;
+        if (onChain && (onChain.symbol || onChain.name)) {
+            return {
+                symbol: onChain.symbol || null,
+                name: onChain.name || null,
+                uri: onChain.uri,
+                deployer: deployerFrom(onChain.updateAuthority)
+            };
+        }
+        return null;
+    }
+}
+
+// Asks providers in order for each kind of data and returns the first answer. Every
+// call is timed out, and a provider that fails repeatedly is skipped for a while so
+// a dead API doesn't add its timeout to every lookup. A provider with a budget waits
+// for the scheduler first; the timeout only starts once the request is sent.
+// onRequest({ provider, kind, latencyMs, error }) is told about every provider call.
+class TokenDataChain {
+    constructor({ providers, scheduler = null, onRequest = null, timeoutMs = 5000, maxFailures = 3, cooldownMs = 60000 }) {
+        this.providers = providers; // { provider, timeoutMs?, budget? } in priority order
+        this.scheduler = scheduler;
+        this.onRequest = onRequest;
+        this.timeoutMs = timeoutMs;
+        this.maxFailures = maxFailures;
+        this.cooldownMs = cooldownMs;
+
+        this.health = new Map(); // provider name -> stats, see recordResult
+        for (const { provider } of providers) {
+            this.health.set(provider.name, {
+                successes: 0,
+                misses: 0, // answered, but had nothing for the token
+                failures: 0,
+                consecutiveFailures: 0,
+                lastError: null,
+                lastLatencyMs: null,
+                skipUntil: 0
+            });
+        }
+    }
+
+    async get(kind, tokenAddress, { priority = 'normal' } = {}) {
+        const method = KINDS[kind];
+
+        for (const { provider, timeoutMs, budget } of this.providers) {
+            if (typeof provider[method] !== 'function') continue;
+
+            const health = this.health.get(provider.name);
+            if (Date.now() < health.skipUntil) continue;
+
+            if (budget && this.scheduler) await this.scheduler.acquire(budget, priority);
+            const started = Date.now();
+            try {
+                const result = await this.withTimeout(provider[method](tokenAddress), timeoutMs || this.timeoutMs);
+                this.recordResult(health, started, null, result);
+                if (this.onRequest) this.onRequest({ provider: provider.name, kind, latencyMs: Date.now() - started, error: null });
+                if (result !== null && result !== undefined) {
+                    return { source: provider.name, data: result };
+                }
+            } catch (error) {
+                this.recordResult(health, started, error);
+                if (this.onRequest) this.onRequest({ provider: provider.name, kind, latencyMs: Date.now() - started, error });
+                console.log(`${provider.name} ${kind} lookup failed for ${tokenAddress.slice(0, 8)}...: ${error.message}`);
+            }
+        }
+        return null;
+    }
+
+    withTimeout(promise, timeoutMs) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`timed out after ${timeoutMs}ms`)), timeoutMs);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    recordResult(health, started, error, result) {
+        health.lastLatencyMs = Date.now() - started;
+        if (error) {
+            health.failures++;
+            health.consecutiveFailures++;
+            health.lastError = error.message;
+            if (health.consecutiveFailures >= this.maxFailures) {
+                health.skipUntil = Date.now() + this.cooldownMs;
+            }
+            return;
+        }
+
+        health.consecutiveFailures = 0;
+        if (result === null || result === undefined) {
+            health.misses++;
+        } else {
+            health.successes++;
+        }
+    }
+
+    // For /providers
+    status() {
+        return this.providers.map(({ provider }) => ({
+            name: provider.name,
+            kinds: Object.keys(KINDS).filter(kind => typeof provider[KINDS[kind]] === 'function'),
+            ...this.health.get(provider.name),
+            available: Date.now() >= this.health.get(provider.name).skipUntil
+        }));
+    }
+}
+
+module.exports = {
+    TokenDataChain,
+    CallStaticProvider,
+    HeliusDasProvider,
+    SolscanProvider,
+    OnChainProvider,
+    decodeMetaplexMetadata
+};